@@ -0,0 +1,44 @@
+class AnalyticsController < ApplicationController
+  before_action :authenticate_photographer!
+  before_action :set_gallery
+  
+  # What the photo ranking can be ordered by, and the column behind each
+  RANKINGS = {
+    'dwell' => 'dwell_ms',
+    'views' => 'lightbox_views',
+    'downloads' => 'downloads_count'
+  }.freeze
+  
+  # GET /galleries/:gallery_id/analytics(.csv)(?interval=daily|weekly&rank_by=dwell|views|downloads)
+  # Views, visitors and downloads over time, where visits came from, and
+  # which photos clients opened, lingered on and downloaded most. The CSV
+  # is the activity over time.
+  def show
+    @report = GalleryActivityReport.new(@gallery, interval: params[:interval])
+    
+    respond_to do |format|
+      format.html do
+        @rank_by = RANKINGS.key?(params[:rank_by]) ? params[:rank_by] : 'dwell'
+        @ranked_images = @gallery.images
+          .with_engagement
+          .includes(file_attachment: :blob, delivery_file_attachment: :blob,
+                    watermarked_file_attachment: :blob, poster_attachment: :blob)
+          .order(Arel.sql("#{RANKINGS.fetch(@rank_by)} DESC"), :position)
+      end
+      format.csv do
+        send_data @report.to_csv,
+                  filename: "#{@gallery.slug}-analytics-#{@report.interval}-#{@report.ends_on.iso8601}.csv",
+                  type: 'text/csv',
+                  disposition: 'attachment'
+      end
+    end
+  end
+  
+  private
+  
+  def set_gallery
+    @gallery = current_photographer.galleries.find(params[:gallery_id])
+  rescue ActiveRecord::RecordNotFound
+    redirect_to galleries_path, alert: 'Gallery not found or access denied.'
+  end
+end
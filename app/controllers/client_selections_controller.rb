@@ -0,0 +1,68 @@
+class ClientSelectionsController < ApplicationController
+  before_action :authenticate_photographer!
+  before_action :set_gallery
+  before_action :set_selection, only: [:show, :reopen]
+  
+  # GET /galleries/:gallery_id/client_selections
+  def index
+    selections = @gallery.client_selections.with_favorites.recent.includes(:favorites)
+    
+    render json: {
+      selections: selections.map do |selection|
+        {
+          id: selection.id,
+          guest_name: selection.guest_name,
+          favorites_count: selection.favorites_count,
+          image_ids: selection.favorites.map(&:image_id),
+          extra_images_count: selection.extra_images_count,
+          submitted_at: selection.submitted_at&.iso8601,
+          updated_at: selection.updated_at.iso8601,
+          export_url: gallery_client_selection_path(@gallery, selection, format: :txt),
+          reopen_url: reopen_gallery_client_selection_path(@gallery, selection)
+        }
+      end
+    }
+  end
+  
+  # GET /galleries/:gallery_id/client_selections/:id(.txt)
+  # The text format is a filename list for Lightroom's Library Filter
+  def show
+    respond_to do |format|
+      format.json { render json: { selection: @selection } }
+      format.text do
+        filename = "#{@gallery.slug}-#{@selection.guest_name.parameterize.presence || 'client'}-picks.txt"
+        send_data @selection.lightroom_filenames,
+                  filename: filename,
+                  type: 'text/plain',
+                  disposition: 'attachment'
+      end
+    end
+  end
+  
+  # PATCH /galleries/:gallery_id/client_selections/:id/reopen
+  # Unlocks submitted picks so the client can change them
+  def reopen
+    @selection.reopen!
+    render json: { status: 'success', selection: @selection }
+  end
+  
+  private
+  
+  def set_gallery
+    @gallery = current_photographer.galleries.find(params[:gallery_id])
+  rescue ActiveRecord::RecordNotFound
+    render json: { 
+      status: 'error', 
+      errors: ['Gallery not found or access denied'] 
+    }, status: :not_found
+  end
+  
+  def set_selection
+    @selection = @gallery.client_selections.find(params[:id])
+  rescue ActiveRecord::RecordNotFound
+    render json: { 
+      status: 'error', 
+      errors: ['Selection not found'] 
+    }, status: :not_found
+  end
+end
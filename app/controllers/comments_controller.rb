@@ -0,0 +1,72 @@
+class CommentsController < ApplicationController
+  before_action :authenticate_photographer!
+  before_action :set_gallery
+  before_action :set_comment, only: [:update]
+  
+  # GET /galleries/:gallery_id/comments
+  # Threads for one image (image_id) or every open thread in the gallery,
+  # plus unresolved counts for the image cards
+  def index
+    threads = @gallery.comments.threads.includes(:replies).order(updated_at: :desc)
+    threads = params[:image_id].present? ? threads.where(image_id: params[:image_id]) : threads.where(resolved_at: nil)
+    
+    render json: {
+      comments: threads,
+      unresolved_counts: @gallery.comments.unresolved.group('comments.image_id').count,
+      latest_comment_id: @gallery.comments.maximum('comments.id')
+    }
+  end
+  
+  # POST /galleries/:gallery_id/comments
+  # Photographer reply to a client thread
+  def create
+    parent = @gallery.comments.threads.find_by(id: params[:parent_id])
+    
+    unless parent
+      return render json: { status: 'error', errors: ['Comment not found'] }, status: :not_found
+    end
+    
+    reply = parent.replies.build(
+      image: parent.image,
+      author_name: current_photographer.name,
+      body: params[:body],
+      photographer: true
+    )
+    
+    if reply.save
+      render json: { status: 'success', comment: parent.reload }, status: :created
+    else
+      render json: {
+        status: 'error',
+        errors: reply.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+  
+  # PATCH /galleries/:gallery_id/comments/:id
+  # Resolves or reopens a thread
+  def update
+    ActiveModel::Type::Boolean.new.cast(params[:resolved]) ? @comment.resolve! : @comment.reopen!
+    render json: { status: 'success', comment: @comment }
+  end
+  
+  private
+  
+  def set_gallery
+    @gallery = current_photographer.galleries.find(params[:gallery_id])
+  rescue ActiveRecord::RecordNotFound
+    render json: { 
+      status: 'error', 
+      errors: ['Gallery not found or access denied'] 
+    }, status: :not_found
+  end
+  
+  def set_comment
+    @comment = @gallery.comments.threads.find(params[:id])
+  rescue ActiveRecord::RecordNotFound
+    render json: { 
+      status: 'error', 
+      errors: ['Comment not found'] 
+    }, status: :not_found
+  end
+end
@@ -0,0 +1,65 @@
+module PublicGalleryAccess
+  extend ActiveSupport::Concern
+  
+  # Columns the public pages need; keeps the gallery lookup lean
+  PUBLIC_GALLERY_COLUMNS = %i[
+    id slug title description photographer_id views_count images_count created_at
+    published expires_at password_digest allow_downloads
+    selection_limit extra_image_price allow_extra_selections selection_locked_at
+    layout show_exif metadata_policy allow_sharing
+    protected_proofing delivered watermark_position watermark_opacity
+  ].freeze
+  
+  private
+  
+  def find_gallery
+    # Optimized gallery lookup with minimal joins
+    @gallery = Gallery.includes(:photographer)
+      .published
+      .not_expired
+      .select(*PUBLIC_GALLERY_COLUMNS)
+      .find_by!(slug: params[:slug])
+  rescue ActiveRecord::RecordNotFound
+    respond_to do |format|
+      format.json { render json: { error: 'Gallery not found' }, status: :not_found }
+      format.any { render 'public_galleries/not_found', status: :not_found }
+    end
+  end
+  
+  def check_gallery_access
+    return if @gallery.viewable?
+    
+    status = @gallery.expired? ? :gone : :not_found
+    
+    respond_to do |format|
+      format.json { render json: { error: 'Gallery is not available' }, status: status }
+      format.any do
+        template = @gallery.expired? ? 'public_galleries/expired' : 'public_galleries/not_found'
+        render template, status: status
+      end
+    end
+  end
+  
+  def authenticate_gallery_password
+    return if gallery_authenticated?
+    
+    respond_to do |format|
+      format.json { render json: { error: 'Gallery password required' }, status: :unauthorized }
+      format.any { render 'public_galleries/password_form', status: :unauthorized }
+    end
+  end
+  
+  def gallery_authenticated?
+    !@gallery.password_protected? || session["gallery_#{@gallery.id}_authenticated"].present?
+  end
+  
+  # The visitor's named guest selection, remembered by token in the session
+  def selection_session_key
+    "gallery_#{@gallery.id}_selection_token"
+  end
+  
+  def current_selection
+    token = session[selection_session_key]
+    token.present? ? @gallery.client_selections.find_by(token: token) : nil
+  end
+end
@@ -63,6 +63,17 @@ class GalleriesController < ApplicationController
                                           .order(updated_at: :desc)
                                           .limit(5)
                                           .includes(:images)
+    
+    respond_to do |format|
+      format.html
+      format.json do
+        render json: {
+          galleries: @galleries.map { |gallery| gallery_card_json(gallery) },
+          stats: @stats,
+          pagination: { page: @pagy.page, pages: @pagy.pages, count: @pagy.count }
+        }
+      end
+    end
   end
   
   # GET /galleries/new
@@ -165,7 +176,9 @@ class GalleriesController < ApplicationController
     # Track what's being changed for security logging
     changes = {}
     gallery_update_params.each do |key, value|
-      if key != 'password' && key != 'password_confirmation' && @gallery.send(key) != value
+      if key == 'watermark'
+        changes['watermark'] = 'uploaded'
+      elsif key != 'password' && key != 'password_confirmation' && @gallery.send(key) != value
         changes[key] = { from: @gallery.send(key), to: value }
       elsif key == 'password' && value.present?
         changes['password'] = 'updated'
@@ -279,6 +292,8 @@ class GalleriesController < ApplicationController
       image_ids.each_with_index do |image_id, index|
         @gallery.images.find(image_id).update_column(:position, index + 1)
       end
+      # Photos stay within their sections
+      @gallery.resequence_images!
     end
     
     # Log reordering action
@@ -321,6 +336,8 @@ class GalleriesController < ApplicationController
     new_gallery.password = nil # Don't copy passwords
     new_gallery.password_confirmation = nil
     new_gallery.views_count = 0
+    # The copy shares the watermark file rather than uploading it again
+    new_gallery.watermark.attach(source_gallery.watermark.blob) if source_gallery.watermark.attached?
     
     if new_gallery.save
       # Log gallery duplication
@@ -368,10 +385,35 @@ class GalleriesController < ApplicationController
   def gallery_params
     params.require(:gallery).permit(
       :title, :description, :published, :featured, :expires_at,
-      :password, :password_confirmation, :allow_downloads, :watermark_enabled
+      :password, :password_confirmation, :allow_downloads,
+      :selection_limit, :extra_image_price, :allow_extra_selections, :selection_locked, :layout,
+      :show_exif, :metadata_policy, :allow_sharing,
+      :protected_proofing, :delivered, :watermark, :watermark_position, :watermark_opacity
     )
   end
   
+  def gallery_card_json(gallery)
+    cover = gallery.images.min_by { |image| [image.position || 0, image.created_at] }
+    
+    {
+      id: gallery.id,
+      slug: gallery.slug,
+      title: gallery.title,
+      description: gallery.description,
+      thumbnail_url: cover&.thumbnail_url,
+      images_count: gallery.images.size,
+      views_count: gallery.views_count,
+      created_at: gallery.created_at.iso8601,
+      published: gallery.published?,
+      featured: gallery.featured?,
+      password_protected: gallery.password_protected?,
+      expired: gallery.expired?,
+      viewable: gallery.viewable?,
+      selection_locked: gallery.selection_locked?,
+      selection_locked_at: gallery.selection_locked_at&.iso8601
+    }
+  end
+  
   def rate_limit_gallery_creation
     # Check rate limiting for gallery creation
     cache_key = "gallery_creation:#{current_photographer.id}"
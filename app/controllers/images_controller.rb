@@ -3,6 +3,21 @@ class ImagesController < ApplicationController
   before_action :set_gallery
   before_action :set_image, only: [:show, :update, :destroy]
   
+  # GET /galleries/:gallery_id/images
+  def index
+    @images = @gallery.images.includes(file_attachment: :blob).ordered
+    @sections = @gallery.sections.ordered
+    
+    # How many clients picked each image, for the card badges
+    @favorite_counts = Favorite.joins(:client_selection)
+                               .where(client_selections: { gallery_id: @gallery.id })
+                               .group(:image_id)
+                               .count
+    
+    # Open client comment threads per image
+    @comment_counts = @gallery.comments.unresolved.group('comments.image_id').count
+  end
+  
   # POST /galleries/:gallery_id/images
   def create
     # Security validation before processing
@@ -27,6 +42,9 @@ class ImagesController < ApplicationController
         return
       end
       
+      # Sanitizing strips the EXIF, so the shooting details are read first
+      shooting_details = validator.shooting_details
+      
       # Use sanitized file for processing
       sanitized_file = validator.sanitized_file
       if sanitized_file
@@ -47,6 +65,7 @@ class ImagesController < ApplicationController
     end
     
     @image = @gallery.images.build(image_params)
+    @image.assign_attributes(shooting_details) if shooting_details.present?
     
     if @image.save
       render json: {
@@ -126,9 +145,26 @@ class ImagesController < ApplicationController
   end
   
   # PATCH /galleries/:gallery_id/images/reorder
+  # section_ids, when given, names the section each of image_ids now
+  # belongs to ('' for none), for photos dragged between sections
   def reorder
-    params.require(:image_ids).each_with_index do |image_id, index|
-      @gallery.images.find(image_id).update_column(:position, index + 1)
+    image_ids = params.require(:image_ids)
+    section_ids = params[:section_ids]
+    
+    if section_ids && !valid_section_ids?(section_ids, image_ids.size)
+      return render json: {
+        status: 'error',
+        errors: ['One or more sections not found']
+      }, status: :not_found
+    end
+    
+    ActiveRecord::Base.transaction do
+      image_ids.each_with_index do |image_id, index|
+        attributes = { position: index + 1 }
+        attributes[:section_id] = section_ids[index].presence if section_ids
+        @gallery.images.find(image_id).update_columns(attributes)
+      end
+      @gallery.resequence_images!
     end
     
     render json: { status: 'success', message: 'Images reordered successfully' }
@@ -200,6 +236,11 @@ class ImagesController < ApplicationController
     }, status: :not_found
   end
   
+  def valid_section_ids?(section_ids, count)
+    section_ids.size == count &&
+      (section_ids.compact_blank.map(&:to_s) - @gallery.sections.pluck(:id).map(&:to_s)).empty?
+  end
+  
   def image_params
     params.require(:image).permit(:file, :alt_text, :description, :position)
   end
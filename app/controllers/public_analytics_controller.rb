@@ -0,0 +1,46 @@
+class PublicAnalyticsController < ApplicationController
+  include PublicGalleryAccess
+  
+  # Beacons can't carry the CSRF token, and all they can do is add counts
+  skip_forgery_protection only: [:create]
+  
+  before_action :find_gallery
+  before_action :check_gallery_access
+  before_action :authenticate_gallery_password
+  
+  EVENT_TYPES = %w[view dwell].freeze
+  
+  # Most events taken from one beacon; the viewer sends far fewer
+  MAX_EVENTS = 100
+  
+  # POST /g/:slug/analytics
+  # Lightbox opens and dwell times, batched by the public viewer and sent
+  # with navigator.sendBeacon as { events: [{ type: 'view' | 'dwell',
+  # image_id:, ms: }] }. Events for photos outside the gallery are dropped.
+  def create
+    events = Array(params[:events]).first(MAX_EVENTS).filter_map { |event| normalize_event(event) }
+    image_ids = @gallery.images.where(id: events.map { |event| event[:image_id] }).pluck(:id).to_set
+    events.select! { |event| image_ids.include?(event[:image_id]) }
+    
+    if events.any?
+      # Stamped now, not whenever the queue gets to the job
+      GalleryAnalyticsJob.perform_later(@gallery.id, 'image_events', request.remote_ip,
+                                        events: events, recorded_at: Time.current)
+    end
+    
+    head :no_content
+  end
+  
+  private
+  
+  def normalize_event(event)
+    return nil unless event.is_a?(ActionController::Parameters) && EVENT_TYPES.include?(event[:type])
+    
+    image_id = event[:image_id].to_i
+    return nil unless image_id.positive?
+    
+    normalized = { type: event[:type], image_id: image_id }
+    normalized[:ms] = event[:ms].to_i.clamp(0, AnalyticsEvent::MAX_DWELL_MS) if event[:type] == 'dwell'
+    normalized
+  end
+end
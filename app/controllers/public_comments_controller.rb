@@ -0,0 +1,65 @@
+class PublicCommentsController < ApplicationController
+  include PublicGalleryAccess
+  
+  before_action :find_gallery
+  before_action :check_gallery_access
+  before_action :authenticate_gallery_password
+  before_action :set_image
+  before_action :require_selection, only: [:create]
+  
+  # GET /g/:slug/images/:image_id/comments
+  # The visitor's own threads, with the photographer's replies
+  def index
+    threads = visitor_threads.chronological.includes(:replies)
+    render json: { comments: threads }
+  end
+  
+  # POST /g/:slug/images/:image_id/comments
+  # Starts a thread, or replies to one of the visitor's when parent_id is given
+  def create
+    comment = @image.comments.build(
+      client_selection: @selection,
+      author_name: @selection.guest_name,
+      body: params[:body],
+      parent: params[:parent_id].present? ? visitor_threads.find_by(id: params[:parent_id]) : nil
+    )
+    
+    if params[:parent_id].present? && comment.parent.nil?
+      return render json: { status: 'error', errors: ['Comment not found'] }, status: :not_found
+    end
+    
+    if comment.save
+      render json: { status: 'success', comment: comment.thread? ? comment : comment.parent.reload }, status: :created
+    else
+      render json: {
+        status: 'error',
+        errors: comment.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+  
+  private
+  
+  def set_image
+    @image = @gallery.images.where(processing_status: :completed).find(params[:image_id])
+  rescue ActiveRecord::RecordNotFound
+    render json: { status: 'error', errors: ['Image not found'] }, status: :not_found
+  end
+  
+  # Threads started under the visitor's selection; other guests' notes to
+  # the photographer stay between them
+  def visitor_threads
+    selection = @selection || current_selection
+    selection ? @image.comments.threads.where(client_selection: selection) : Comment.none
+  end
+  
+  def require_selection
+    @selection = current_selection
+    return if @selection
+    
+    render json: {
+      status: 'error',
+      errors: ['Please enter your name before leaving a comment']
+    }, status: :unprocessable_entity
+  end
+end
@@ -1,23 +1,63 @@
 class PublicGalleriesController < ApplicationController
+  include PublicGalleryAccess
+  include ZipKit::RailsStreaming
+  
   layout 'public_gallery'
   
-  before_action :find_gallery, only: [:show, :authenticate, :download, :download_all]
-  before_action :check_gallery_access, only: [:show, :download_all]
-  before_action :authenticate_gallery_password, only: [:show, :download_all], if: -> { @gallery.password_protected? }
+  before_action :find_gallery, only: [:show, :authenticate, :download, :download_all, :share]
+  before_action :check_gallery_access, only: [:show, :download, :download_all, :share]
+  before_action :authenticate_gallery_password, only: [:show, :download, :download_all, :share], if: -> { @gallery.password_protected? }
+  before_action :check_downloads_allowed, only: [:download_all]
+  before_action :check_sharing_allowed, only: [:share]
+  
+  IMAGES_PAGE_SIZE = 60
+  MAX_IMAGES_PAGE_SIZE = 200
+  
+  # Cell widths at the .public-gallery-grid breakpoints; the client's layout
+  # engine replaces them with each cell's exact width
+  GRID_IMAGE_SIZES = "(min-width: 1400px) 460px, (min-width: 480px) 50vw, 100vw".freeze
+  
+  # How a photo left the gallery: the share sheet with the file or the
+  # link, or the link copied from the fallback popover
+  SHARE_METHODS = %w[file link copy].freeze
+  
+  # How soon a download can be retried while its photos are prepared
+  DELIVERY_RETRY_AFTER = 1.minute
+  
+  # How long the tokens that keep a fetch out of the download count last:
+  # a zoom token for as long as a visitor may keep the gallery open, a
+  # bulk token for the client-side ZIP that was just counted
+  ZOOM_TOKEN_TTL = 1.day
+  BULK_DOWNLOAD_TOKEN_TTL = 1.hour
   
   # Performance monitoring for critical actions
   around_action :performance_monitoring, only: [:show]
 
   def show
-    # Optimized query with minimal database hits
-    @images = @gallery.images
-      .includes(file_attachment: [:blob, { variant_attachments: :blob }])
-      .where(processing_status: :completed)
-      .ordered
-      .select(:id, :filename, :alt_text, :position, :processing_status, :gallery_id)
+    # Photos still waiting for their watermarked copy have nothing to show
+    visible_images = @gallery.images.where(processing_status: :completed).displayable_in(@gallery)
+    # The count and the days the search's date range can span, in one query
+    @total_images, first_capture, last_capture = visible_images.pick(
+      Arel.sql('COUNT(*)'), Arel.sql('MIN(images.captured_at)'), Arel.sql('MAX(images.captured_at)')
+    )
+    @capture_days = first_capture && (first_capture.in_time_zone.to_date..last_capture.in_time_zone.to_date)
+    
+    # One keyset page at a time; the grid fetches the rest as it scrolls
+    @images = images_page(visible_images)
+    if @images.nil?
+      # A mangled shared link starts the visitor at the top of the gallery
+      respond_to do |format|
+        format.json { render json: { error: 'Invalid cursor' }, status: :bad_request }
+        format.any { redirect_to public_gallery_path(@gallery.slug) }
+      end
+      return
+    end
     
-    # Batch increment views for better performance
-    increment_gallery_views_async
+    # Further pages aren't further views
+    increment_gallery_views_async unless request.format.json?
+    
+    # Sections with photos to show, for the headings and the jump-nav
+    @sections = @gallery.sections.ordered.where(id: visible_images.select(:section_id)) unless request.format.json?
     
     # Pre-generate URLs in batches to avoid N+1
     @images_data = build_optimized_images_data(@images)
@@ -27,14 +67,20 @@ class PublicGalleriesController < ApplicationController
     
     respond_to do |format|
       format.html { render_with_performance_hints }
-      format.json { render json: { images: @images_data } }
+      format.json do
+        render json: {
+          images: @images_data,
+          next_cursor: @next_cursor,
+          total_count: @total_images
+        }
+      end
     end
   end
 
   def authenticate
     if @gallery.authenticate_password(params[:password])
       session["gallery_#{@gallery.id}_authenticated"] = true
-      redirect_to public_gallery_path(@gallery.slug), 
+      redirect_to public_gallery_path(@gallery.slug, photo: requested_photo_id), 
                   notice: "Welcome to #{@gallery.title}"
     else
       @error = "Incorrect password. Please try again."
@@ -43,11 +89,17 @@ class PublicGalleriesController < ApplicationController
   end
 
   def download
-    # Optimized image lookup with minimal fields
-    @image = @gallery.images.select(:id, :filename).find(params[:image_id])
+    @image = @gallery.images.find(params[:image_id])
     
     # Log download for analytics (async to avoid blocking)
-    log_download_async(@gallery, @image)
+    log_download_async(@gallery, @image) unless uncounted_download?(@image)
+    
+    # Never fall back to an original that still carries metadata the
+    # policy removes, or to a clean photo while the gallery is proofing
+    unless @image.delivery_ready?
+      render_delivery_pending
+      return
+    end
     
     # Generate signed URL for secure download
     download_url = @image.download_url
@@ -57,50 +109,121 @@ class PublicGalleriesController < ApplicationController
                 alert: "Image not found"
   end
 
+  # GET/POST /g/:slug/download_all(?image_ids[]=...)
+  # Streams a ZIP of the originals (the whole gallery, or just the requested
+  # images); the JSON variant lists per-image download URLs instead.
   def download_all
+    images = bulk_download_images
+    
+    if images.empty?
+      respond_to do |format|
+        format.json { render json: { error: 'No photos to download' }, status: :not_found }
+        format.any { redirect_to public_gallery_path(@gallery.slug), alert: 'No photos to download.' }
+      end
+      return
+    end
+    
+    unless images.all?(&:delivery_ready?)
+      render_delivery_pending
+      return
+    end
+    
     # Log bulk download for analytics (async)
-    log_bulk_download_async(@gallery)
+    log_bulk_download_async(@gallery, images.size)
     
     respond_to do |format|
-      format.html do
-        flash[:notice] = "Bulk download feature coming soon! Download individual images for now."
-        redirect_to public_gallery_path(@gallery.slug)
-      end
       format.json do
         # Batch generate download URLs efficiently
-        download_urls = batch_generate_download_urls(@gallery.images)
+        download_urls = batch_generate_download_urls(images)
         render json: { downloads: download_urls }
       end
+      format.any { stream_zip_archive(images) }
     end
   end
 
+  # POST /g/:slug/share/:image_id
+  # Records a photo shared from the grid or the lightbox; the sharing itself
+  # (share sheet, copied link or QR code) happens in the browser. Scanned
+  # QR codes can't be seen from here.
+  def share
+    image = @gallery.images.where(processing_status: :completed).find_by(id: params[:image_id])
+    return render json: { error: 'Image not found' }, status: :not_found unless image
+    
+    log_share_async(@gallery, image, params[:share_method])
+    head :no_content
+  end
+
   private
 
-  def find_gallery
-    # Optimized gallery lookup with minimal joins
-    @gallery = Gallery.includes(:photographer)
-      .published
-      .not_expired
-      .select(:id, :slug, :title, :description, :photographer_id, :views_count, :images_count, :created_at)
-      .find_by!(slug: params[:slug])
-  rescue ActiveRecord::RecordNotFound
-    render :not_found, status: :not_found
+  def check_downloads_allowed
+    return if @gallery.allow_downloads?
+    
+    respond_to do |format|
+      format.json { render json: { error: 'Downloads are disabled for this gallery' }, status: :forbidden }
+      format.any { redirect_to public_gallery_path(@gallery.slug), alert: 'Downloads are disabled for this gallery.' }
+    end
   end
-
-  def check_gallery_access
-    unless @gallery.viewable?
-      if @gallery.expired?
-        render :expired, status: :gone
-      else
-        render :not_found, status: :not_found
-      end
+  
+  def check_sharing_allowed
+    return if @gallery.allow_sharing?
+    
+    render json: { error: 'Sharing is disabled for this gallery' }, status: :forbidden
+  end
+  
+  # Deep-linked lightbox photo (?photo=<id>) carried through the password form
+  def requested_photo_id
+    photo_id = params[:photo].to_i
+    photo_id.positive? ? photo_id : nil
+  end
+  
+  # A page of the grid, starting after ?cursor= (the opaque
+  # "<position>-<id>" of the last image already shown). Sets @next_cursor
+  # while more images follow; nil for a malformed cursor.
+  def images_page(scope)
+    scope = scope.in_page_order
+    
+    if params[:cursor].present?
+      cursor = parse_images_cursor(params[:cursor])
+      return nil if cursor.nil?
+      
+      scope = scope.after_page_key(*cursor)
     end
+    
+    limit = images_page_limit(scope)
+    page = scope
+      .includes(file_attachment: [:blob, { variant_attachments: :blob }],
+                delivery_file_attachment: [:blob, { variant_attachments: :blob }],
+                watermarked_file_attachment: [:blob, { variant_attachments: :blob }],
+                poster_attachment: [:blob, { variant_attachments: :blob }],
+                web_video_attachment: :blob)
+      .select(:id, :filename, :alt_text, :caption, :position, :processing_status, :gallery_id, :width, :height, :variants_generated, :blur_placeholder, :dominant_color,
+              :exif, :captured_at, :metadata_policy_applied, :watermark_applied, :section_id, :content_type, :duration)
+      .limit(limit + 1)
+      .to_a
+    
+    @next_cursor = images_cursor(page[limit - 1]) if page.size > limit
+    page.first(limit)
   end
-
-  def authenticate_gallery_password
-    return if session["gallery_#{@gallery.id}_authenticated"]
+  
+  # ?limit= within bounds, stretched so a deep-linked photo (?photo=<id>) is
+  # part of the page and the lightbox can open on it straight away
+  def images_page_limit(scope)
+    limit = params[:limit].to_i
+    limit = limit.positive? ? [limit, MAX_IMAGES_PAGE_SIZE].min : IMAGES_PAGE_SIZE
+    
+    photo = requested_photo_id && scope.find_by(id: requested_photo_id)
+    return limit unless photo
     
-    render :password_form, status: :unauthorized
+    [limit, scope.through_page_key(photo.position, photo.id).count].max
+  end
+  
+  def images_cursor(image)
+    "#{image.position}-#{image.id}"
+  end
+  
+  def parse_images_cursor(cursor)
+    match = /\A(-?\d+)-(\d+)\z/.match(cursor.to_s)
+    match && [match[1].to_i, match[2].to_i]
   end
   
   # Performance optimization methods
@@ -113,9 +236,31 @@ class PublicGalleriesController < ApplicationController
         filename: image.filename,
         thumbnail_url: optimized_thumbnail_url(image),
         web_url: optimized_web_url(image),
+        # What the lightbox starts at on a slow connection
+        preview_url: image.preview_url,
+        srcset: Image::VARIANT_FORMATS.index_with { |format| image.responsive_srcset(format) },
         download_url: download_image_path(@gallery.slug, image.id),
-        alt_text: image.alt_text || "#{@gallery.title} - Photo #{image.position}"
-      }
+        # Where the lightbox loads the original when zooming in
+        zoom_url: download_image_path(
+          @gallery.slug, image.id, zoom: image.signed_id(expires_in: ZOOM_TOKEN_TTL, purpose: :zoom)
+        ),
+        width: image.width,
+        height: image.height,
+        placeholder: image.blur_placeholder,
+        dominant_color: image.dominant_color,
+        alt_text: image.alt_text || "#{@gallery.title} - Photo #{image.position}",
+        caption: image.caption.presence,
+        section_id: image.section_id,
+        video: image.video?,
+        # nil while the gallery is proofing, when only the poster is shown
+        video_url: image.playback_url,
+        duration_label: image.duration_label,
+        # Searched by day, so it's there even when camera details are hidden
+        captured_on: image.captured_at&.to_date&.iso8601
+      }.tap do |data|
+        # Left out entirely when the photographer hides camera details
+        data[:exif] = image.exif_details if @gallery.show_exif?
+      end
     end
   end
   
@@ -143,28 +288,118 @@ class PublicGalleriesController < ApplicationController
   end
   
   def increment_gallery_views_async
-    # Use background job to avoid blocking the main request
-    GalleryAnalyticsJob.perform_later(@gallery.id, 'view', request.remote_ip)
+    # Use background job to avoid blocking the main request. Where the
+    # visit came from and the kind of device feed the photographer's
+    # analytics page.
+    GalleryAnalyticsJob.perform_later(
+      @gallery.id, 'view', request.remote_ip,
+      referrer_host: AnalyticsEvent.referrer_host(request.referer, request.host),
+      device: AnalyticsEvent.device_type(request.user_agent)
+    )
   end
   
   def log_download_async(gallery, image)
     GalleryAnalyticsJob.perform_later(gallery.id, 'download', request.remote_ip, image_id: image.id)
   end
   
-  def log_bulk_download_async(gallery)
-    GalleryAnalyticsJob.perform_later(gallery.id, 'bulk_download', request.remote_ip)
+  # Originals the lightbox loads to zoom in aren't downloads, and files
+  # fetched for a client-side ZIP were counted by download_all as one bulk
+  # download. Both carry a short-lived token signed for the image, so a
+  # hand-made link can't opt out of the count.
+  def uncounted_download?(image)
+    { zoom: :zoom, bulk: :bulk_download }.any? do |param, purpose|
+      params[param].present? && Image.find_signed(params[param].to_s, purpose: purpose) == image
+    end
+  end
+  
+  def log_bulk_download_async(gallery, image_count)
+    GalleryAnalyticsJob.perform_later(gallery.id, 'bulk_download', request.remote_ip, image_count: image_count)
+  end
+  
+  def log_share_async(gallery, image, share_method)
+    share_method = SHARE_METHODS.include?(share_method) ? share_method : 'link'
+    GalleryAnalyticsJob.perform_later(gallery.id, 'share', request.remote_ip, image_id: image.id, share_method: share_method)
+  end
+  
+  # Completed images for a bulk download, optionally narrowed to the
+  # image_ids param (an array or a comma-separated list)
+  def bulk_download_images
+    scope = @gallery.images
+      .includes(file_attachment: :blob, delivery_file_attachment: :blob, watermarked_file_attachment: :blob, poster_attachment: :blob)
+      .where(processing_status: :completed)
+      .ordered
+    
+    image_ids = Array(params[:image_ids]).flat_map { |id| id.to_s.split(',') }
+                                         .map(&:to_i)
+                                         .select(&:positive?)
+    scope = scope.where(id: image_ids) if image_ids.any?
+    
+    scope.select { |image| image.file.attached? }
   end
   
   def batch_generate_download_urls(images)
     # Generate all URLs efficiently without individual queries
-    images.select(:id, :filename).map do |image|
+    images.map do |image|
       {
         filename: image.filename,
-        url: download_image_path(@gallery.slug, image.id)
+        # Counted by download_all as part of the bulk download
+        url: download_image_path(
+          @gallery.slug, image.id,
+          bulk: image.signed_id(expires_in: BULK_DOWNLOAD_TOKEN_TTL, purpose: :bulk_download)
+        )
       }
     end
   end
   
+  # Writes each original (as scrubbed under the gallery's metadata policy,
+  # and watermarked while the gallery is proofing) into the archive as it
+  # is read from storage, so neither memory nor a temp file ever holds the
+  # whole gallery. Photos are stored rather than deflated since they are
+  # already compressed.
+  def stream_zip_archive(images)
+    used_names = Set.new
+    
+    zip_kit_stream(filename: "#{@gallery.slug}.zip") do |zip|
+      images.each do |image|
+        entry_name = unique_archive_name(image.download_source.filename.to_s, used_names)
+        
+        zip.write_stored_file(entry_name, modification_time: image.created_at) do |sink|
+          image.download_source.blob.download { |chunk| sink << chunk }
+        end
+      end
+    end
+  end
+  
+  # The processing job prepares the scrubbed and watermarked copies after
+  # a gallery's metadata policy or watermark changes; until it has caught
+  # up, visitors are asked to try again rather than kept waiting
+  def render_delivery_pending
+    response.headers['Retry-After'] = DELIVERY_RETRY_AFTER.to_i.to_s
+    
+    respond_to do |format|
+      format.json { render json: { error: 'Photos are still being prepared' }, status: :conflict }
+      format.any do
+        redirect_to public_gallery_path(@gallery.slug),
+                    alert: 'These photos are still being prepared for download. Please try again in a minute.'
+      end
+    end
+  end
+  
+  def unique_archive_name(filename, used_names)
+    extension = File.extname(filename)
+    base = File.basename(filename, extension)
+    name = filename
+    counter = 1
+    
+    while used_names.include?(name.downcase)
+      name = "#{base} (#{counter})#{extension}"
+      counter += 1
+    end
+    
+    used_names << name.downcase
+    name
+  end
+  
   def set_performance_headers
     # Set appropriate caching headers for better performance
     expires_in 5.minutes, public: true
@@ -178,20 +413,14 @@ class PublicGalleriesController < ApplicationController
     render :show
   end
   
+  # Preloads the above-the-fold thumbnails the way the grid's <picture>
+  # will pick them, so the preload is never a wasted second download.
+  # Browsers without AVIF ignore these hints.
   def build_resource_hints
-    hints = []
-    
-    # Preload critical images (first 6 for above-the-fold)
-    @images.limit(6).each do |image|
-      hints << "<#{optimized_thumbnail_url(image)}>; rel=preload; as=image"
-    end
-    
-    # Prefetch web-size images for faster lightbox loading
-    @images.limit(3).each do |image|
-      hints << "<#{optimized_web_url(image)}>; rel=prefetch; as=image"
-    end
-    
-    hints.join(', ')
+    @images_data.first(6).map do |image|
+      "<#{image[:thumbnail_url]}>; rel=preload; as=image; type=\"image/avif\"; " \
+        "imagesrcset=\"#{image[:srcset][:avif]}\"; imagesizes=\"#{GRID_IMAGE_SIZES}\""
+    end.join(', ')
   end
   
   def performance_monitoring
@@ -0,0 +1,108 @@
+class PublicSelectionsController < ApplicationController
+  include PublicGalleryAccess
+  
+  before_action :find_gallery
+  before_action :check_gallery_access
+  before_action :authenticate_gallery_password
+  before_action :set_selection, only: [:show, :favorite, :unfavorite, :submit]
+  before_action :require_selection, only: [:favorite, :unfavorite, :submit]
+  before_action :require_open_selection, only: [:favorite, :unfavorite, :submit]
+  before_action :set_image, only: [:favorite, :unfavorite]
+  
+  # GET /g/:slug/selection
+  def show
+    render json: { selection: @selection }
+  end
+  
+  # POST /g/:slug/selection
+  # Starts (or renames) the visitor's named guest selection
+  def create
+    @selection = current_selection || @gallery.client_selections.build
+    @selection.guest_name = params[:guest_name]
+    
+    if @selection.save
+      session[selection_session_key] = @selection.token
+      render json: { status: 'success', selection: @selection }
+    else
+      render json: {
+        status: 'error',
+        errors: @selection.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+  
+  # POST /g/:slug/favorites/:image_id
+  def favorite
+    favorite = @selection.favorites.find_or_initialize_by(image: @image)
+    
+    if favorite.persisted? || favorite.save
+      render json: { status: 'success', selection: @selection.reload }
+    else
+      render json: {
+        status: 'error',
+        errors: favorite.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  rescue ActiveRecord::RecordNotUnique
+    # A double tap raced this request to the unique index; the image is a
+    # favorite either way
+    render json: { status: 'success', selection: @selection.reload }
+  end
+  
+  # DELETE /g/:slug/favorites/:image_id
+  def unfavorite
+    @selection.favorites.where(image: @image).destroy_all
+    render json: { status: 'success', selection: @selection.reload }
+  end
+  
+  # POST /g/:slug/selection/submit
+  # Locks the visitor's picks and lets the photographer know
+  def submit
+    if @selection.favorites_count.zero?
+      return render json: {
+        status: 'error',
+        errors: ['Choose at least one image before submitting']
+      }, status: :unprocessable_entity
+    end
+    
+    @selection.submit!
+    PhotographerMailer.selection_submitted(@selection).deliver_later
+    
+    render json: { status: 'success', selection: @selection }
+  end
+  
+  private
+  
+  def set_selection
+    @selection = current_selection
+  end
+  
+  def require_selection
+    return if @selection
+    
+    render json: {
+      status: 'error',
+      errors: ['Please enter your name before choosing favorites']
+    }, status: :unprocessable_entity
+  end
+  
+  def require_open_selection
+    if @gallery.selection_locked?
+      render json: {
+        status: 'error',
+        errors: ['The photographer has closed selections for this gallery']
+      }, status: :unprocessable_entity
+    elsif @selection.submitted?
+      render json: {
+        status: 'error',
+        errors: ['Your selection has already been submitted']
+      }, status: :unprocessable_entity
+    end
+  end
+  
+  def set_image
+    @image = @gallery.images.where(processing_status: :completed).find(params[:image_id])
+  rescue ActiveRecord::RecordNotFound
+    render json: { status: 'error', errors: ['Image not found'] }, status: :not_found
+  end
+end
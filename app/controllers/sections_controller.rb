@@ -0,0 +1,87 @@
+class SectionsController < ApplicationController
+  before_action :authenticate_photographer!
+  before_action :set_gallery
+  before_action :set_section, only: [:update, :destroy]
+  
+  # POST /galleries/:gallery_id/sections
+  # New sections go after the existing ones
+  def create
+    section = @gallery.sections.build(section_params)
+    
+    if section.save
+      render json: { status: 'success', section: section }, status: :created
+    else
+      render json: {
+        status: 'error',
+        errors: section.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+  
+  # PATCH /galleries/:gallery_id/sections/:id
+  # Renames a section
+  def update
+    if @section.update(section_params)
+      render json: { status: 'success', section: @section }
+    else
+      render json: {
+        status: 'error',
+        errors: @section.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+  
+  # DELETE /galleries/:gallery_id/sections/:id
+  # The section's photos move to the one before it
+  def destroy
+    @section.destroy
+    render json: { status: 'success', message: 'Section deleted successfully' }
+  end
+  
+  # PATCH /galleries/:gallery_id/sections/reorder
+  # section_ids: every section of the gallery in its new order. The images
+  # are renumbered to follow.
+  def reorder
+    section_ids = params.require(:section_ids).map(&:to_s)
+    
+    unless section_ids.sort == @gallery.sections.pluck(:id).map(&:to_s).sort
+      return render json: {
+        status: 'error',
+        errors: ['Section list does not match this gallery']
+      }, status: :unprocessable_entity
+    end
+    
+    ActiveRecord::Base.transaction do
+      section_ids.each_with_index do |section_id, index|
+        @gallery.sections.where(id: section_id).update_all(position: index + 1)
+      end
+      @gallery.resequence_images!
+    end
+    
+    render json: { status: 'success', message: 'Sections reordered successfully' }
+  end
+  
+  private
+  
+  def set_gallery
+    @gallery = current_photographer.galleries.find(params[:gallery_id])
+  rescue ActiveRecord::RecordNotFound
+    render json: { 
+      status: 'error', 
+      errors: ['Gallery not found or access denied'] 
+    }, status: :not_found
+  end
+  
+  def set_section
+    @section = @gallery.sections.find(params[:id])
+  rescue ActiveRecord::RecordNotFound
+    render json: { 
+      status: 'error', 
+      errors: ['Section not found'] 
+    }, status: :not_found
+  end
+  
+  def section_params
+    params.require(:section).permit(:name)
+  end
+end
@@ -0,0 +1,14 @@
+class ServiceWorkersController < ApplicationController
+  # Browsers fetch the worker script directly, which Rails' cross-origin
+  # JavaScript check would otherwise reject
+  skip_forgery_protection
+  
+  # GET /service-worker.js
+  # Served from the root so its scope can cover every public gallery
+  def show
+    # Browsers look for a new worker on each navigation; never let an HTTP
+    # cache answer for it
+    response.headers['Cache-Control'] = 'no-cache'
+    render layout: false, content_type: 'text/javascript'
+  end
+end
@@ -28,6 +28,15 @@ module ApplicationHelper
     "#{size.round(1)} #{units[unit_index]}"
   end
 
+  # Time a photo was on screen: 42_000 → "42 s", 135_000 → "2 min 15 s"
+  def dwell_duration(milliseconds)
+    seconds = (milliseconds.to_i / 1000.0).round
+    return "#{seconds} s" if seconds < 60
+    
+    minutes, seconds = seconds.divmod(60)
+    seconds.zero? ? "#{minutes} min" : "#{minutes} min #{seconds} s"
+  end
+
   # Generate responsive image srcset for different screen densities
   def responsive_image_srcset(image, variant_name)
     return '' unless image&.file&.attached?
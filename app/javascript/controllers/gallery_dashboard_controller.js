@@ -414,6 +414,7 @@ export default class extends Controller {
     if (gallery.featured) badges += '<span class="badge bg-warning">Featured</span> '
     if (gallery.password_protected) badges += '<span class="badge bg-info">Protected</span> '
     if (gallery.expired) badges += '<span class="badge bg-danger">Expired</span> '
+    if (gallery.selection_locked) badges += '<span class="badge bg-success"><i class="fas fa-lock me-1" aria-hidden="true"></i>Picks submitted</span> '
     
     return badges ? `<div class="position-absolute top-0 start-0 p-2">${badges}</div>` : ''
   }
@@ -445,6 +446,11 @@ export default class extends Controller {
             <i class="fas fa-ellipsis-v"></i>
           </button>
           <ul class="dropdown-menu">
+            <li>
+              <a href="/galleries/${gallery.id}/analytics" class="dropdown-item">
+                <i class="fas fa-chart-bar me-2"></i>Analytics
+              </a>
+            </li>
             <li>
               <button class="dropdown-item" 
                       data-action="click->gallery-dashboard#duplicateGallery"
@@ -1,122 +1,73 @@
 import { Controller } from "@hotwired/stimulus"
+import { Lightbox } from "lib/lightbox"
+import { PreloadPlugin, ZoomPlugin, DownloadPlugin, AnalyticsPlugin } from "lib/lightbox_plugins"
 
 // Connects to data-controller="gallery-viewer"
 export default class extends Controller {
-  static targets = ["modal", "modalImage", "modalTitle", "prevButton", "nextButton"]
-  static values = { images: Array, currentIndex: Number }
+  static targets = ["modal", "modalImage", "modalTitle", "prevButton", "nextButton", "announcer", "shortcuts", "shortcutsToggle"]
+  static values = { images: Array }
 
   connect() {
-    this.currentIndexValue = 0
+    if (!this.hasModalTarget) return
+
+    this.downloads = new DownloadPlugin({ link: this.modalTarget.querySelector('.download-btn') })
+
+    // The shared lightbox (lib/lightbox) shown in a Bootstrap modal, which
+    // keeps focus inside itself while it's open
+    this.lightbox = new Lightbox({
+      element: this.modalTarget,
+      image: this.modalImageTarget,
+      announcer: this.hasAnnouncerTarget ? this.announcerTarget : null,
+      prevButton: this.prevButtonTarget,
+      nextButton: this.nextButtonTarget,
+      shortcutsPanel: this.hasShortcutsTarget ? this.shortcutsTarget : null,
+      shortcutsToggle: this.hasShortcutsToggleTarget ? this.shortcutsToggleTarget : null,
+      images: () => this.imagesValue,
+      navigation: 'disable',
+      present: () => bootstrap.Modal.getOrCreateInstance(this.modalTarget).show(),
+      dismiss: () => bootstrap.Modal.getOrCreateInstance(this.modalTarget).hide(),
+      plugins: [
+        new PreloadPlugin(),
+        // The dashboard zooms into the web rendition; originals are only
+        // fetched on download
+        new ZoomPlugin({ originalUrl: () => null }),
+        this.downloads,
+        new AnalyticsPlugin(),
+        { shown: image => { this.modalTitleTarget.textContent = image.filename } }
+      ]
+    })
   }
 
+  disconnect() {
+    this.lightbox?.destroy()
+  }
+
+  // Focus goes back to the thumbnail that opened the viewer
   showImage(event) {
-    const imageIndex = parseInt(event.currentTarget.dataset.imageIndex)
-    this.currentIndexValue = imageIndex
-    this.updateModal()
-    this.showModal()
+    this.lightbox.open(parseInt(event.currentTarget.dataset.imageIndex))
   }
 
   previousImage() {
-    if (this.currentIndexValue > 0) {
-      this.currentIndexValue--
-      this.updateModal()
-    }
+    this.lightbox.prev()
   }
 
   nextImage() {
-    if (this.currentIndexValue < this.imagesValue.length - 1) {
-      this.currentIndexValue++
-      this.updateModal()
-    }
+    this.lightbox.next()
   }
 
-  updateModal() {
-    const currentImage = this.imagesValue[this.currentIndexValue]
-    
-    if (!currentImage) return
-
-    this.modalImageTarget.src = currentImage.web_url
-    this.modalImageTarget.alt = currentImage.filename
-    this.modalTitleTarget.textContent = currentImage.filename
-
-    // Update navigation buttons
-    this.prevButtonTarget.disabled = this.currentIndexValue === 0
-    this.nextButtonTarget.disabled = this.currentIndexValue === this.imagesValue.length - 1
-
-    // Add download link
-    this.updateDownloadLink(currentImage)
+  // Bootstrap closed the modal (its close button, backdrop or Escape)
+  modalHidden() {
+    this.lightbox.close()
   }
 
-  updateDownloadLink(image) {
-    const downloadButton = this.modalTarget.querySelector('.download-btn')
-    if (downloadButton) {
-      downloadButton.href = image.download_url
-      downloadButton.download = image.filename
-    }
-  }
-
-  showModal() {
-    const modal = new bootstrap.Modal(this.modalTarget)
-    modal.show()
+  toggleShortcuts() {
+    this.lightbox.toggleShortcuts()
   }
 
+  // The link already points at the photo; it's saved through the plugin
+  // so a click doesn't fetch it twice
   downloadImage(event) {
-    const currentImage = this.imagesValue[this.currentIndexValue]
-    if (!currentImage) return
-
-    // Create a temporary link to trigger download
-    const link = document.createElement('a')
-    link.href = currentImage.download_url
-    link.download = currentImage.filename
-    link.style.display = 'none'
-    
-    document.body.appendChild(link)
-    link.click()
-    document.body.removeChild(link)
-  }
-
-  // Keyboard navigation
-  keyPressed(event) {
-    if (!this.modalTarget.classList.contains('show')) return
-
-    switch(event.key) {
-      case 'ArrowLeft':
-        event.preventDefault()
-        this.previousImage()
-        break
-      case 'ArrowRight':
-        event.preventDefault()
-        this.nextImage()
-        break
-      case 'Escape':
-        event.preventDefault()
-        const modal = bootstrap.Modal.getInstance(this.modalTarget)
-        if (modal) modal.hide()
-        break
-    }
-  }
-
-  // Touch/swipe support for mobile
-  touchStart(event) {
-    this.startX = event.touches[0].clientX
-  }
-
-  touchEnd(event) {
-    if (!this.startX) return
-
-    const endX = event.changedTouches[0].clientX
-    const diffX = this.startX - endX
-
-    if (Math.abs(diffX) > 50) { // Minimum swipe distance
-      if (diffX > 0) {
-        // Swipe left - next image
-        this.nextImage()
-      } else {
-        // Swipe right - previous image
-        this.previousImage()
-      }
-    }
-
-    this.startX = null
+    event.preventDefault()
+    this.downloads.downloadCurrent()
   }
-}
\ No newline at end of file
+}
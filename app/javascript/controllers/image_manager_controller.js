@@ -3,29 +3,80 @@ import Sortable from 'sortablejs'
 
 // Connects to data-controller="image-manager"
 export default class extends Controller {
-  static targets = ["imageContainer", "selectedCount", "bulkActions"]
-  static values = { galleryId: Number }
+  static targets = [
+    "imageContainer", "imageGroup", "selectedCount", "bulkActions",
+    "sectionList", "section", "sectionTemplate", "sectionName", "unsectionedHeader",
+    "selectionFilter", "selectionList", "exportActions", "exportLink",
+    "commentList", "commentsHeading", "commentsShowAll"
+  ]
+  static values = {
+    galleryId: Number,
+    selectionsUrl: String,
+    commentsUrl: String,
+    commentsPollInterval: { type: Number, default: 15000 }
+  }
 
   connect() {
     this.selectedImages = new Set()
+    this.clientSelections = []
     this.setupSortable()
     this.setupBulkSelection()
+
+    if (this.hasSelectionsUrlValue) {
+      this.loadSelections()
+    }
+
+    if (this.hasCommentsUrlValue) {
+      this.commentImageId = null
+      this.latestCommentId = null
+      this.loadComments()
+      this.setupCommentPolling()
+    }
+  }
+
+  disconnect() {
+    if (this.commentPollTimer) {
+      clearInterval(this.commentPollTimer)
+    }
   }
 
+  // Each section's grid is its own list in one Sortable group, so photos
+  // can be dragged from one section to another; the sections themselves
+  // are reordered by their handles
   setupSortable() {
-    if (this.hasImageContainerTarget) {
-      this.sortable = Sortable.create(this.imageContainerTarget, {
+    this.imageGroupTargets.forEach(group => this.setupImageGroup(group))
+
+    if (this.hasSectionListTarget) {
+      this.sectionSortable = Sortable.create(this.sectionListTarget, {
         animation: 200,
         ghostClass: 'sortable-ghost',
         chosenClass: 'sortable-chosen',
         dragClass: 'sortable-drag',
-        handle: '.drag-handle',
-        onEnd: this.handleReorder.bind(this)
+        handle: '.section-drag-handle',
+        onEnd: this.handleSectionReorder.bind(this)
       })
     }
   }
 
+  setupImageGroup(group) {
+    Sortable.create(group, {
+      group: 'images',
+      animation: 200,
+      ghostClass: 'sortable-ghost',
+      chosenClass: 'sortable-chosen',
+      dragClass: 'sortable-drag',
+      handle: '.drag-handle',
+      onEnd: this.handleReorder.bind(this)
+    })
+  }
+
+  imageCards() {
+    return Array.from(this.imageContainerTarget.querySelectorAll('[data-image-id][data-filename]'))
+  }
+
   setupBulkSelection() {
+    if (!this.hasImageContainerTarget) return
+
     // Add event delegation for image selection
     this.imageContainerTarget.addEventListener('change', (event) => {
       if (event.target.matches('.image-checkbox')) {
@@ -40,11 +91,17 @@ export default class extends Controller {
     }
   }
 
+  // Sends the whole order with the section each photo is now in ('' for
+  // none)
   async handleReorder(event) {
-    const imageElements = Array.from(this.imageContainerTarget.children)
-    const imageIds = imageElements.map(element => 
-      parseInt(element.dataset.imageId)
-    ).filter(id => !isNaN(id))
+    const imageIds = []
+    const sectionIds = []
+    this.imageGroupTargets.forEach(group => {
+      group.querySelectorAll(':scope > [data-image-id]').forEach(card => {
+        imageIds.push(parseInt(card.dataset.imageId))
+        sectionIds.push(group.dataset.sectionId || '')
+      })
+    })
 
     try {
       const response = await fetch(`/galleries/${this.galleryIdValue}/images/reorder`, {
@@ -53,7 +110,7 @@ export default class extends Controller {
           'Content-Type': 'application/json',
           'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
         },
-        body: JSON.stringify({ image_ids: imageIds })
+        body: JSON.stringify({ image_ids: imageIds, section_ids: sectionIds })
       })
 
       const data = await response.json()
@@ -61,24 +118,143 @@ export default class extends Controller {
       if (!response.ok || data.status !== 'success') {
         this.showError('Failed to reorder images')
         // Revert the DOM changes if the request failed
-        this.revertOrder(event.oldIndex, event.newIndex)
+        this.revertOrder(event)
       }
     } catch (error) {
       console.error('Reorder error:', error)
       this.showError('Failed to reorder images')
-      this.revertOrder(event.oldIndex, event.newIndex)
+      this.revertOrder(event)
     }
+
+    this.updateSectionCounts()
   }
 
-  revertOrder(oldIndex, newIndex) {
-    // Revert the DOM changes by moving the element back
-    const items = Array.from(this.imageContainerTarget.children)
-    const item = items[newIndex]
-    
-    if (oldIndex < newIndex) {
-      this.imageContainerTarget.insertBefore(item, items[oldIndex])
-    } else {
-      this.imageContainerTarget.insertBefore(item, items[oldIndex + 1])
+  // Moves a dragged element back where it came from, which may be another
+  // list
+  revertOrder({ item, from, to, oldIndex, newIndex }) {
+    const shift = from === to && oldIndex > newIndex ? 1 : 0
+    from.insertBefore(item, from.children[oldIndex + shift] || null)
+  }
+
+  // Sections: the server renumbers the photos to follow the new order
+  async handleSectionReorder(event) {
+    if (event.oldIndex === event.newIndex) return
+
+    const sectionIds = this.sectionTargets.map(section => parseInt(section.dataset.sectionId))
+
+    try {
+      const response = await fetch(`/galleries/${this.galleryIdValue}/sections/reorder`, {
+        method: 'PATCH',
+        headers: this.jsonHeaders(),
+        body: JSON.stringify({ section_ids: sectionIds })
+      })
+
+      const data = await response.json()
+      if (!response.ok || data.status !== 'success') throw new Error(data.errors?.join(', ') || `HTTP ${response.status}`)
+    } catch (error) {
+      console.error('Section reorder error:', error)
+      this.showError('Failed to reorder sections')
+      this.revertOrder(event)
+    }
+  }
+
+  async createSection(event) {
+    event.preventDefault()
+
+    const name = this.sectionNameTarget.value.trim()
+    if (!name) return
+
+    try {
+      const response = await fetch(`/galleries/${this.galleryIdValue}/sections`, {
+        method: 'POST',
+        headers: this.jsonHeaders(),
+        body: JSON.stringify({ section: { name } })
+      })
+
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.errors?.join(', ') || `HTTP ${response.status}`)
+
+      const section = this.sectionTemplateTarget.content.firstElementChild.cloneNode(true)
+      section.dataset.sectionId = data.section.id
+      section.querySelector('[data-section-name]').textContent = data.section.name
+      section.querySelector('[data-image-manager-target="imageGroup"]').dataset.sectionId = data.section.id
+
+      this.sectionListTarget.appendChild(section)
+      this.setupImageGroup(section.querySelector('[data-image-manager-target="imageGroup"]'))
+      this.sectionNameTarget.value = ''
+      this.updateSectionCounts()
+    } catch (error) {
+      console.error('Create section error:', error)
+      this.showError(`Failed to add section: ${error.message}`)
+    }
+  }
+
+  async renameSection(event) {
+    const section = event.currentTarget.closest('[data-image-manager-target="section"]')
+    const nameElement = section.querySelector('[data-section-name]')
+    const name = prompt('Section name', nameElement.textContent)?.trim()
+    if (!name || name === nameElement.textContent) return
+
+    try {
+      const response = await fetch(`/galleries/${this.galleryIdValue}/sections/${section.dataset.sectionId}`, {
+        method: 'PATCH',
+        headers: this.jsonHeaders(),
+        body: JSON.stringify({ section: { name } })
+      })
+
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.errors?.join(', ') || `HTTP ${response.status}`)
+
+      nameElement.textContent = data.section.name
+    } catch (error) {
+      console.error('Rename section error:', error)
+      this.showError(`Failed to rename section: ${error.message}`)
+    }
+  }
+
+  // The section's photos join the one before it, as they do on the server
+  async deleteSection(event) {
+    const section = event.currentTarget.closest('[data-image-manager-target="section"]')
+    const name = section.querySelector('[data-section-name]').textContent
+    if (!confirm(`Delete the section "${name}"? Its photos move to the section before it.`)) return
+
+    try {
+      const response = await fetch(`/galleries/${this.galleryIdValue}/sections/${section.dataset.sectionId}`, {
+        method: 'DELETE',
+        headers: this.jsonHeaders()
+      })
+
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const groups = this.imageGroupTargets
+      const group = section.querySelector('[data-image-manager-target="imageGroup"]')
+      const previousGroup = groups[groups.indexOf(group) - 1]
+      previousGroup.append(...group.children)
+
+      section.remove()
+      this.updateSectionCounts()
+    } catch (error) {
+      console.error('Delete section error:', error)
+      this.showError('Failed to delete section')
+    }
+  }
+
+  updateSectionCounts() {
+    this.imageGroupTargets.forEach(group => {
+      const count = group.closest('.image-manager-section')?.querySelector('[data-section-count]')
+      if (count) count.textContent = group.children.length
+    })
+
+    if (this.hasUnsectionedHeaderTarget) {
+      this.unsectionedHeaderTarget.hidden = this.sectionTargets.length === 0
+    }
+  }
+
+  jsonHeaders() {
+    return {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
     }
   }
 
@@ -180,6 +356,7 @@ export default class extends Controller {
             imageElement.remove()
           }
         })
+        this.updateSectionCounts()
 
         this.selectedImages.clear()
         this.updateBulkActionsUI()
@@ -207,6 +384,407 @@ export default class extends Controller {
     this.updateBulkActionsUI()
   }
 
+  // Client picks: favorites that named guests chose in the public gallery
+  async loadSelections() {
+    try {
+      const response = await fetch(this.selectionsUrlValue, {
+        headers: { 'Accept': 'application/json' }
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      const data = await response.json()
+      this.clientSelections = data.selections || []
+      this.renderSelections()
+      this.filterBySelection()
+    } catch (error) {
+      console.error('Failed to load client picks:', error)
+      this.showError('Failed to load client picks')
+    }
+  }
+
+  renderSelections() {
+    if (this.hasSelectionFilterTarget) {
+      const select = this.selectionFilterTarget
+      const current = select.value
+
+      select.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove())
+      this.clientSelections.forEach(selection => {
+        const option = document.createElement('option')
+        option.value = selection.id
+        option.textContent = `${selection.guest_name} (${selection.favorites_count})`
+        select.appendChild(option)
+      })
+
+      const stillPresent = this.clientSelections.some(selection => String(selection.id) === current)
+      select.value = stillPresent ? current : ''
+    }
+
+    if (this.hasSelectionListTarget) {
+      const list = this.selectionListTarget
+      list.innerHTML = ''
+
+      if (this.clientSelections.length === 0) {
+        const empty = document.createElement('li')
+        empty.className = 'list-group-item px-0 text-muted small'
+        empty.textContent = 'No client picks yet.'
+        list.appendChild(empty)
+      }
+
+      this.clientSelections.forEach(selection => {
+        const item = document.createElement('li')
+        item.className = 'list-group-item px-0 d-flex justify-content-between align-items-center'
+
+        const name = document.createElement('span')
+        name.className = 'text-truncate'
+        name.textContent = selection.guest_name
+
+        const details = document.createElement('span')
+        details.className = 'd-flex align-items-center gap-1 flex-shrink-0'
+
+        const count = document.createElement('span')
+        count.className = 'badge bg-danger'
+        count.textContent = selection.favorites_count
+        details.appendChild(count)
+
+        if (selection.extra_images_count > 0) {
+          const extra = document.createElement('span')
+          extra.className = 'badge bg-warning text-dark'
+          extra.title = 'Images beyond the package limit'
+          extra.textContent = `+${selection.extra_images_count}`
+          details.appendChild(extra)
+        }
+
+        if (selection.submitted_at) {
+          const reopen = document.createElement('button')
+          reopen.type = 'button'
+          reopen.className = 'btn btn-outline-success btn-sm py-0'
+          reopen.title = 'Submitted – click to let the client change their picks'
+          reopen.dataset.reopenUrl = selection.reopen_url
+          reopen.dataset.action = 'click->image-manager#reopenSelection'
+          reopen.innerHTML = '<i class="fas fa-lock"></i>'
+          details.appendChild(reopen)
+        }
+
+        item.append(name, details)
+        list.appendChild(item)
+      })
+    }
+
+    this.updateFavoriteBadges()
+  }
+
+  async reopenSelection(event) {
+    const url = event.currentTarget.dataset.reopenUrl
+    if (!confirm('Reopen this selection so the client can change their picks?')) return
+
+    try {
+      const response = await fetch(url, {
+        method: 'PATCH',
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
+        }
+      })
+
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      this.showSuccess('Selection reopened')
+      this.loadSelections()
+    } catch (error) {
+      console.error('Failed to reopen selection:', error)
+      this.showError('Failed to reopen selection')
+    }
+  }
+
+  updateFavoriteBadges() {
+    if (!this.hasImageContainerTarget) return
+
+    const counts = new Map()
+    this.clientSelections.forEach(selection => {
+      selection.image_ids.forEach(imageId => {
+        counts.set(imageId, (counts.get(imageId) || 0) + 1)
+      })
+    })
+
+    this.imageContainerTarget.querySelectorAll('[data-image-id]').forEach(card => {
+      const badge = card.querySelector('[data-favorite-count]')
+      if (!badge) return
+
+      const count = counts.get(parseInt(card.dataset.imageId)) || 0
+      badge.hidden = count === 0
+      badge.querySelector('[data-favorite-count-value]').textContent = count
+    })
+  }
+
+  currentClientSelection() {
+    if (!this.hasSelectionFilterTarget || !this.selectionFilterTarget.value) return null
+
+    return this.clientSelections.find(selection =>
+      String(selection.id) === this.selectionFilterTarget.value
+    )
+  }
+
+  filterBySelection() {
+    const selection = this.currentClientSelection()
+    const pickedIds = selection ? new Set(selection.image_ids) : null
+
+    if (this.hasImageContainerTarget) {
+      this.imageCards().forEach(card => {
+        const imageId = parseInt(card.dataset.imageId)
+        card.classList.toggle('d-none', pickedIds !== null && !pickedIds.has(imageId))
+      })
+    }
+
+    if (this.hasExportActionsTarget) {
+      this.exportActionsTarget.classList.toggle('d-none', !selection)
+    }
+
+    if (selection && this.hasExportLinkTarget) {
+      this.exportLinkTarget.href = selection.export_url
+    }
+  }
+
+  async copySelectionFilenames() {
+    const selection = this.currentClientSelection()
+    if (!selection) return
+
+    try {
+      const response = await fetch(selection.export_url)
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      await navigator.clipboard.writeText(await response.text())
+      this.showSuccess(`Copied ${selection.favorites_count} filenames for ${selection.guest_name}`)
+    } catch (error) {
+      console.error('Copy filenames error:', error)
+      this.showError('Failed to copy filenames')
+    }
+  }
+
+  // Client comments: polled so new notes show up while the manager is open
+  setupCommentPolling() {
+    this.commentPollTimer = setInterval(() => {
+      if (!document.hidden) this.loadComments({ poll: true })
+    }, this.commentsPollIntervalValue)
+  }
+
+  async loadComments({ poll = false } = {}) {
+    const params = new URLSearchParams()
+    if (this.commentImageId) params.set('image_id', this.commentImageId)
+
+    try {
+      const response = await fetch(`${this.commentsUrlValue}?${params.toString()}`, {
+        headers: { 'Accept': 'application/json' }
+      })
+
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      const hasNewComments = data.latest_comment_id !== this.latestCommentId
+
+      if (poll && hasNewComments && this.latestCommentId !== null) {
+        this.showSuccess('New client comment')
+      }
+
+      this.latestCommentId = data.latest_comment_id
+      this.updateCommentBadges(data.unresolved_counts)
+
+      // Polls leave the list alone unless something changed, so a reply
+      // being typed isn't wiped out
+      if (!poll || hasNewComments) {
+        this.renderComments(data.comments)
+      }
+    } catch (error) {
+      console.error('Failed to load comments:', error)
+      if (!poll) this.showError('Failed to load client comments')
+    }
+  }
+
+  updateCommentBadges(counts) {
+    if (!this.hasImageContainerTarget) return
+
+    this.imageContainerTarget.querySelectorAll('[data-comment-count]').forEach(badge => {
+      const count = counts[badge.dataset.imageId] || 0
+      badge.hidden = count === 0
+      badge.querySelector('[data-comment-count-value]').textContent = count
+    })
+  }
+
+  showImageComments(event) {
+    this.commentImageId = event.currentTarget.dataset.imageId
+
+    const card = this.imageContainerTarget.querySelector(`[data-image-id="${this.commentImageId}"][data-filename]`)
+    if (this.hasCommentsHeadingTarget) {
+      this.commentsHeadingTarget.textContent = card ? `Comments on ${card.dataset.filename}` : 'Comments on this image'
+    }
+    if (this.hasCommentsShowAllTarget) this.commentsShowAllTarget.classList.remove('d-none')
+
+    this.loadComments()
+  }
+
+  showAllComments() {
+    this.commentImageId = null
+
+    if (this.hasCommentsHeadingTarget) this.commentsHeadingTarget.textContent = 'Open threads'
+    if (this.hasCommentsShowAllTarget) this.commentsShowAllTarget.classList.add('d-none')
+
+    this.loadComments()
+  }
+
+  renderComments(threads) {
+    if (!this.hasCommentListTarget) return
+
+    const list = this.commentListTarget
+    list.innerHTML = ''
+
+    if (threads.length === 0) {
+      const empty = document.createElement('p')
+      empty.className = 'text-muted small mb-0'
+      empty.textContent = this.commentImageId ? 'No comments on this image.' : 'No open comments.'
+      list.appendChild(empty)
+      return
+    }
+
+    threads.forEach(thread => list.appendChild(this.buildCommentThread(thread)))
+  }
+
+  buildCommentThread(thread) {
+    const wrapper = document.createElement('div')
+    wrapper.className = `comment-thread border-bottom pb-3 mb-3${thread.resolved_at ? ' resolved' : ''}`
+
+    if (!this.commentImageId) {
+      const card = this.hasImageContainerTarget && this.imageContainerTarget.querySelector(`[data-image-id="${thread.image_id}"][data-filename]`)
+      const imageLink = document.createElement('button')
+      imageLink.type = 'button'
+      imageLink.className = 'btn btn-link btn-sm p-0 mb-1 text-truncate d-block'
+      imageLink.dataset.imageId = thread.image_id
+      imageLink.dataset.action = 'click->image-manager#showImageComments'
+      imageLink.textContent = card ? card.dataset.filename : `Image #${thread.image_id}`
+      wrapper.appendChild(imageLink)
+    }
+
+    wrapper.appendChild(this.buildComment(thread))
+
+    thread.replies.forEach(reply => {
+      const replyElement = this.buildComment(reply)
+      replyElement.classList.add('comment-reply', 'ms-2', 'mt-2')
+      if (reply.photographer) replyElement.classList.add('from-photographer')
+      wrapper.appendChild(replyElement)
+    })
+
+    const form = document.createElement('form')
+    form.className = 'input-group input-group-sm mt-2'
+    form.dataset.commentId = thread.id
+    form.dataset.action = 'submit->image-manager#replyToComment'
+
+    const input = document.createElement('input')
+    input.type = 'text'
+    input.name = 'body'
+    input.className = 'form-control'
+    input.placeholder = 'Reply…'
+    input.maxLength = 2000
+    input.required = true
+    input.setAttribute('aria-label', 'Reply to comment')
+
+    const replyButton = document.createElement('button')
+    replyButton.type = 'submit'
+    replyButton.className = 'btn btn-outline-primary'
+    replyButton.textContent = 'Reply'
+
+    form.append(input, replyButton)
+    wrapper.appendChild(form)
+
+    const resolveButton = document.createElement('button')
+    resolveButton.type = 'button'
+    resolveButton.className = 'btn btn-sm mt-2 ' + (thread.resolved_at ? 'btn-outline-secondary' : 'btn-outline-success')
+    resolveButton.dataset.commentId = thread.id
+    resolveButton.dataset.resolved = thread.resolved_at ? 'false' : 'true'
+    resolveButton.dataset.action = 'click->image-manager#toggleCommentResolved'
+    resolveButton.textContent = thread.resolved_at ? 'Reopen' : 'Mark resolved'
+    wrapper.appendChild(resolveButton)
+
+    return wrapper
+  }
+
+  buildComment(comment) {
+    const element = document.createElement('div')
+
+    const meta = document.createElement('div')
+    meta.className = 'small text-muted'
+
+    const author = document.createElement('strong')
+    author.className = 'text-body me-1'
+    author.textContent = comment.author_name
+
+    const time = document.createElement('time')
+    time.dateTime = comment.created_at
+    time.textContent = new Date(comment.created_at).toLocaleString()
+
+    meta.append(author, time)
+
+    const body = document.createElement('p')
+    body.className = 'mb-0 small'
+    body.textContent = comment.body
+
+    element.append(meta, body)
+    return element
+  }
+
+  async replyToComment(event) {
+    event.preventDefault()
+
+    const form = event.currentTarget
+    const input = form.querySelector('input[name="body"]')
+    const body = input.value.trim()
+    if (!body) return
+
+    try {
+      const response = await fetch(this.commentsUrlValue, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
+        },
+        body: JSON.stringify({ parent_id: form.dataset.commentId, body })
+      })
+
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      this.loadComments()
+    } catch (error) {
+      console.error('Failed to reply:', error)
+      this.showError('Failed to send reply')
+    }
+  }
+
+  async toggleCommentResolved(event) {
+    const button = event.currentTarget
+
+    try {
+      const response = await fetch(`${this.commentsUrlValue}/${button.dataset.commentId}`, {
+        method: 'PATCH',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
+        },
+        body: JSON.stringify({ resolved: button.dataset.resolved === 'true' })
+      })
+
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      this.loadComments()
+    } catch (error) {
+      console.error('Failed to update comment:', error)
+      this.showError('Failed to update comment')
+    }
+  }
+
   showError(message) {
     // Create a temporary toast/alert for the error
     const alert = document.createElement('div')
@@ -6,7 +6,8 @@ export default class extends Controller {
   static values = { 
     galleryId: Number,
     maxSize: { type: Number, default: 50 * 1024 * 1024 }, // 50MB
-    allowedTypes: { type: Array, default: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif'] },
+    maxVideoSize: { type: Number, default: 500 * 1024 * 1024 }, // 500MB
+    allowedTypes: { type: Array, default: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif', 'video/mp4', 'video/quicktime', 'video/webm'] },
     processingCheckInterval: { type: Number, default: 3000 } // 3 seconds
   }
 
@@ -95,11 +96,12 @@ export default class extends Controller {
 
   validateFile(file) {
     if (!this.allowedTypesValue.includes(file.type)) {
-      return { valid: false, error: 'Invalid file type. Please upload images only.' }
+      return { valid: false, error: 'Invalid file type. Please upload images or MP4, MOV or WebM videos only.' }
     }
 
-    if (file.size > this.maxSizeValue) {
-      const maxSizeMB = Math.round(this.maxSizeValue / (1024 * 1024))
+    const maxSize = file.type.startsWith('video/') ? this.maxVideoSizeValue : this.maxSizeValue
+    if (file.size > maxSize) {
+      const maxSizeMB = Math.round(maxSize / (1024 * 1024))
       return { valid: false, error: `File too large. Maximum size is ${maxSizeMB}MB.` }
     }
 
@@ -1,271 +1,666 @@
 import { Controller } from "@hotwired/stimulus"
+import { gridLayout, justifiedLayout, masonryLayout, sectionedLayout } from "lib/gallery_layout"
+import { setResponsiveSources, paintPlaceholder } from "lib/responsive_image"
+import { prefersReducedMotion } from "lib/lightbox_dialog"
+import { Lightbox } from "lib/lightbox"
+import {
+  PreloadPlugin, QualityPlugin, ZoomPlugin, DownloadPlugin, InfoPanelPlugin, VideoPlugin, AnalyticsPlugin,
+  SlideshowPlugin, HistoryPlugin, photoPageUrl
+} from "lib/lightbox_plugins"
+import { ConnectionQuality } from "lib/connection_quality"
+import { ViewTracker } from "lib/view_tracker"
+import { ImageProtection } from "lib/image_protection"
+import { GallerySearch, matchesFilter } from "lib/gallery_filter"
+import { GallerySelection } from "lib/gallery_selection"
+import { PhotoComments } from "lib/photo_comments"
+import { PhotoSharing } from "lib/photo_sharing"
+import { BulkDownload } from "lib/bulk_download"
+import { OfflinePanel } from "lib/offline_panel"
+
+// Photos without stored dimensions are laid out as 3:2 landscapes
+const DEFAULT_ASPECT_RATIO = 3 / 2
+
+// The uniform grid keeps the minmax() column widths of .public-gallery-grid
+// at each viewport breakpoint, with 4:3 cells
+const GRID_COLUMN_WIDTHS = [[1400, 400], [1024, 380], [768, 350], [480, 280], [0, 300]]
+const GRID_CELL_ASPECT = 4 / 3
+
+// Room left above each section for its heading
+const SECTION_HEADING_HEIGHT = 64
+
+// A page that failed to load isn't asked for again on every scroll frame
+const PAGE_RETRY_MS = 5000
 
 // High-performance optimized gallery controller
 export default class extends Controller {
-  static targets = ["grid", "item", "lightbox", "lightboxImage", "lightboxCounter", "prevBtn", "nextBtn", "closeBtn"]
+  static targets = [
+    "grid", "item", "lightbox", "lightboxImage", "lightboxCounter", "prevBtn", "nextBtn", "closeBtn",
+    "downloadAllBtn", "downloadPanel", "downloadStatus", "downloadFileName", "downloadFileProgress",
+    "downloadOverallLabel", "downloadOverallProgress", "downloadContinueBtn",
+    "favoriteBtn", "lightboxFavoriteBtn", "favoritesCount", "guestName", "guestDialog", "guestNameInput",
+    "selectionNotice", "submitSelectionBtn",
+    "commentsPanel", "commentsToggle", "commentList", "commentInput",
+    "infoPanel", "infoToggle", "infoList",
+    "lightboxFadeImage", "slideshowBtn", "slideshowInterval", "slideshowStatus",
+    "offlineBtn", "offlineBtnLabel", "offlinePanel", "offlineStatus", "offlineCloseBtn", "offlineDetails",
+    "offlineProgressRow", "offlineProgressLabel", "offlineProgress", "offlineSaveBtn", "offlineRemoveBtn",
+    "sharePopover", "shareLinkInput", "shareCopyBtn", "shareQr", "shareQrHint",
+    "lightboxAnnouncer", "shortcutsPanel", "shortcutsToggle", "shortcutsCloseBtn",
+    "filterForm", "filterQuery", "filterFrom", "filterTo", "filterClearBtn", "filterStatus", "filterEmpty",
+    "sectionNav", "sectionHeadings", "lightboxSection", "lightboxVideo", "lightboxVideoNotice",
+    "hdToggle", "qualitySetting"
+  ]
   static values = { 
     images: Array, 
-    currentIndex: Number,
-    downloadAllUrl: String
+    downloadAllUrl: String,
+    archiveName: { type: String, default: "gallery" },
+    selectionUrl: String,
+    favoritesUrl: String,
+    submitSelectionUrl: String,
+    commentsUrl: String,
+    selectionLimit: Number,
+    extraImagePrice: Number,
+    allowExtraSelections: { type: Boolean, default: true },
+    currency: { type: String, default: "USD" },
+    slideshowInterval: { type: Number, default: 5000 },
+    layout: { type: String, default: "grid" },
+    showExif: { type: Boolean, default: true },
+    totalCount: Number,
+    nextCursor: String,
+    pageUrl: String,
+    galleryPath: String,
+    serviceWorkerUrl: String,
+    shareUrl: String,
+    allowDownloads: { type: Boolean, default: true },
+    protected: Boolean,
+    sections: Array,
+    analyticsUrl: String
   }
 
   connect() {
-    this.currentIndexValue = 0
-    this.preloadedImages = new Map()
-    this.intersectionObserver = null
-    this.touchStartX = null
-    this.touchStartY = null
+    // Every photo loaded so far; `images` is the ones the filter lets through
+    this.loadedImages = [...this.imagesValue]
+    this.images = [...this.loadedImages]
+    this.sectionNames = new Map(this.sectionsValue.map(section => [section.id, section.name]))
+    this.quality = new ConnectionQuality({ onChange: () => this.qualityChanged() })
     
-    this.setupIntersectionObserver()
-    this.setupKeyboardListeners()
-    this.setupTouchListeners()
+    this.setupFavorites()
+    this.setupGrid()
+    this.setupFilter()
+    this.setupComments()
+    this.setupSharing()
+    this.setupLightbox()
     this.setupPreloading()
+    this.setupBulkDownload()
+    this.setupOffline()
+    this.history?.restore()
+    if (this.protectedValue) this.protection = new ImageProtection(this.element)
   }
 
   disconnect() {
     this.cleanupObservers()
-    this.cleanupEventListeners()
+    this.lightbox?.destroy()
+    this.viewTracker?.destroy()
+    this.quality.destroy()
+    this.protection?.destroy()
+    this.search?.destroy()
+    this.bulkDownload?.destroy()
+    this.offline?.destroy()
+    this.sharing?.destroy()
   }
 
-  // Optimized lazy loading with Intersection Observer
-  setupIntersectionObserver() {
-    if (\!('IntersectionObserver' in window)) {
-      this.fallbackImageLoading()
-      return
-    }
-
-    this.intersectionObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          this.loadImage(entry.target)
-          this.intersectionObserver.unobserve(entry.target)
-        }
-      })
-    }, {
-      rootMargin: '50px 0px',
-      threshold: 0.1
+  // Virtualized grid: the server renders the first page and the rest
+  // arrives page by page from the JSON branch of show as the visitor
+  // scrolls. Every layout is computed from the loaded photos' dimensions and
+  // each cell is positioned absolutely, so only the cells near the viewport
+  // need to exist; they are recycled for other photos as they scroll out.
+  setupGrid() {
+    if (!this.hasGridTarget || !('ResizeObserver' in window)) return
+
+    this.aspectRatios = this.images.map(image => this.aspectRatioOf(image))
+    this.renderedItems = new Map(this.itemTargets.map((item, index) => [index, item]))
+    this.itemTemplate = this.itemTargets[0]?.cloneNode(true)
+    this.itemPool = []
+    this.gridTarget.classList.add('virtualized', `layout-${this.layoutValue}`)
+
+    this.layoutObserver = new ResizeObserver(entries => {
+      const width = Math.floor(entries[0].contentRect.width)
+      if (width === this.layoutWidth) return
+
+      this.layoutWidth = width
+      this.applyLayout()
     })
+    this.layoutObserver.observe(this.gridTarget)
+
+    // Scroll events are coalesced into one window update per frame
+    this.boundScroll = () => {
+      if (this.scrollFrame) return
+      this.scrollFrame = requestAnimationFrame(() => {
+        this.scrollFrame = null
+        this.renderWindow()
+      })
+    }
+    window.addEventListener('scroll', this.boundScroll, { passive: true })
 
-    this.itemTargets.forEach(item => {
-      const img = item.querySelector('img[data-thumbnail]')
-      if (img && \!img.src) {
-        this.intersectionObserver.observe(img)
+    // Image errors don't bubble, so they're caught on the way down
+    this.boundImageError = event => {
+      if (event.target.matches?.('.gallery-image')) {
+        event.target.closest('.public-gallery-item')?.classList.add('image-failed')
       }
-    })
+    }
+    this.gridTarget.addEventListener('error', this.boundImageError, true)
   }
 
-  // Optimized image loading with error handling and performance monitoring
-  loadImage(img) {
-    const thumbnail = img.dataset.thumbnail
-    const placeholder = img.previousElementSibling
-    
-    if (\!thumbnail || this.preloadedImages.has(thumbnail)) return
+  aspectRatioOf(image) {
+    return image.width && image.height ? image.width / image.height : DEFAULT_ASPECT_RATIO
+  }
 
-    const startTime = performance.now()
-    const tempImg = new Image()
-    
-    tempImg.onload = () => {
-      const loadTime = performance.now() - startTime
-      
-      img.src = thumbnail
-      img.classList.add('loaded')
-      this.preloadedImages.set(thumbnail, true)
-      
-      if (placeholder) {
-        placeholder.style.opacity = '0'
-        setTimeout(() => placeholder?.remove(), 300)
-      }
-      
-      // Log slow loading images for optimization
-      if (loadTime > 1000) {
-        console.warn('Slow image load: ' + thumbnail + ' took ' + loadTime + 'ms')
+  // ResizeObserver already delivers at most once per frame, before paint;
+  // re-flows only run when the grid's width actually changes.
+  applyLayout() {
+    if (!this.layoutWidth) return
+
+    // Reads first...
+    const style = getComputedStyle(this.gridTarget)
+    const gap = parseFloat(style.columnGap) || 0
+    const width = this.layoutWidth
+
+    this.gridPadding = { left: parseFloat(style.paddingLeft) || 0, top: parseFloat(style.paddingTop) || 0 }
+
+    const { boxes, height } = this.computeLayout(width, gap)
+    this.boxes = boxes
+    this.layoutHeight = height
+
+    // ...then every write in one pass
+    this.gridTarget.style.height = `${height + this.gridPadding.top + (parseFloat(style.paddingBottom) || 0)}px`
+    this.renderedItems.forEach((item, index) => this.positionItem(item, index))
+    this.renderSectionHeadings()
+    this.renderWindow()
+  }
+
+  // Each section is laid out on its own below its heading; photos without
+  // a section lead the gallery with none
+  computeLayout(width, gap) {
+    const layout = aspectRatios => this.layoutPhotos(aspectRatios, width, gap)
+    if (this.sectionNames.size === 0) return layout(this.aspectRatios)
+
+    this.sectionRuns = this.photoRuns()
+    const { boxes, runTops, height } = sectionedLayout(this.sectionRuns.map(run => ({
+      aspectRatios: this.aspectRatios.slice(run.start, run.end),
+      headingHeight: run.sectionId ? SECTION_HEADING_HEIGHT : 0
+    })), layout, { gap })
+
+    this.sectionRuns.forEach((run, index) => { run.top = runTops[index] })
+    return { boxes, height }
+  }
+
+  layoutPhotos(aspectRatios, width, gap) {
+    switch (this.layoutValue) {
+      case 'masonry':
+        return masonryLayout(aspectRatios, width, { columnWidth: width < 600 ? 160 : 300, gap })
+      case 'justified':
+        return justifiedLayout(aspectRatios, width, { rowHeight: width < 600 ? 180 : 280, gap })
+      default: {
+        const [, columnWidth] = GRID_COLUMN_WIDTHS.find(([minViewport]) => window.innerWidth >= minViewport)
+        return gridLayout(aspectRatios, width, { columnWidth, gap, cellAspect: GRID_CELL_ASPECT })
       }
     }
-    
-    tempImg.onerror = () => {
-      console.error('Failed to load image:', thumbnail)
-      this.handleImageError(img, placeholder)
-    }
-    
-    // Set loading priority
-    tempImg.loading = 'lazy'
-    tempImg.decoding = 'async'
-    tempImg.src = thumbnail
   }
 
-  handleImageError(img, placeholder) {
-    if (placeholder) {
-      placeholder.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #ccc;"><svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor"><path d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/></svg></div>'
-    }
+  // Consecutive photos of one section, as { sectionId, start, end }
+  // (sectionId null for photos in none)
+  photoRuns() {
+    const runs = []
+    this.images.forEach((image, index) => {
+      const sectionId = this.sectionNames.has(image.section_id) ? image.section_id : null
+      const run = runs[runs.length - 1]
+
+      if (run && run.sectionId === sectionId) {
+        run.end = index + 1
+      } else {
+        runs.push({ sectionId, start: index, end: index + 1 })
+      }
+    })
+    return runs
   }
 
-  // Intelligent preloading for better UX
-  setupPreloading() {
-    // Preload the first few web-size images for lightbox
-    const priorityImages = this.imagesValue.slice(0, 3)
-    
-    if (window.requestIdleCallback) {
-      requestIdleCallback(() => {
-        priorityImages.forEach(image => {
-          const webImg = new Image()
-          webImg.src = image.web_url
-          webImg.loading = 'eager'
-          this.preloadedImages.set(image.web_url, true)
-        })
-      })
-    }
+  // Headings sit over the grid in the room the layout left for them, in
+  // their own layer so the grid holds only photos. They're kept by section
+  // across layouts; sections the search empties lose theirs.
+  renderSectionHeadings() {
+    if (!this.hasSectionHeadingsTarget || !this.sectionRuns) return
+
+    this.sectionHeadings ||= new Map()
+    const headings = this.sectionRuns.filter(run => run.sectionId).map(run => {
+      let heading = this.sectionHeadings.get(run.sectionId)
+      if (!heading) {
+        heading = document.createElement('h2')
+        heading.className = 'gallery-section-heading'
+        heading.id = `gallery-section-${run.sectionId}`
+        heading.tabIndex = -1
+        heading.textContent = this.sectionNames.get(run.sectionId)
+        this.sectionHeadings.set(run.sectionId, heading)
+      }
+
+      heading.style.top = `${this.gridPadding.top + run.top}px`
+      heading.style.left = heading.style.right = `${this.gridPadding.left}px`
+      heading.style.height = `${SECTION_HEADING_HEIGHT}px`
+      return heading
+    })
+
+    this.sectionHeadingsTarget.replaceChildren(...headings)
+    this.currentSectionId = undefined
   }
 
-  // Optimized lightbox with smooth animations
-  openLightbox(event) {
+  // Sections further down may not be loaded yet; pages are fetched until
+  // the section's first photo is in
+  async jumpToSection(event) {
+    if (!this.renderedItems) return
     event.preventDefault()
-    const imageIndex = parseInt(event.currentTarget.dataset.imageIndex)
-    this.currentIndexValue = imageIndex
-    
-    // Preload adjacent images for smooth navigation
-    this.preloadAdjacentImages(imageIndex)
-    
-    this.showLightbox()
+
+    const sectionId = parseInt(event.currentTarget.dataset.sectionId)
+    const inSection = image => image.section_id === sectionId
+    while (!this.loadedImages.some(inSection) && this.hasMoreImages()) {
+      if (!(await this.loadNextPage())) break
+    }
+
+    const run = this.sectionRuns?.find(run => run.sectionId === sectionId)
+    if (!run) return
+
+    const gridTop = this.gridTarget.getBoundingClientRect().top + window.scrollY + this.gridPadding.top
+    window.scrollTo({
+      top: gridTop + run.top - this.sectionNavTarget.offsetHeight,
+      behavior: prefersReducedMotion() ? 'instant' : 'smooth'
+    })
+    this.sectionHeadings.get(sectionId)?.focus({ preventScroll: true })
   }
 
-  preloadAdjacentImages(currentIndex) {
-    const adjacentIndexes = [currentIndex - 1, currentIndex + 1].filter(
-      i => i >= 0 && i < this.imagesValue.length
-    )
-    
-    adjacentIndexes.forEach(index => {
-      const image = this.imagesValue[index]
-      if (image && \!this.preloadedImages.has(image.web_url)) {
-        const webImg = new Image()
-        webImg.src = image.web_url
-        this.preloadedImages.set(image.web_url, true)
+  // The jump-nav marks the section at the top of the screen, below the
+  // nav itself
+  updateCurrentSection(viewportTop) {
+    if (!this.hasSectionNavTarget || !this.sectionRuns) return
+
+    const line = viewportTop + this.sectionNavTarget.offsetHeight
+    const current = this.sectionRuns.filter(run => run.top <= line).pop()?.sectionId ?? null
+    if (current === this.currentSectionId) return
+
+    this.currentSectionId = current
+    this.sectionNavTarget.querySelectorAll('a[data-section-id]').forEach(link => {
+      if (parseInt(link.dataset.sectionId) === current) {
+        link.setAttribute('aria-current', 'true')
+      } else {
+        link.removeAttribute('aria-current')
       }
     })
   }
 
-  showLightbox() {
-    this.updateLightboxImage()
-    this.lightboxTarget.classList.add('active')
-    document.body.style.overflow = 'hidden'
-    
-    // Focus management for accessibility
-    this.lightboxTarget.focus()
+  positionItem(item, index) {
+    const box = this.boxes?.[index]
+    if (!box) return
+
+    item.style.left = `${this.gridPadding.left + box.left}px`
+    item.style.top = `${this.gridPadding.top + box.top}px`
+    item.style.width = `${box.width}px`
+    item.style.height = `${box.height}px`
+
+    // The cell's exact width, so a small cell never pulls a large rendition
+    const sizes = this.cellSizes(index)
+    item.querySelectorAll('source, img.gallery-image').forEach(element => {
+      if (element.sizes !== sizes) element.sizes = sizes
+    })
   }
 
-  closeLightbox() {
-    this.lightboxTarget.classList.remove('active')
-    document.body.style.overflow = 'auto'
+  cellSizes(index) {
+    const box = this.boxes?.[index]
+    return box ? `${Math.ceil(box.width)}px` : '100vw'
   }
 
-  nextImage() {
-    if (this.currentIndexValue < this.imagesValue.length - 1) {
-      this.currentIndexValue++
-      this.updateLightboxImage()
-      this.preloadAdjacentImages(this.currentIndexValue)
+  // Renders the cells within a viewport's height of the visible area and
+  // recycles the rest, keeping DOM order in photo order for keyboard and
+  // screen reader users. Nearing the end of what's loaded fetches the next
+  // page.
+  renderWindow() {
+    if (!this.boxes) return
+
+    const viewportTop = -this.gridTarget.getBoundingClientRect().top - this.gridPadding.top
+    const top = viewportTop - window.innerHeight
+    const bottom = viewportTop + 2 * window.innerHeight
+    this.updateCurrentSection(viewportTop)
+
+    const visible = []
+    this.boxes.forEach((box, index) => {
+      if (box.top < bottom && box.top + box.height > top) visible.push(index)
+    })
+    const visibleSet = new Set(visible)
+
+    this.renderedItems.forEach((item, index) => {
+      if (visibleSet.has(index)) return
+
+      item.remove()
+      this.renderedItems.delete(index)
+      this.itemPool.push(item)
+    })
+
+    let following = null
+    for (let i = visible.length - 1; i >= 0; i--) {
+      const index = visible[i]
+      let item = this.renderedItems.get(index)
+
+      if (!item && this.itemTemplate) {
+        item = this.itemPool.pop() || this.itemTemplate.cloneNode(true)
+        this.bindItem(item, index)
+        this.positionItem(item, index)
+        this.gridTarget.insertBefore(item, following)
+        this.renderedItems.set(index, item)
+      }
+
+      following = item
     }
+
+    if (bottom > this.layoutHeight) this.loadNextPage()
   }
 
-  prevImage() {
-    if (this.currentIndexValue > 0) {
-      this.currentIndexValue--
-      this.updateLightboxImage()
-      this.preloadAdjacentImages(this.currentIndexValue)
+  // Points a (possibly recycled) cell at another photo
+  bindItem(item, index) {
+    const image = this.images[index]
+    const clip = image.video ? `, video ${image.duration_label || ''}`.trimEnd() : ''
+    item.setAttribute('aria-label', `Photo ${index + 1} of ${this.totalCount()}${clip}`)
+
+    const durationBadge = item.querySelector('.video-duration')
+    if (durationBadge) {
+      durationBadge.hidden = !image.video
+      durationBadge.querySelector('.video-duration-label').textContent = image.duration_label || ''
     }
-  }
 
-  // Other methods continue...
-  updateLightboxImage() {
-    const currentImage = this.imagesValue[this.currentIndexValue]
-    if (\!currentImage) return
+    const img = item.querySelector('.gallery-image')
+    if (img) {
+      if (item.dataset.imageId !== String(image.id)) {
+        item.dataset.imageId = image.id
+        item.classList.remove('image-failed')
+        img.classList.remove('loaded')
 
-    const lightboxImg = this.lightboxImageTarget
-    lightboxImg.style.opacity = '0.5'
-    
-    if (this.preloadedImages.has(currentImage.web_url)) {
-      lightboxImg.src = currentImage.web_url
-      lightboxImg.style.opacity = '1'
-    } else {
-      const webImg = new Image()
-      webImg.onload = () => {
-        lightboxImg.src = currentImage.web_url
-        lightboxImg.style.opacity = '1'
-        this.preloadedImages.set(currentImage.web_url, true)
+        const placeholder = item.querySelector('.image-placeholder')
+        if (placeholder) paintPlaceholder(placeholder, image)
+
+        setResponsiveSources(img, image, { sizes: this.cellSizes(index), fallbackUrl: image.thumbnail_url })
       }
-      webImg.src = currentImage.web_url
+      img.alt = image.alt_text
+      img.dataset.imageIndex = index
+      img.loading = 'lazy'
+      img.removeAttribute('fetchpriority')
     }
-    
-    lightboxImg.alt = currentImage.alt_text
-
-    this.lightboxCounterTarget.textContent = 
-      (this.currentIndexValue + 1) + ' / ' + this.imagesValue.length
-
-    this.prevBtnTarget.style.display = 
-      this.currentIndexValue > 0 ? 'block' : 'none'
-    this.nextBtnTarget.style.display = 
-      this.currentIndexValue < this.imagesValue.length - 1 ? 'block' : 'none'
-  }
-
-  setupKeyboardListeners() {
-    this.boundKeyboardHandler = this.handleKeyboard.bind(this)
-    document.addEventListener('keydown', this.boundKeyboardHandler)
-  }
-
-  handleKeyboard(event) {
-    if (\!this.lightboxTarget.classList.contains('active')) return
-
-    switch(event.key) {
-      case 'Escape':
-        event.preventDefault()
-        this.closeLightbox()
-        break
-      case 'ArrowLeft':
-        event.preventDefault()
-        this.prevImage()
-        break
-      case 'ArrowRight':
-        event.preventDefault()
-        this.nextImage()
-        break
-      case ' ':
-        event.preventDefault()
-        this.nextImage()
-        break
+
+    const downloadBtn = item.querySelector('.public-download-btn')
+    if (downloadBtn) {
+      downloadBtn.dataset.imageIndex = index
+      downloadBtn.setAttribute('aria-label', `Download ${image.filename}`)
+    }
+
+    const shareBtn = item.querySelector('.public-share-btn')
+    if (shareBtn) {
+      shareBtn.dataset.imageIndex = index
+      shareBtn.setAttribute('aria-label', `Share ${image.filename}`)
+    }
+
+    const favoriteBtn = item.querySelector('.favorite-toggle')
+    if (favoriteBtn) {
+      favoriteBtn.dataset.imageId = image.id
+      favoriteBtn.setAttribute('aria-label', `Favorite ${image.filename}`)
+      this.selection.renderButton(favoriteBtn, image.id)
     }
   }
 
-  setupTouchListeners() {
-    this.boundTouchStart = this.handleTouchStart.bind(this)
-    this.boundTouchEnd = this.handleTouchEnd.bind(this)
-    
-    if (this.lightboxTarget) {
-      this.lightboxTarget.addEventListener('touchstart', this.boundTouchStart, { passive: true })
-      this.lightboxTarget.addEventListener('touchend', this.boundTouchEnd, { passive: true })
+  // Photos in the whole gallery, not just the pages loaded so far; while
+  // filtering, the photos that match
+  totalCount() {
+    return this.filter ? this.images.length : this.galleryCount()
+  }
+
+  galleryCount() {
+    return Math.max(this.totalCountValue, this.loadedImages.length)
+  }
+
+  hasMoreImages() {
+    return !!this.nextCursorValue
+  }
+
+  // Resolves once the next page is in (true), or straight away when there
+  // is none or it failed (false); concurrent callers share one request
+  loadNextPage() {
+    if (!this.hasMoreImages() || Date.now() < (this.pageRetryAt || 0)) return Promise.resolve(false)
+
+    this.pageRequest ||= this.fetchNextPage().finally(() => {
+      this.pageRequest = null
+    })
+    return this.pageRequest
+  }
+
+  async fetchNextPage() {
+    const url = new URL(this.pageUrlValue, window.location.href)
+    url.searchParams.set('cursor', this.nextCursorValue)
+
+    try {
+      const response = await fetch(url, {
+        headers: { 'Accept': 'application/json' },
+        credentials: 'same-origin'
+      })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      this.nextCursorValue = data.next_cursor || ''
+      this.totalCountValue = data.total_count
+      this.appendImages(data.images)
+      return true
+    } catch (error) {
+      console.error('Failed to load more photos:', error)
+      this.pageRetryAt = Date.now() + PAGE_RETRY_MS
+      return false
     }
   }
 
-  handleTouchStart(event) {
-    this.touchStartX = event.touches[0].clientX
-    this.touchStartY = event.touches[0].clientY
+  appendImages(images) {
+    const matching = images.filter(image => matchesFilter(image, this.filter))
+    this.loadedImages.push(...images)
+    this.images.push(...matching)
+    this.aspectRatios?.push(...matching.map(image => this.aspectRatioOf(image)))
+    this.applyLayout()
+
+    if (this.filter) this.renderFilterStatus()
+    if (this.lightbox?.isOpen) this.lightbox.updateNavigation()
   }
 
-  handleTouchEnd(event) {
-    if (\!this.touchStartX || \!this.touchStartY) return
+  // Search: the grid, lightbox and slideshow all work on the photos that
+  // match. Matching needs every photo, so filtering fetches the pages not
+  // loaded yet. The form and the filter in the URL are lib/gallery_filter's.
+  setupFilter() {
+    if (!this.hasFilterFormTarget || !this.renderedItems) return
+
+    this.search = new GallerySearch({
+      form: this.filterFormTarget,
+      query: this.filterQueryTarget,
+      from: this.hasFilterFromTarget ? this.filterFromTarget : null,
+      to: this.hasFilterToTarget ? this.filterToTarget : null,
+      clearButton: this.filterClearBtnTarget,
+      status: this.filterStatusTarget,
+      empty: this.hasFilterEmptyTarget ? this.filterEmptyTarget : null,
+      onChange: filter => this.applyFilter(filter)
+    })
 
-    const endX = event.changedTouches[0].clientX
-    const endY = event.changedTouches[0].clientY
-    const diffX = this.touchStartX - endX
-    const diffY = this.touchStartY - endY
+    const filter = this.search.show()
+    if (filter) this.applyFilter(filter)
+  }
 
-    if (Math.abs(diffX) > Math.abs(diffY) && Math.abs(diffX) > 50) {
-      if (diffX > 0) {
-        this.nextImage()
-      } else {
-        this.prevImage()
-      }
+  filterInput() {
+    this.search.input()
+  }
+
+  submitFilter(event) {
+    event.preventDefault()
+    this.search.update()
+  }
+
+  clearFilter() {
+    this.search.clear()
+  }
+
+  // Every cell is recycled and the layout rebuilt over the matching photos
+  applyFilter(filter) {
+    this.filter = filter
+    this.images = this.loadedImages.filter(image => matchesFilter(image, filter))
+    this.aspectRatios = this.images.map(image => this.aspectRatioOf(image))
+
+    this.renderedItems.forEach(item => {
+      item.remove()
+      this.itemPool.push(item)
+    })
+    this.renderedItems.clear()
+    this.applyLayout()
+
+    this.renderFilterStatus()
+    if (filter) this.loadRemainingPages()
+  }
+
+  async loadRemainingPages() {
+    this.searchStalled = false
+    while (this.filter && this.hasMoreImages()) {
+      if (!(await this.loadNextPage())) break
     }
 
-    this.touchStartX = null
-    this.touchStartY = null
+    this.searchStalled = !!this.filter && this.hasMoreImages()
+    this.renderFilterStatus()
+  }
+
+  renderFilterStatus() {
+    const filtering = !!this.filter
+
+    this.search.renderStatus({
+      filtering,
+      searching: filtering && this.hasMoreImages() && !this.searchStalled,
+      stalled: this.searchStalled,
+      matches: this.images.length,
+      total: this.galleryCount()
+    })
+  }
+
+  // Lightbox: the shared core (lib/lightbox) with this gallery's paging,
+  // history, favorites, notes and slideshow hooked in
+  setupLightbox() {
+    if (!this.hasLightboxTarget) return
+
+    this.preloader = new PreloadPlugin({ reduced: () => this.quality.reduced })
+    this.qualityPlugin = new QualityPlugin({
+      quality: this.quality,
+      toggle: this.hasHdToggleTarget ? this.hdToggleTarget : null
+    })
+    if (this.hasQualitySettingTarget) this.qualitySettingTarget.value = this.quality.setting
+    this.downloads = new DownloadPlugin()
+    this.info = this.showExifValue && this.hasInfoPanelTarget
+      ? new InfoPanelPlugin({
+          panel: this.infoPanelTarget,
+          list: this.infoListTarget,
+          toggle: this.hasInfoToggleTarget ? this.infoToggleTarget : null,
+          // Notes and details share the side panel slot
+          onOpen: () => this.comments?.setOpen(false)
+        })
+      : null
+    // A clip in a slideshow plays to the end before the next photo
+    this.videos = this.hasLightboxVideoTarget
+      ? new VideoPlugin({
+          video: this.lightboxVideoTarget,
+          notice: this.hasLightboxVideoNoticeTarget ? this.lightboxVideoNoticeTarget : null,
+          onEnded: () => this.slideshow.released()
+        })
+      : null
+    this.slideshow = new SlideshowPlugin({
+      fadeImage: this.hasLightboxFadeImageTarget ? this.lightboxFadeImageTarget : null,
+      button: this.hasSlideshowBtnTarget ? this.slideshowBtnTarget : null,
+      intervalSelect: this.hasSlideshowIntervalTarget ? this.slideshowIntervalTarget : null,
+      status: this.hasSlideshowStatusTarget ? this.slideshowStatusTarget : null,
+      interval: this.slideshowIntervalValue,
+      holding: () => !!this.videos?.playing
+    })
+    this.history = new HistoryPlugin({ replacing: () => this.slideshow.active })
+
+    this.lightbox = new Lightbox({
+      element: this.lightboxTarget,
+      image: this.lightboxImageTarget,
+      counter: this.lightboxCounterTarget,
+      announcer: this.hasLightboxAnnouncerTarget ? this.lightboxAnnouncerTarget : null,
+      prevButton: this.prevBtnTarget,
+      nextButton: this.nextBtnTarget,
+      shortcutsPanel: this.hasShortcutsPanelTarget ? this.shortcutsPanelTarget : null,
+      shortcutsToggle: this.hasShortcutsToggleTarget ? this.shortcutsToggleTarget : null,
+      shortcutsCloseButton: this.hasShortcutsCloseBtnTarget ? this.shortcutsCloseBtnTarget : null,
+      images: () => this.images,
+      totalCount: () => this.totalCount(),
+      hasMore: () => this.hasMoreImages(),
+      loadMore: () => this.loadNextPage(),
+      requestClose: () => this.history.close(),
+      // Focus goes back to the photo the visitor ends up on, which isn't
+      // necessarily the one they opened
+      focusOnClose: index => this.gridImage(index),
+      plugins: [
+        this.preloader,
+        this.qualityPlugin,
+        new ZoomPlugin(),
+        this.downloads,
+        this.info,
+        this.videos,
+        new AnalyticsPlugin(),
+        { shown: image => this.photoShown(image) },
+        this.slideshow,
+        this.history
+      ].filter(Boolean)
+    })
+    if (this.analyticsUrlValue) this.viewTracker = new ViewTracker(this.lightboxTarget, this.analyticsUrlValue)
+  }
+
+  // The first few photos are fetched at lightbox size while the browser
+  // is idle, unless photos are reduced to save data
+  setupPreloading() {
+    if (!this.preloader || this.quality.reduced) return
+
+    const priorityImages = this.images.slice(0, 3)
+    const preload = () => priorityImages.forEach(image => this.preloader.preload(image))
+    window.requestIdleCallback ? requestIdleCallback(preload) : setTimeout(preload, 1000)
+  }
+
+  openLightbox(event) {
+    event.preventDefault()
+    this.lightbox.open(parseInt(event.currentTarget.dataset.imageIndex))
+  }
+
+  // Closing unwinds the photo entries this lightbox pushed (HistoryPlugin)
+  closeLightbox() {
+    this.history.close()
+  }
+
+  nextImage() {
+    this.lightbox.next()
+  }
+
+  prevImage() {
+    this.lightbox.prev()
+  }
+
+  toggleShortcuts() {
+    this.lightbox.toggleShortcuts()
+  }
+
+  toggleInfo() {
+    this.info?.toggle()
+  }
+
+  toggleHd() {
+    this.qualityPlugin?.toggle()
+  }
+
+  changeQualitySetting(event) {
+    this.quality.setting = event.currentTarget.value
+  }
+
+  qualityChanged() {
+    this.qualityPlugin?.refresh()
   }
 
   backdropClick(event) {
@@ -274,31 +669,281 @@ export default class extends Controller {
     }
   }
 
-  cleanupObservers() {
-    if (this.intersectionObserver) {
-      this.intersectionObserver.disconnect()
+  // Everything this gallery keeps in step with the photo on show; the
+  // slideshow and ?photo= history are plugins of their own
+  photoShown(image) {
+    // Dimmed until the chosen rendition is ready (at once when preloaded)
+    const lightboxImg = this.lightboxImageTarget
+    lightboxImg.style.opacity = this.slideshow.crossfading ? '1' : '0.5'
+    const reveal = () => {
+      if (this.lightbox.current?.id === image.id) lightboxImg.style.opacity = '1'
     }
+    lightboxImg.decode().then(reveal, reveal)
+
+    this.selection.renderLightboxButton()
+    this.renderLightboxSection(image)
+    this.sharing?.prepare(image)
+    this.comments?.shown()
   }
 
-  cleanupEventListeners() {
-    if (this.boundKeyboardHandler) {
-      document.removeEventListener('keydown', this.boundKeyboardHandler)
-    }
-    if (this.boundTouchStart) {
-      this.lightboxTarget?.removeEventListener('touchstart', this.boundTouchStart)
-    }
-    if (this.boundTouchEnd) {
-      this.lightboxTarget?.removeEventListener('touchend', this.boundTouchEnd)
+  // Only changes when the photo is in another section, so the live region
+  // announces entering a section rather than every photo
+  renderLightboxSection(image) {
+    if (!this.hasLightboxSectionTarget) return
+
+    const name = this.sectionNames.get(image.section_id) || ''
+    if (this.lightboxSectionTarget.textContent !== name) this.lightboxSectionTarget.textContent = name
+    this.lightboxSectionTarget.hidden = !name
+  }
+
+  // A recycled cell is scrolled back into the grid before its photo takes
+  // focus
+  gridImage(index) {
+    const box = this.boxes?.[index]
+    if (box && !this.renderedItems.has(index)) {
+      const gridTop = this.gridTarget.getBoundingClientRect().top + window.scrollY + this.gridPadding.top
+      window.scrollTo({ top: gridTop + box.top - (window.innerHeight - box.height) / 2, behavior: 'instant' })
+      this.renderWindow()
     }
+
+    const item = this.renderedItems ? this.renderedItems.get(index) : this.itemTargets[index]
+    return item?.querySelector('.gallery-image')
   }
 
-  fallbackImageLoading() {
-    this.itemTargets.forEach(item => {
-      const img = item.querySelector('img[data-thumbnail]')
-      if (img && \!img.src) {
-        this.loadImage(img)
-      }
+  downloadImage(event) {
+    event.preventDefault()
+    event.stopPropagation()
+
+    const image = this.images[parseInt(event.currentTarget.dataset.imageIndex)]
+    this.downloads.download(image, { button: event.currentTarget })
+  }
+
+  downloadCurrentImage(event) {
+    this.downloads.downloadCurrent({ button: event?.currentTarget })
+  }
+
+  // Favorites: each visitor picks images under a guest name
+  // (lib/gallery_selection)
+  setupFavorites() {
+    this.selection = new GallerySelection({
+      url: this.hasSelectionUrlValue ? this.selectionUrlValue : null,
+      favoritesUrl: this.favoritesUrlValue,
+      submitUrl: this.submitSelectionUrlValue,
+      limit: this.selectionLimitValue,
+      extraPrice: this.extraImagePriceValue,
+      allowExtra: this.allowExtraSelectionsValue,
+      currency: this.currencyValue,
+      buttons: () => this.favoriteBtnTargets,
+      current: () => this.lightbox?.current,
+      lightboxButton: this.hasLightboxFavoriteBtnTarget ? this.lightboxFavoriteBtnTarget : null,
+      count: this.hasFavoritesCountTarget ? this.favoritesCountTarget : null,
+      notice: this.hasSelectionNoticeTarget ? this.selectionNoticeTarget : null,
+      submitButton: this.hasSubmitSelectionBtnTarget ? this.submitSelectionBtnTarget : null,
+      guestLabel: this.hasGuestNameTarget ? this.guestNameTarget : null,
+      dialog: this.hasGuestDialogTarget ? this.guestDialogTarget : null,
+      nameInput: this.hasGuestNameInputTarget ? this.guestNameInputTarget : null
     })
+    this.selection.load()
+  }
+
+  toggleFavorite(event) {
+    event.preventDefault()
+    event.stopPropagation()
+
+    this.selection.toggle(parseInt(event.currentTarget.dataset.imageId))
+  }
+
+  toggleCurrentFavorite() {
+    const currentImage = this.lightbox.current
+    if (currentImage) this.selection.toggle(currentImage.id)
+  }
+
+  submitSelection() {
+    this.selection.submit()
+  }
+
+  openGuestDialog() {
+    this.selection.openDialog()
+  }
+
+  closeGuestDialog() {
+    this.selection.closeDialog()
+  }
+
+  saveGuestName(event) {
+    event.preventDefault()
+    this.selection.saveGuestName()
+  }
+
+  // Comments: per-image notes for the photographer, shown beside the
+  // lightbox image (lib/photo_comments)
+  setupComments() {
+    if (!this.hasCommentsPanelTarget) return
+
+    this.comments = new PhotoComments({
+      panel: this.commentsPanelTarget,
+      toggle: this.hasCommentsToggleTarget ? this.commentsToggleTarget : null,
+      list: this.hasCommentListTarget ? this.commentListTarget : null,
+      input: this.hasCommentInputTarget ? this.commentInputTarget : null,
+      url: image => `${this.commentsUrlValue}/${image.id}/comments`,
+      current: () => this.lightbox?.current,
+      whenNamed: callback => this.selection.whenNamed(callback),
+      // Notes and details share the side panel slot
+      onOpen: () => this.info?.setOpen(false)
+    })
+  }
+
+  toggleComments() {
+    this.comments?.toggle()
+  }
+
+  submitComment(event) {
+    event.preventDefault()
+    this.comments?.submit()
+  }
+
+  // Download All builds the ZIP in the browser (lib/bulk_download)
+  setupBulkDownload() {
+    this.bulkDownload = new BulkDownload({
+      listUrl: this.downloadAllUrlValue,
+      archiveName: this.archiveNameValue,
+      button: this.hasDownloadAllBtnTarget ? this.downloadAllBtnTarget : null,
+      panel: this.hasDownloadPanelTarget ? this.downloadPanelTarget : null,
+      status: this.hasDownloadStatusTarget ? this.downloadStatusTarget : null,
+      fileName: this.hasDownloadFileNameTarget ? this.downloadFileNameTarget : null,
+      fileProgress: this.hasDownloadFileProgressTarget ? this.downloadFileProgressTarget : null,
+      overallLabel: this.hasDownloadOverallLabelTarget ? this.downloadOverallLabelTarget : null,
+      overallProgress: this.hasDownloadOverallProgressTarget ? this.downloadOverallProgressTarget : null,
+      continueButton: this.hasDownloadContinueBtnTarget ? this.downloadContinueBtnTarget : null
+    })
+  }
+
+  downloadAll(event) {
+    event?.preventDefault()
+    this.bulkDownload.start()
+  }
+
+  cancelDownloadAll() {
+    this.bulkDownload.cancel()
+  }
+
+  continueDownloadAll() {
+    this.bulkDownload.continue()
+  }
+
+  // Offline copies: the whole gallery saved on this device
+  // (lib/offline_panel)
+  setupOffline() {
+    if (!this.hasOfflineBtnTarget || !this.hasServiceWorkerUrlValue || !OfflinePanel.supported) return
+
+    this.offline = new OfflinePanel({
+      pagePath: this.galleryPathValue,
+      pageUrl: this.pageUrlValue,
+      serviceWorkerUrl: this.serviceWorkerUrlValue,
+      button: this.offlineBtnTarget,
+      buttonLabel: this.offlineBtnLabelTarget,
+      panel: this.offlinePanelTarget,
+      status: this.offlineStatusTarget,
+      closeButton: this.offlineCloseBtnTarget,
+      details: this.offlineDetailsTarget,
+      progressRow: this.offlineProgressRowTarget,
+      progressLabel: this.offlineProgressLabelTarget,
+      progress: this.offlineProgressTarget,
+      saveButton: this.offlineSaveBtnTarget,
+      removeButton: this.offlineRemoveBtnTarget
+    })
+    this.offline.setup()
+  }
+
+  openOfflinePanel() {
+    this.offline?.open()
+  }
+
+  saveOffline() {
+    this.offline?.save()
+  }
+
+  removeOffline() {
+    this.offline?.remove()
+  }
+
+  closeOfflinePanel() {
+    this.offline?.close()
+  }
+
+  // Sharing (lib/photo_sharing): the photo itself goes along when
+  // downloads are allowed, as the preview on a slow connection. It's
+  // fetched ahead when shown in the lightbox, or when a grid share button
+  // is pointed at or focused.
+  setupSharing() {
+    if (!this.hasSharePopoverTarget) return
+
+    this.sharing = new PhotoSharing({
+      popover: this.sharePopoverTarget,
+      linkInput: this.shareLinkInputTarget,
+      copyButton: this.shareCopyBtnTarget,
+      qr: this.shareQrTarget,
+      qrHint: this.shareQrHintTarget,
+      linkFor: image => photoPageUrl(image.id).href,
+      fileUrlFor: image => this.allowDownloadsValue
+        ? (this.quality.reduced && image.preview_url) || image.web_url
+        : null,
+      recordUrl: this.shareUrlValue
+    })
+  }
+
+  prepareGridShare(event) {
+    const image = this.images[parseInt(event.currentTarget.dataset.imageIndex)]
+    if (image) this.sharing?.prepare(image)
+  }
+
+  shareImage(event) {
+    event.preventDefault()
+    event.stopPropagation()
+    const image = this.images[parseInt(event.currentTarget.dataset.imageIndex)]
+    if (image) this.sharing?.share(image, event.currentTarget)
+  }
+
+  shareCurrentImage(event) {
+    const image = this.lightbox.current
+    if (image) this.sharing?.share(image, event.currentTarget)
+  }
+
+  closeSharePopover(event) {
+    this.sharing?.closePopover(event)
+  }
+
+  copyShareLink() {
+    this.sharing?.copyLink()
+  }
+
+  // Slideshow: loops through the gallery fullscreen, for showing on a TV
+  // (SlideshowPlugin)
+  startSlideshow() {
+    this.slideshow?.start()
+  }
+
+  toggleSlideshow() {
+    this.slideshow?.toggle()
+  }
+
+  changeSlideshowInterval(event) {
+    this.slideshowIntervalValue = parseInt(event.target.value)
+    this.slideshow?.setInterval(this.slideshowIntervalValue)
+  }
+
+  crossfadeEnded() {
+    this.slideshow?.crossfadeEnded()
+  }
+
+  cleanupObservers() {
+    this.layoutObserver?.disconnect()
+    cancelAnimationFrame(this.scrollFrame)
+    if (this.boundScroll) {
+      window.removeEventListener('scroll', this.boundScroll)
+    }
+    if (this.boundImageError) {
+      this.gridTarget.removeEventListener('error', this.boundImageError, true)
+    }
   }
 }
-EOF < /dev/null
\ No newline at end of file
@@ -1,25 +1,67 @@
 import { Controller } from "@hotwired/stimulus"
+import { paintPlaceholder } from "lib/responsive_image"
+import { prefersReducedMotion } from "lib/lightbox_dialog"
+import { Lightbox } from "lib/lightbox"
+import { PreloadPlugin, QualityPlugin, ZoomPlugin, DownloadPlugin, AnalyticsPlugin } from "lib/lightbox_plugins"
+import { ConnectionQuality } from "lib/connection_quality"
+import { ViewTracker } from "lib/view_tracker"
+import { ImageProtection } from "lib/image_protection"
 
 // Connects to data-controller="public-gallery"
 export default class extends Controller {
-  static targets = ["grid", "item", "lightbox", "lightboxImage", "lightboxCounter", "prevBtn", "nextBtn", "closeBtn"]
+  static targets = [
+    "grid", "item", "lightbox", "lightboxImage", "lightboxCounter", "prevBtn", "nextBtn", "closeBtn",
+    "lightboxAnnouncer", "shortcutsPanel"
+  ]
   static values = { 
     images: Array, 
-    currentIndex: Number,
-    downloadAllUrl: String
+    downloadAllUrl: String,
+    protected: Boolean,
+    analyticsUrl: String
   }
 
   connect() {
-    this.currentIndexValue = 0
+    this.downloads = new DownloadPlugin()
+    this.quality = new ConnectionQuality({ onChange: () => this.qualityPlugin?.refresh() })
+    this.setupLightbox()
     this.setupImageLoading()
-    this.setupKeyboardListeners()
-    this.setupTouchListeners()
+    if (this.protectedValue) this.protection = new ImageProtection(this.element)
   }
 
   disconnect() {
-    document.removeEventListener('keydown', this.handleKeyboard)
-    this.removeEventListener('touchstart', this.handleTouchStart)
-    this.removeEventListener('touchend', this.handleTouchEnd)
+    this.lightbox?.destroy()
+    this.viewTracker?.destroy()
+    this.quality.destroy()
+    this.protection?.destroy()
+  }
+
+  // The shared lightbox (lib/lightbox) over the photos on the page. There's
+  // no HD button here; a slow connection gets previews until zoomed.
+  setupLightbox() {
+    if (!this.hasLightboxTarget) return
+
+    this.qualityPlugin = new QualityPlugin({ quality: this.quality })
+
+    this.lightbox = new Lightbox({
+      element: this.lightboxTarget,
+      image: this.lightboxImageTarget,
+      counter: this.lightboxCounterTarget,
+      announcer: this.hasLightboxAnnouncerTarget ? this.lightboxAnnouncerTarget : null,
+      prevButton: this.prevBtnTarget,
+      nextButton: this.nextBtnTarget,
+      shortcutsPanel: this.hasShortcutsPanelTarget ? this.shortcutsPanelTarget : null,
+      images: () => this.imagesValue,
+      // Focus goes back to the thumbnail of the photo shown last
+      focusOnClose: index => this.thumbnailFor(index),
+      plugins: [
+        new PreloadPlugin({ reduced: () => this.quality.reduced }),
+        this.qualityPlugin,
+        new ZoomPlugin(),
+        this.downloads,
+        new AnalyticsPlugin()
+      ]
+    })
+    if (this.analyticsUrlValue) this.viewTracker = new ViewTracker(this.lightboxTarget, this.analyticsUrlValue)
   }
 
   setupImageLoading() {
@@ -57,6 +99,10 @@ export default class extends Controller {
   loadImage(img) {
     const thumbnail = img.dataset.thumbnail
     const placeholder = img.previousElementSibling
+    const image = this.imagesValue[parseInt(img.dataset.imageIndex)]
+
+    // The blurred preview shows at once; the thumbnail fades in over it
+    if (placeholder && image) paintPlaceholder(placeholder, image)
 
     if (thumbnail) {
       const tempImg = new Image()
@@ -65,7 +111,7 @@ export default class extends Controller {
         img.classList.add('loaded')
         if (placeholder) {
           placeholder.style.opacity = '0'
-          setTimeout(() => placeholder.remove(), 300)
+          setTimeout(() => placeholder.remove(), prefersReducedMotion() ? 0 : 300)
         }
       }
       tempImg.onerror = () => {
@@ -80,174 +126,51 @@ export default class extends Controller {
 
   openLightbox(event) {
     event.preventDefault()
-    const imageIndex = parseInt(event.currentTarget.dataset.imageIndex)
-    this.currentIndexValue = imageIndex
-    this.showLightbox()
-  }
-
-  showLightbox() {
-    this.updateLightboxImage()
-    this.lightboxTarget.classList.add('active')
-    document.body.style.overflow = 'hidden'
+    this.lightbox.open(parseInt(event.currentTarget.dataset.imageIndex))
   }
 
   closeLightbox() {
-    this.lightboxTarget.classList.remove('active')
-    document.body.style.overflow = 'auto'
+    this.lightbox.close()
   }
 
-  nextImage() {
-    if (this.currentIndexValue < this.imagesValue.length - 1) {
-      this.currentIndexValue++
-      this.updateLightboxImage()
-    }
+  thumbnailFor(index) {
+    return this.element.querySelector(`[data-action*="#openLightbox"][data-image-index="${index}"]`)
   }
 
-  prevImage() {
-    if (this.currentIndexValue > 0) {
-      this.currentIndexValue--
-      this.updateLightboxImage()
-    }
+  toggleShortcuts() {
+    this.lightbox.toggleShortcuts()
   }
 
-  updateLightboxImage() {
-    const currentImage = this.imagesValue[this.currentIndexValue]
-    if (!currentImage) return
-
-    // Update image
-    this.lightboxImageTarget.src = currentImage.web_url
-    this.lightboxImageTarget.alt = currentImage.alt_text
-
-    // Update counter
-    this.lightboxCounterTarget.textContent = 
-      `${this.currentIndexValue + 1} / ${this.imagesValue.length}`
+  nextImage() {
+    this.lightbox.next()
+  }
 
-    // Update navigation buttons
-    this.prevBtnTarget.style.display = 
-      this.currentIndexValue > 0 ? 'block' : 'none'
-    this.nextBtnTarget.style.display = 
-      this.currentIndexValue < this.imagesValue.length - 1 ? 'block' : 'none'
+  prevImage() {
+    this.lightbox.prev()
   }
 
   downloadImage(event) {
     event.preventDefault()
     event.stopPropagation()
     
-    const imageIndex = parseInt(event.currentTarget.dataset.imageIndex)
-    const image = this.imagesValue[imageIndex]
-    
-    if (image) {
-      this.performDownload(image.download_url, image.filename)
-    }
+    const image = this.imagesValue[parseInt(event.currentTarget.dataset.imageIndex)]
+    this.downloads.download(image, { button: event.currentTarget })
   }
 
-  downloadCurrentImage() {
-    const currentImage = this.imagesValue[this.currentIndexValue]
-    if (currentImage) {
-      this.performDownload(currentImage.download_url, currentImage.filename)
-    }
+  downloadCurrentImage(event) {
+    this.downloads.downloadCurrent({ button: event?.currentTarget })
   }
 
-  downloadAll() {
+  downloadAll(event) {
     if (this.downloadAllUrlValue) {
-      this.performDownload(this.downloadAllUrlValue, 'gallery-photos.zip')
+      this.downloads.save(this.downloadAllUrlValue, 'gallery-photos.zip', { button: event?.currentTarget })
     }
   }
 
-  performDownload(url, filename) {
-    // Show loading state
-    const downloadBtn = event.target.closest('button, a')
-    const originalText = downloadBtn.textContent
-    downloadBtn.disabled = true
-    downloadBtn.textContent = 'Downloading...'
-
-    // Create temporary link for download
-    const link = document.createElement('a')
-    link.href = url
-    link.download = filename
-    link.style.display = 'none'
-    
-    document.body.appendChild(link)
-    link.click()
-    document.body.removeChild(link)
-
-    // Reset button state
-    setTimeout(() => {
-      downloadBtn.disabled = false
-      downloadBtn.textContent = originalText
-    }, 1500)
-  }
-
-  setupKeyboardListeners() {
-    this.handleKeyboard = this.handleKeyboard.bind(this)
-    document.addEventListener('keydown', this.handleKeyboard)
-  }
-
-  handleKeyboard(event) {
-    if (!this.lightboxTarget.classList.contains('active')) return
-
-    switch(event.key) {
-      case 'Escape':
-        event.preventDefault()
-        this.closeLightbox()
-        break
-      case 'ArrowLeft':
-        event.preventDefault()
-        this.prevImage()
-        break
-      case 'ArrowRight':
-        event.preventDefault()
-        this.nextImage()
-        break
-      case ' ':
-        event.preventDefault()
-        this.nextImage()
-        break
-    }
-  }
-
-  setupTouchListeners() {
-    this.handleTouchStart = this.handleTouchStart.bind(this)
-    this.handleTouchEnd = this.handleTouchEnd.bind(this)
-    
-    if (this.lightboxTarget) {
-      this.lightboxTarget.addEventListener('touchstart', this.handleTouchStart, { passive: true })
-      this.lightboxTarget.addEventListener('touchend', this.handleTouchEnd, { passive: true })
-    }
-  }
-
-  handleTouchStart(event) {
-    this.startX = event.touches[0].clientX
-    this.startY = event.touches[0].clientY
-  }
-
-  handleTouchEnd(event) {
-    if (!this.startX || !this.startY) return
-
-    const endX = event.changedTouches[0].clientX
-    const endY = event.changedTouches[0].clientY
-    const diffX = this.startX - endX
-    const diffY = this.startY - endY
-
-    // Check if it's a horizontal swipe (more horizontal than vertical)
-    if (Math.abs(diffX) > Math.abs(diffY) && Math.abs(diffX) > 50) {
-      if (diffX > 0) {
-        // Swipe left - next image
-        this.nextImage()
-      } else {
-        // Swipe right - previous image
-        this.prevImage()
-      }
-    }
-
-    this.startX = null
-    this.startY = null
-  }
-
   // Handle backdrop click to close lightbox
   backdropClick(event) {
     if (event.target === event.currentTarget) {
-      this.closeLightbox()
+      this.lightbox.requestClose()
     }
   }
-}
\ No newline at end of file
+}
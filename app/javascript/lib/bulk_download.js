@@ -0,0 +1,350 @@
+// Download All for the public gallery: builds a ZIP in the browser from
+// the gallery's JSON download list, streaming each original into the
+// archive as it arrives. Where the File System Access API exists the
+// archive goes straight to disk; elsewhere it is split into parts that are
+// saved one at a time.
+
+import { ZipWriter, MAX_ARCHIVE_BYTES } from "lib/zip_writer"
+
+// Archives streamed to disk only split at the ZIP format limit (with room
+// left for the central directory); in-memory archives are split much earlier
+// so a large gallery never has to fit in a mobile browser's memory at once.
+const DISK_PART_BYTES = MAX_ARCHIVE_BYTES - 16 * 1024 * 1024
+const MEMORY_PART_BYTES = 1024 * 1024 * 1024
+const MOBILE_MEMORY_PART_BYTES = 200 * 1024 * 1024
+const BLOB_FLUSH_BYTES = 16 * 1024 * 1024
+
+export class BulkDownload {
+  // `listUrl` is download_all's JSON list and `archiveName` the ZIP's name
+  // without extension. The progress elements are optional: `button` is
+  // busy while a download runs, and `panel` shows `status`, the current
+  // file (`fileName`, `fileProgress`), the whole download (`overallLabel`,
+  // `overallProgress`) and `continueButton` for the next part.
+  constructor({
+    listUrl, archiveName = 'gallery', button, panel, status,
+    fileName, fileProgress, overallLabel, overallProgress, continueButton
+  }) {
+    this.listUrl = listUrl
+    this.archiveName = archiveName
+    this.button = button
+    this.panel = panel
+    this.status = status
+    this.fileName = fileName
+    this.fileProgress = fileProgress
+    this.overallLabel = overallLabel
+    this.overallProgress = overallProgress
+    this.continueButton = continueButton
+  }
+
+  async start() {
+    if (this.abortController) return
+
+    const abortController = new AbortController()
+    this.abortController = abortController
+    this.showPanel()
+
+    try {
+      await this.buildArchive(abortController.signal)
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.updateStatus('Download cancelled')
+      } else {
+        console.error('Bulk download failed:', error)
+        this.updateStatus('Download failed. Please try again.')
+      }
+    } finally {
+      this.abortController = null
+      this.finishPanel()
+    }
+  }
+
+  cancel() {
+    this.abortController?.abort()
+  }
+
+  // The visitor's click for the next part's save dialog
+  continue() {
+    if (this.continueDownload) this.continueDownload()
+  }
+
+  destroy() {
+    this.cancel()
+    clearTimeout(this.panelTimeout)
+  }
+
+  async buildArchive(signal) {
+    const streamToDisk = 'showSaveFilePicker' in window
+    const partLimit = streamToDisk ? DISK_PART_BYTES : this.memoryPartBytes()
+    const usedNames = new Set()
+    let partNumber = 1
+
+    // The save dialog needs the click's user activation, so it opens first
+    let part = await this.startArchivePart(partNumber, streamToDisk, signal)
+
+    try {
+      this.updateStatus('Preparing download…')
+      const downloads = await this.fetchDownloadList(signal)
+
+      if (downloads.length === 0) {
+        await this.discardArchivePart(part)
+        part = null
+        this.updateStatus('There are no photos to download')
+        return
+      }
+
+      for (let index = 0; index < downloads.length; index++) {
+        const download = downloads[index]
+        const response = await fetch(download.url, { signal, credentials: 'same-origin' })
+        if (!response.ok || !response.body) {
+          throw new Error(`Failed to fetch ${download.filename}: HTTP ${response.status}`)
+        }
+
+        const name = this.uniqueArchiveName(download.filename, usedNames)
+        const fileBytes = parseInt(response.headers.get('Content-Length')) || 0
+
+        if (part.zip.entryCount > 0 && part.zip.size + fileBytes + part.zip.entryOverhead(name) > partLimit) {
+          await this.finishArchivePart(part)
+          part = null
+          partNumber++
+          part = await this.startArchivePart(partNumber, streamToDisk, signal)
+        }
+
+        this.updateStatus(
+          `Downloading ${index + 1} of ${downloads.length}` + (partNumber > 1 ? ` (part ${partNumber})` : '')
+        )
+        this.updateFileProgress(download.filename, 0, fileBytes)
+
+        let receivedBytes = 0
+        await part.zip.addEntry(name, this.readChunks(response.body), {
+          onChunk: (byteCount) => {
+            receivedBytes += byteCount
+            this.updateFileProgress(download.filename, receivedBytes, fileBytes)
+            this.updateOverallProgress(index, downloads.length, fileBytes ? receivedBytes / fileBytes : 0)
+          }
+        })
+
+        this.updateOverallProgress(index + 1, downloads.length, 0)
+      }
+
+      await this.finishArchivePart(part)
+      part = null
+      this.updateStatus(
+        partNumber > 1 ? `Download complete (${partNumber} parts)` : 'Download complete'
+      )
+    } finally {
+      if (part) await this.discardArchivePart(part)
+    }
+  }
+
+  async fetchDownloadList(signal) {
+    const response = await fetch(this.listUrl, {
+      headers: { 'Accept': 'application/json' },
+      credentials: 'same-origin',
+      signal
+    })
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    }
+
+    const data = await response.json()
+    return data.downloads || []
+  }
+
+  async startArchivePart(partNumber, streamToDisk, signal) {
+    const filename = partNumber > 1
+      ? `${this.archiveName}-part-${partNumber}.zip`
+      : `${this.archiveName}.zip`
+
+    if (streamToDisk) {
+      // Later parts need a fresh click before the save dialog may open
+      if (partNumber > 1) {
+        await this.waitForContinue(`Save part ${partNumber}`, signal)
+      }
+
+      const handle = await window.showSaveFilePicker({
+        suggestedName: filename,
+        types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+      })
+      const writable = await handle.createWritable()
+
+      return { filename, writable, zip: new ZipWriter(chunk => writable.write(chunk)) }
+    }
+
+    // Chunks are folded into Blobs as they accumulate so the browser can
+    // page them out instead of holding thousands of small buffers
+    const part = { filename, blobs: [], pending: [], pendingBytes: 0 }
+    part.zip = new ZipWriter(chunk => {
+      part.pending.push(chunk)
+      part.pendingBytes += chunk.length
+      if (part.pendingBytes >= BLOB_FLUSH_BYTES) this.flushPendingChunks(part)
+    })
+    return part
+  }
+
+  flushPendingChunks(part) {
+    if (part.pending.length === 0) return
+    part.blobs.push(new Blob(part.pending))
+    part.pending = []
+    part.pendingBytes = 0
+  }
+
+  async finishArchivePart(part) {
+    await part.zip.close()
+
+    if (part.writable) {
+      await part.writable.close()
+      return
+    }
+
+    this.flushPendingChunks(part)
+    const archive = new Blob(part.blobs, { type: 'application/zip' })
+    part.blobs = []
+
+    const url = URL.createObjectURL(archive)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = part.filename
+    link.style.display = 'none'
+
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+
+    // Give the browser time to start reading the Blob before releasing it
+    setTimeout(() => URL.revokeObjectURL(url), 60000)
+  }
+
+  async discardArchivePart(part) {
+    if (part.writable) {
+      await part.writable.abort().catch(() => {})
+    }
+    part.blobs = []
+    part.pending = []
+  }
+
+  waitForContinue(label, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.continueDownload = null
+        this.toggleContinueButton(false)
+        reject(new DOMException('Download cancelled', 'AbortError'))
+      }
+
+      this.continueDownload = () => {
+        signal.removeEventListener('abort', onAbort)
+        this.continueDownload = null
+        this.toggleContinueButton(false)
+        resolve()
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true })
+      this.updateStatus('Ready for the next part')
+      this.toggleContinueButton(true, label)
+    })
+  }
+
+  async *readChunks(body) {
+    const reader = body.getReader()
+    try {
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) return
+        yield value
+      }
+    } finally {
+      reader.releaseLock()
+    }
+  }
+
+  uniqueArchiveName(filename, usedNames) {
+    const dot = filename.lastIndexOf('.')
+    const base = dot > 0 ? filename.slice(0, dot) : filename
+    const extension = dot > 0 ? filename.slice(dot) : ''
+
+    let name = filename
+    let counter = 1
+    while (usedNames.has(name.toLowerCase())) {
+      name = `${base} (${counter++})${extension}`
+    }
+
+    usedNames.add(name.toLowerCase())
+    return name
+  }
+
+  memoryPartBytes() {
+    return window.matchMedia('(pointer: coarse)').matches ? MOBILE_MEMORY_PART_BYTES : MEMORY_PART_BYTES
+  }
+
+  showPanel() {
+    if (this.button) {
+      this.button.disabled = true
+      this.button.setAttribute('aria-busy', 'true')
+    }
+
+    if (!this.panel) return
+
+    clearTimeout(this.panelTimeout)
+    this.updateFileProgress('', 0, 0)
+    this.updateOverallProgress(0, 1, 0)
+    this.toggleContinueButton(false)
+    this.panel.hidden = false
+  }
+
+  finishPanel() {
+    if (this.button) {
+      this.button.disabled = false
+      this.button.setAttribute('aria-busy', 'false')
+    }
+
+    this.toggleContinueButton(false)
+    this.panelTimeout = setTimeout(() => this.hidePanel(), 4000)
+  }
+
+  hidePanel() {
+    if (this.panel) {
+      this.panel.hidden = true
+    }
+  }
+
+  toggleContinueButton(visible, label = '') {
+    if (!this.continueButton) return
+
+    this.continueButton.hidden = !visible
+    if (label) this.continueButton.textContent = label
+  }
+
+  updateStatus(message) {
+    if (this.status) {
+      this.status.textContent = message
+    }
+  }
+
+  updateFileProgress(filename, receivedBytes, totalBytes) {
+    if (this.fileName) {
+      this.fileName.textContent = filename
+    }
+
+    if (this.fileProgress) {
+      const progress = this.fileProgress
+      // An indeterminate bar when the server didn't send a length
+      if (totalBytes > 0) {
+        progress.value = Math.min(receivedBytes / totalBytes, 1)
+      } else {
+        progress.removeAttribute('value')
+      }
+    }
+  }
+
+  updateOverallProgress(completedFiles, totalFiles, currentFileFraction) {
+    const fraction = totalFiles > 0 ? (completedFiles + currentFileFraction) / totalFiles : 0
+
+    if (this.overallProgress) {
+      this.overallProgress.value = Math.min(fraction, 1)
+    }
+
+    if (this.overallLabel) {
+      this.overallLabel.textContent = Math.round(fraction * 100) + '%'
+    }
+  }
+}
@@ -0,0 +1,73 @@
+// How heavy the public viewers' photos should be
+//
+// On a slow connection (2G or 3G, as the browser estimates it) or with the
+// browser's data saver on, photos are "reduced": the lightbox starts each
+// one at its 800px preview, fetching more only on zoom or the HD button,
+// and preloads less. Visitors can force either way; the choice is kept on
+// this device. Browsers without navigator.connection always get full
+// quality unless the visitor picks the data saver.
+
+const STORAGE_KEY = 'gallery_photo_quality'
+const SLOW_CONNECTIONS = ['slow-2g', '2g', '3g']
+
+// 'auto' follows the connection, 'saver' always reduces, 'hd' never does
+export const QUALITY_SETTINGS = ['auto', 'saver', 'hd']
+
+export class ConnectionQuality {
+  // `onChange(reduced)` runs when the connection or the setting changes
+  constructor({ onChange } = {}) {
+    this.onChange = onChange
+    this.connection = navigator.connection
+    this.handleChange = () => this.onChange?.(this.reduced)
+
+    this.connection?.addEventListener?.('change', this.handleChange)
+  }
+
+  get setting() {
+    const stored = readSetting()
+    return QUALITY_SETTINGS.includes(stored) ? stored : 'auto'
+  }
+
+  set setting(value) {
+    writeSetting(QUALITY_SETTINGS.includes(value) ? value : 'auto')
+    this.handleChange()
+  }
+
+  get reduced() {
+    switch (this.setting) {
+      case 'saver': return true
+      case 'hd': return false
+      default: return this.slowConnection
+    }
+  }
+
+  get slowConnection() {
+    const connection = this.connection
+    return !!connection && (!!connection.saveData || SLOW_CONNECTIONS.includes(connection.effectiveType))
+  }
+
+  destroy() {
+    this.connection?.removeEventListener?.('change', this.handleChange)
+  }
+}
+
+// Storage can be unavailable (private browsing, blocked cookies); the
+// setting then lasts for the page
+let fallbackSetting = null
+
+function readSetting() {
+  try {
+    return localStorage.getItem(STORAGE_KEY)
+  } catch {
+    return fallbackSetting
+  }
+}
+
+function writeSetting(value) {
+  fallbackSetting = value
+  try {
+    localStorage.setItem(STORAGE_KEY, value)
+  } catch {
+    // Kept in fallbackSetting
+  }
+}
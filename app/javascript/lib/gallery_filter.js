@@ -0,0 +1,134 @@
+// Visitor search for the public grid
+//
+// A filter is { query, from, to }: words that must all appear in a photo's
+// caption or file name (ignoring case and accents), and an inclusive range
+// of capture days as YYYY-MM-DD. It lives in the page URL as ?q=, ?from=
+// and ?to= so a filtered gallery can be shared. null means no filter.
+
+const PARAMS = { query: 'q', from: 'from', to: 'to' }
+const DAY = /^\d{4}-\d{2}-\d{2}$/
+
+// Typing in the search box filters once it pauses for this long
+const FILTER_DELAY_MS = 250
+
+export function readFilter(searchParams) {
+  const filter = {
+    query: (searchParams.get(PARAMS.query) || '').trim(),
+    from: validDay(searchParams.get(PARAMS.from)),
+    to: validDay(searchParams.get(PARAMS.to))
+  }
+
+  return filter.query || filter.from || filter.to ? filter : null
+}
+
+// Sets the filter's parameters on `url` (clearing them for null)
+export function writeFilter(url, filter) {
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    filter?.[key] ? url.searchParams.set(param, filter[key]) : url.searchParams.delete(param)
+  })
+  return url
+}
+
+// Photos without a capture date never match a date range
+export function matchesFilter(image, filter) {
+  if (!filter) return true
+
+  if (filter.from || filter.to) {
+    const day = image.captured_on
+    if (!day || (filter.from && day < filter.from) || (filter.to && day > filter.to)) return false
+  }
+
+  const text = searchable(`${image.caption || ''} ${image.filename || ''}`)
+  return searchable(filter.query).split(/\s+/).filter(Boolean).every(word => text.includes(word))
+}
+
+// The search form over the grid. Changes are written to the URL (replacing
+// the entry, so the back button never steps through searches) and handed
+// to `onChange(filter)`; the page does the filtering and reports back
+// through renderStatus.
+export class GallerySearch {
+  // `from`, `to` and `empty` are optional
+  constructor({ form, query, from, to, clearButton, status, empty, onChange }) {
+    this.form = form
+    this.query = query
+    this.from = from
+    this.to = to
+    this.clearButton = clearButton
+    this.status = status
+    this.empty = empty
+    this.onChange = onChange
+    this.filter = null
+  }
+
+  // Shows the form filled in from the URL, returning the filter the page
+  // was loaded with
+  show() {
+    this.form.hidden = false
+
+    this.filter = readFilter(new URL(window.location.href).searchParams)
+    if (this.filter) {
+      this.query.value = this.filter.query
+      if (this.from) this.from.value = this.filter.from
+      if (this.to) this.to.value = this.filter.to
+    }
+    return this.filter
+  }
+
+  input() {
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.update(), FILTER_DELAY_MS)
+  }
+
+  clear() {
+    this.query.value = ''
+    if (this.from) this.from.value = ''
+    if (this.to) this.to.value = ''
+    this.update()
+    this.query.focus()
+  }
+
+  update() {
+    clearTimeout(this.timer)
+
+    const url = writeFilter(new URL(window.location.href), {
+      query: this.query.value.trim(),
+      from: this.from?.value || '',
+      to: this.to?.value || ''
+    })
+    const filter = readFilter(url.searchParams)
+    if (JSON.stringify(filter) === JSON.stringify(this.filter)) return
+
+    history.replaceState(history.state, '', url)
+    this.filter = filter
+    this.onChange(filter)
+  }
+
+  // `searching` while pages are still being fetched to search, `stalled`
+  // when some couldn't be; `matches` of the `total` photos match
+  renderStatus({ filtering, searching, stalled, matches, total }) {
+    this.clearButton.hidden = !filtering
+    if (this.empty) this.empty.hidden = !filtering || searching || matches > 0
+
+    if (!filtering) {
+      this.status.textContent = ''
+    } else if (searching) {
+      this.status.textContent = `Searching all ${total} photos…`
+    } else if (stalled) {
+      this.status.textContent = `${matches} found so far; some photos couldn't be searched`
+    } else {
+      this.status.textContent = `${matches} of ${total} photos match`
+    }
+  }
+
+  destroy() {
+    clearTimeout(this.timer)
+  }
+}
+
+function searchable(text) {
+  return text.normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase()
+}
+
+function validDay(value) {
+  return DAY.test(value || '') ? value : ''
+}
@@ -0,0 +1,101 @@
+// Layout engines for the public grid
+//
+// Each takes the photos' aspect ratios (width / height) and the available
+// width, and returns absolute boxes plus the total height. They are pure
+// functions: callers measure once, compute, then write every style in one
+// pass so resizing never interleaves reads and writes.
+
+// Justified rows (Flickr-style): each row is filled with photos scaled to a
+// common height so the row spans the full width. The last row keeps the
+// target height instead of being stretched.
+export function justifiedLayout(aspectRatios, containerWidth, { rowHeight, gap }) {
+  const boxes = []
+  let top = 0
+  let row = []
+  let rowAspect = 0
+
+  const placeRow = (height) => {
+    let left = 0
+    row.forEach(({ index, aspect }) => {
+      const width = aspect * height
+      boxes[index] = { left, top, width, height }
+      left += width + gap
+    })
+    top += height + gap
+    row = []
+    rowAspect = 0
+  }
+
+  aspectRatios.forEach((aspect, index) => {
+    row.push({ index, aspect })
+    rowAspect += aspect
+
+    const height = (containerWidth - gap * (row.length - 1)) / rowAspect
+    if (height <= rowHeight) placeRow(height)
+  })
+
+  if (row.length > 0) {
+    placeRow(Math.min(rowHeight, (containerWidth - gap * (row.length - 1)) / rowAspect))
+  }
+
+  return { boxes, height: Math.max(top - gap, 0) }
+}
+
+// Masonry columns: as many columns of at least `columnWidth` as fit, each
+// photo dropped into the currently shortest column.
+export function masonryLayout(aspectRatios, containerWidth, { columnWidth, gap }) {
+  const columns = Math.max(1, Math.floor((containerWidth + gap) / (columnWidth + gap)))
+  const width = (containerWidth - gap * (columns - 1)) / columns
+  const columnHeights = new Array(columns).fill(0)
+
+  const boxes = aspectRatios.map(aspect => {
+    const column = columnHeights.indexOf(Math.min(...columnHeights))
+    const height = width / aspect
+    const box = { left: column * (width + gap), top: columnHeights[column], width, height }
+
+    columnHeights[column] += height + gap
+    return box
+  })
+
+  return { boxes, height: Math.max(Math.max(...columnHeights) - gap, 0) }
+}
+
+// Uniform grid: as many equal columns of at least `columnWidth` as fit, every
+// cell cropped to `cellAspect`. Matches the CSS grid the page falls back to.
+export function gridLayout(aspectRatios, containerWidth, { columnWidth, gap, cellAspect }) {
+  const columns = Math.max(1, Math.floor((containerWidth + gap) / (columnWidth + gap)))
+  const width = (containerWidth - gap * (columns - 1)) / columns
+  const height = width / cellAspect
+
+  const boxes = aspectRatios.map((_, index) => ({
+    left: (index % columns) * (width + gap),
+    top: Math.floor(index / columns) * (height + gap),
+    width,
+    height
+  }))
+  const rows = Math.ceil(aspectRatios.length / columns)
+
+  return { boxes, height: Math.max(rows * (height + gap) - gap, 0) }
+}
+
+// Sections stacked one after another: each run of photos is laid out on its
+// own by `layout(aspectRatios)`, below `headingHeight` of room for its
+// heading (0 for none). Returns the boxes for every photo in order, the top
+// of each run and the total height.
+export function sectionedLayout(runs, layout, { gap }) {
+  const boxes = []
+  const runTops = []
+  let top = 0
+
+  runs.forEach(({ aspectRatios, headingHeight }, run) => {
+    if (run > 0) top += gap
+    runTops.push(top)
+    top += headingHeight
+
+    const section = layout(aspectRatios)
+    section.boxes.forEach(box => boxes.push({ ...box, top: box.top + top }))
+    top += section.height
+  })
+
+  return { boxes, runTops, height: top }
+}
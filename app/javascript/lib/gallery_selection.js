@@ -0,0 +1,283 @@
+// Favorites in the public gallery: each visitor picks photos under a guest
+// name, and the picks are kept server-side as a named selection the
+// photographer can review. Submitting the selection locks it and notifies
+// the photographer.
+
+import { jsonHeaders } from "lib/json_headers"
+
+export class GallerySelection {
+  // `url` is the visitor's selection (absent when favorites are off),
+  // `favoritesUrl` the per-photo favorites and `submitUrl` the final
+  // submission. `limit` is the photos included in the package (0 for no
+  // limit), priced at `extraPrice` in `currency` beyond it unless
+  // `allowExtra` is false.
+  //
+  // `buttons` returns the favorite buttons in the grid and `current` the
+  // photo in the lightbox; the elements are optional.
+  constructor({
+    url, favoritesUrl, submitUrl, limit = 0, extraPrice = 0, allowExtra = true, currency = 'USD',
+    buttons = () => [], current = () => null,
+    lightboxButton, count, notice, submitButton, guestLabel, dialog, nameInput
+  }) {
+    this.url = url
+    this.favoritesUrl = favoritesUrl
+    this.submitUrl = submitUrl
+    this.limit = limit
+    this.extraPrice = extraPrice
+    this.allowExtra = allowExtra
+    this.currency = currency
+    this.buttons = buttons
+    this.current = current
+    this.lightboxButton = lightboxButton
+    this.count = count
+    this.notice = notice
+    this.submitButton = submitButton
+    this.guestLabel = guestLabel
+    this.dialog = dialog
+    this.nameInput = nameInput
+
+    this.favoriteIds = new Set()
+    this.guestName = null
+    this.submitted = false
+    this.pendingAction = null
+  }
+
+  load() {
+    if (!this.url) return
+
+    fetch(this.url, {
+      headers: { 'Accept': 'application/json' },
+      credentials: 'same-origin'
+    })
+    .then(response => response.ok ? response.json() : { selection: null })
+    .then(data => {
+      if (data.selection) this.apply(data.selection)
+    })
+    .catch(error => {
+      console.error('Failed to load favorites:', error)
+    })
+  }
+
+  apply(selection) {
+    this.guestName = selection.guest_name
+    this.favoriteIds = new Set(selection.image_ids)
+    this.submitted = !!selection.submitted_at
+    this.render()
+  }
+
+  has(imageId) {
+    return this.favoriteIds.has(imageId)
+  }
+
+  toggle(imageId) {
+    this.setFavorite(imageId, !this.has(imageId))
+  }
+
+  async setFavorite(imageId, favorite) {
+    if (this.submitted) return
+
+    if (favorite && this.full()) {
+      this.showNotice(`You can choose up to ${this.limit} images`)
+      return
+    }
+
+    if (!this.guestName) {
+      this.pendingAction = favorite ? () => this.setFavorite(imageId, true) : null
+      this.openDialog()
+      return
+    }
+
+    // Optimistic update, reverted if the server rejects it
+    const previous = new Set(this.favoriteIds)
+    favorite ? this.favoriteIds.add(imageId) : this.favoriteIds.delete(imageId)
+    this.render()
+
+    try {
+      const response = await fetch(`${this.favoritesUrl}/${imageId}`, {
+        method: favorite ? 'POST' : 'DELETE',
+        headers: jsonHeaders(),
+        credentials: 'same-origin'
+      })
+      const data = await response.json()
+
+      if (!response.ok || data.status !== 'success') {
+        throw new Error(data.errors ? data.errors.join(', ') : `HTTP ${response.status}`)
+      }
+
+      this.apply(data.selection)
+    } catch (error) {
+      console.error('Failed to update favorite:', error)
+      this.favoriteIds = previous
+      this.render()
+      this.showNotice(error.message)
+    }
+  }
+
+  // Runs `callback` once the visitor has given a guest name, asking for
+  // one first if they haven't
+  whenNamed(callback) {
+    if (this.guestName) {
+      callback()
+      return
+    }
+
+    this.pendingAction = callback
+    this.openDialog()
+  }
+
+  // Final picks: locks the selection and notifies the photographer
+  async submit() {
+    const count = this.favoriteIds.size
+    if (count === 0 || this.submitted) return
+
+    const message = `Submit ${count === 1 ? '1 image' : `${count} images`} as your final selection? ` +
+      "You won't be able to change your picks afterwards."
+    if (!confirm(message)) return
+
+    if (this.submitButton) this.submitButton.disabled = true
+
+    try {
+      const response = await fetch(this.submitUrl, {
+        method: 'POST',
+        headers: jsonHeaders(),
+        credentials: 'same-origin'
+      })
+      const data = await response.json()
+
+      if (!response.ok || data.status !== 'success') {
+        throw new Error(data.errors ? data.errors.join(', ') : `HTTP ${response.status}`)
+      }
+
+      this.apply(data.selection)
+    } catch (error) {
+      console.error('Failed to submit selection:', error)
+      this.render()
+      this.showNotice(error.message)
+    }
+  }
+
+  full() {
+    return this.limit > 0 && !this.allowExtra && this.favoriteIds.size >= this.limit
+  }
+
+  extraCount() {
+    return this.limit > 0 ? Math.max(this.favoriteIds.size - this.limit, 0) : 0
+  }
+
+  formatPrice(amount) {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: this.currency }).format(amount)
+  }
+
+  noticeText() {
+    if (this.submitted) {
+      return 'Your selection has been submitted. Contact the photographer to make changes.'
+    }
+
+    const extra = this.extraCount()
+    if (extra > 0) {
+      const images = extra === 1 ? '1 extra image' : `${extra} extra images`
+      return this.extraPrice > 0
+        ? `${images} × ${this.formatPrice(this.extraPrice)} = ${this.formatPrice(extra * this.extraPrice)}`
+        : `${images} beyond your package`
+    }
+
+    if (this.full()) {
+      return `You've chosen all ${this.limit} included images`
+    }
+
+    return ''
+  }
+
+  showNotice(message) {
+    if (!this.notice) return
+
+    this.notice.textContent = message
+    this.notice.classList.add('warning')
+  }
+
+  openDialog() {
+    if (!this.dialog) return
+
+    this.dialog.showModal()
+
+    if (this.nameInput) {
+      this.nameInput.value = this.guestName || ''
+      this.nameInput.focus()
+    }
+  }
+
+  closeDialog() {
+    this.pendingAction = null
+    this.dialog?.close()
+  }
+
+  async saveGuestName() {
+    const guestName = this.nameInput.value.trim()
+    if (!guestName) return
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: jsonHeaders(),
+        credentials: 'same-origin',
+        body: JSON.stringify({ guest_name: guestName })
+      })
+      const data = await response.json()
+
+      if (!response.ok || data.status !== 'success') {
+        throw new Error(data.errors ? data.errors.join(', ') : `HTTP ${response.status}`)
+      }
+
+      // Picks up whatever was waiting for the name
+      const pendingAction = this.pendingAction
+      this.apply(data.selection)
+      this.closeDialog()
+      pendingAction?.()
+    } catch (error) {
+      console.error('Failed to save guest name:', error)
+    }
+  }
+
+  render() {
+    this.buttons().forEach(button => this.renderButton(button, parseInt(button.dataset.imageId)))
+    this.renderLightboxButton()
+
+    const count = this.favoriteIds.size
+
+    if (this.count) {
+      this.count.textContent = this.limit > 0
+        ? `${count} of ${this.limit} chosen`
+        : (count === 1 ? '1 favorite' : `${count} favorites`)
+      this.count.classList.toggle('over-limit', this.extraCount() > 0)
+    }
+
+    if (this.notice) {
+      this.notice.textContent = this.noticeText()
+      this.notice.classList.toggle('warning', !this.submitted && this.extraCount() > 0)
+    }
+
+    if (this.submitButton) {
+      this.submitButton.hidden = count === 0 && !this.submitted
+      this.submitButton.disabled = count === 0 || this.submitted
+      this.submitButton.textContent = this.submitted ? 'Selection submitted' : 'Submit selection'
+    }
+
+    if (this.guestLabel) {
+      this.guestLabel.textContent = this.guestName ? `Choosing as ${this.guestName}` : ''
+    }
+  }
+
+  renderLightboxButton() {
+    if (!this.lightboxButton) return
+
+    const currentImage = this.current()
+    this.renderButton(this.lightboxButton, currentImage?.id)
+  }
+
+  renderButton(button, imageId) {
+    const active = this.favoriteIds.has(imageId)
+    button.classList.toggle('active', active)
+    button.setAttribute('aria-pressed', active ? 'true' : 'false')
+    button.disabled = this.submitted
+  }
+}
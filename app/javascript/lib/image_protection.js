@@ -0,0 +1,27 @@
+// Save protection for protected proofing galleries
+//
+// Photos inside the element can't be saved from the context menu (which
+// Android also opens on a long press), dragged to the desktop or saved
+// from iOS's long-press callout, which the protected-photos class turns
+// off. Screenshots still work; the watermark is what covers those.
+
+export class ImageProtection {
+  constructor(element) {
+    this.element = element
+    this.handleEvent = this.handleEvent.bind(this)
+
+    element.classList.add('protected-photos')
+    element.addEventListener('contextmenu', this.handleEvent)
+    element.addEventListener('dragstart', this.handleEvent)
+  }
+
+  handleEvent(event) {
+    if (event.target.closest?.('img, picture')) event.preventDefault()
+  }
+
+  destroy() {
+    this.element.classList.remove('protected-photos')
+    this.element.removeEventListener('contextmenu', this.handleEvent)
+    this.element.removeEventListener('dragstart', this.handleEvent)
+  }
+}
@@ -0,0 +1,206 @@
+// Pinch, double-tap/double-click and wheel zoom with drag-to-pan for a
+// lightbox image
+//
+// Everything runs on pointer events, so mouse, touch and pen share one code
+// path. The image is transformed in place (origin at its top-left corner) and
+// panning is clamped so the zoomed image always covers its own box.
+
+const MAX_SCALE = 4
+const DOUBLE_TAP_SCALE = 2.5
+const DOUBLE_TAP_MS = 300
+const DOUBLE_TAP_DISTANCE = 30
+const TAP_MOVE_TOLERANCE = 10
+const WHEEL_SENSITIVITY = 0.0015
+
+export class ImageZoom {
+  // `onZoomChange` is called with true/false whenever the image goes from
+  // fit-to-screen to zoomed in and back.
+  constructor(image, { onZoomChange } = {}) {
+    this.image = image
+    this.onZoomChange = onZoomChange
+    this.pointers = new Map()
+    this.scale = 1
+    this.x = 0
+    this.y = 0
+    this.wasZoomed = false
+    this.pinched = false
+    this.lastTap = null
+    this.lastTapZoomAt = 0
+
+    this.handlePointerDown = this.handlePointerDown.bind(this)
+    this.handlePointerMove = this.handlePointerMove.bind(this)
+    this.handlePointerUp = this.handlePointerUp.bind(this)
+    this.handleWheel = this.handleWheel.bind(this)
+    this.handleDoubleClick = this.handleDoubleClick.bind(this)
+
+    image.style.transformOrigin = '0 0'
+    image.style.touchAction = 'none'
+    image.draggable = false
+
+    image.addEventListener('pointerdown', this.handlePointerDown)
+    image.addEventListener('pointermove', this.handlePointerMove)
+    image.addEventListener('pointerup', this.handlePointerUp)
+    image.addEventListener('pointercancel', this.handlePointerUp)
+    image.addEventListener('wheel', this.handleWheel, { passive: false })
+    image.addEventListener('dblclick', this.handleDoubleClick)
+  }
+
+  get zoomed() {
+    return this.scale > 1
+  }
+
+  // True while zoomed, or when the current gesture was a pinch, so the
+  // caller can ignore the touch as a swipe
+  get suppressSwipe() {
+    return this.zoomed || this.pinched
+  }
+
+  reset() {
+    this.scale = 1
+    this.x = 0
+    this.y = 0
+    this.apply()
+  }
+
+  destroy() {
+    this.image.removeEventListener('pointerdown', this.handlePointerDown)
+    this.image.removeEventListener('pointermove', this.handlePointerMove)
+    this.image.removeEventListener('pointerup', this.handlePointerUp)
+    this.image.removeEventListener('pointercancel', this.handlePointerUp)
+    this.image.removeEventListener('wheel', this.handleWheel)
+    this.image.removeEventListener('dblclick', this.handleDoubleClick)
+
+    this.image.style.transform = ''
+    this.image.style.transformOrigin = ''
+    this.image.style.touchAction = ''
+  }
+
+  // Zooms to `scale` keeping the point under (clientX, clientY) still
+  zoomAt(clientX, clientY, scale) {
+    const nextScale = Math.min(Math.max(scale, 1), MAX_SCALE)
+    const rect = this.image.getBoundingClientRect()
+    const pointX = clientX - (rect.left - this.x)
+    const pointY = clientY - (rect.top - this.y)
+    const ratio = nextScale / this.scale
+
+    this.x = pointX - (pointX - this.x) * ratio
+    this.y = pointY - (pointY - this.y) * ratio
+    this.scale = nextScale
+    this.apply()
+  }
+
+  toggleAt(clientX, clientY) {
+    if (this.zoomed) {
+      this.reset()
+    } else {
+      this.zoomAt(clientX, clientY, DOUBLE_TAP_SCALE)
+    }
+  }
+
+  apply() {
+    const width = this.image.offsetWidth
+    const height = this.image.offsetHeight
+
+    this.x = Math.min(0, Math.max(this.x, width - width * this.scale))
+    this.y = Math.min(0, Math.max(this.y, height - height * this.scale))
+
+    this.image.style.transform = this.zoomed
+      ? `translate(${this.x}px, ${this.y}px) scale(${this.scale})`
+      : ''
+    this.image.classList.toggle('zoomed', this.zoomed)
+
+    if (this.zoomed !== this.wasZoomed) {
+      this.wasZoomed = this.zoomed
+      if (this.onZoomChange) this.onZoomChange(this.zoomed)
+    }
+  }
+
+  handlePointerDown(event) {
+    if (this.pointers.size === 0) {
+      this.pinched = false
+      this.tapStart = { x: event.clientX, y: event.clientY }
+    }
+
+    this.image.setPointerCapture(event.pointerId)
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY })
+
+    if (this.pointers.size === 2) {
+      const [first, second] = this.pointers.values()
+      this.pinchStart = {
+        distance: Math.hypot(second.x - first.x, second.y - first.y),
+        scale: this.scale,
+        midX: (first.x + second.x) / 2,
+        midY: (first.y + second.y) / 2
+      }
+    }
+  }
+
+  handlePointerMove(event) {
+    const previous = this.pointers.get(event.pointerId)
+    if (!previous) return
+
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY })
+
+    if (this.pointers.size >= 2 && this.pinchStart) {
+      const [first, second] = this.pointers.values()
+      const distance = Math.hypot(second.x - first.x, second.y - first.y)
+      const midX = (first.x + second.x) / 2
+      const midY = (first.y + second.y) / 2
+
+      this.pinched = true
+      this.zoomAt(midX, midY, this.pinchStart.scale * distance / this.pinchStart.distance)
+
+      // Moving both fingers together pans
+      this.x += midX - this.pinchStart.midX
+      this.y += midY - this.pinchStart.midY
+      this.pinchStart.midX = midX
+      this.pinchStart.midY = midY
+      this.apply()
+    } else if (this.zoomed) {
+      this.x += event.clientX - previous.x
+      this.y += event.clientY - previous.y
+      this.apply()
+    }
+  }
+
+  handlePointerUp(event) {
+    if (!this.pointers.has(event.pointerId)) return
+
+    this.pointers.delete(event.pointerId)
+    if (this.pointers.size < 2) this.pinchStart = null
+
+    // Browsers don't reliably fire dblclick for touch, so taps are paired here
+    if (event.pointerType === 'touch' && this.pointers.size === 0 && !this.pinched && this.isTap(event)) {
+      const now = Date.now()
+
+      if (this.lastTap &&
+          now - this.lastTap.time < DOUBLE_TAP_MS &&
+          Math.hypot(event.clientX - this.lastTap.x, event.clientY - this.lastTap.y) < DOUBLE_TAP_DISTANCE) {
+        this.lastTap = null
+        this.lastTapZoomAt = now
+        this.toggleAt(event.clientX, event.clientY)
+      } else {
+        this.lastTap = { time: now, x: event.clientX, y: event.clientY }
+      }
+    }
+  }
+
+  isTap(event) {
+    return this.tapStart &&
+      Math.hypot(event.clientX - this.tapStart.x, event.clientY - this.tapStart.y) < TAP_MOVE_TOLERANCE
+  }
+
+  handleWheel(event) {
+    event.preventDefault()
+    this.zoomAt(event.clientX, event.clientY, this.scale * Math.exp(-event.deltaY * WHEEL_SENSITIVITY))
+  }
+
+  handleDoubleClick(event) {
+    event.preventDefault()
+
+    // Already handled as a double tap
+    if (Date.now() - this.lastTapZoomAt < 500) return
+
+    this.toggleAt(event.clientX, event.clientY)
+  }
+}
@@ -0,0 +1,9 @@
+// Headers for the public gallery's JSON requests that change something:
+// a JSON body and response, and the page's CSRF token
+export function jsonHeaders() {
+  return {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+    'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]')?.content
+  }
+}
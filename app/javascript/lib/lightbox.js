@@ -0,0 +1,345 @@
+// The lightbox shared by every photo viewer: the public gallery
+// (optimized-gallery), the public layout's simple gallery (public-gallery)
+// and the dashboard's image modal (gallery-viewer)
+//
+// The core does what every viewer does the same way: which photo is up and
+// its responsive sources, the counter and screen-reader announcement,
+// previous/next from the buttons, arrow keys, Space and swipes, Escape, the
+// keyboard help (?) and, unless the page presents it another way, the modal
+// dialog itself. Everything else comes from plugins (lib/lightbox_plugins),
+// plain objects with any of these hooks:
+//
+//   attach(lightbox)                   once, when the lightbox is built
+//   shown(image, index, { opening })   after a photo is put up
+//   opened() / closed()                after the lightbox opens or closes
+//   keydown(event)                     true when it handled the key
+//   sourceFor(image)                   one URL to show instead of the responsive set
+//   escape()                           true when it took Escape (e.g. to zoom out)
+//   suppressSwipe                      true while a touch mustn't change photo
+//   destroy()
+
+import { setResponsiveSources, setSingleSource, viewportSizes } from "lib/responsive_image"
+import { LightboxDialog, describePhoto } from "lib/lightbox_dialog"
+
+const SWIPE_DISTANCE = 50
+
+export class Lightbox {
+  // `element` is the lightbox and `image` the <img> the photos go into;
+  // `counter`, `announcer`, `prevButton`, `nextButton` and the
+  // `shortcuts*` elements are optional.
+  //
+  // `images` returns the photos loaded so far; `totalCount`, `hasMore` and
+  // `loadMore` let navigation run on into photos still to be fetched.
+  // `navigation` is 'hide' or 'disable' for the buttons at either end.
+  // `present`/`dismiss` replace the built-in modal (the dashboard uses a
+  // Bootstrap modal, which keeps focus itself). `requestClose` replaces
+  // what the close button and Escape do; `focusOnClose(index)` names the
+  // element focus returns to.
+  constructor({
+    element, image, counter, announcer, prevButton, nextButton,
+    shortcutsPanel, shortcutsToggle, shortcutsCloseButton,
+    images, totalCount, hasMore, loadMore,
+    navigation = 'hide', present, dismiss, requestClose, focusOnClose,
+    plugins = []
+  }) {
+    this.element = element
+    this.image = image
+    this.counter = counter
+    this.announcer = announcer
+    this.prevButton = prevButton
+    this.nextButton = nextButton
+    this.shortcutsPanel = shortcutsPanel
+    this.shortcutsToggle = shortcutsToggle
+    this.shortcutsCloseButton = shortcutsCloseButton
+
+    this.imagesSource = images
+    this.totalCountSource = totalCount
+    this.hasMoreSource = hasMore
+    this.loadMoreSource = loadMore
+    this.navigation = navigation
+    this.present = present
+    this.dismiss = dismiss
+    this.requestCloseHandler = requestClose
+    this.focusOnClose = focusOnClose
+
+    this.index = 0
+    this.isOpen = false
+    this.loop = false
+    this.shortcutsOpen = false
+    this.plugins = plugins
+
+    // Pages that present the lightbox themselves also keep focus in it
+    if (!present) {
+      this.ensureDialogSemantics()
+      this.dialog = new LightboxDialog(element)
+    }
+
+    this.handleKeydown = this.handleKeydown.bind(this)
+    this.handleTouchStart = this.handleTouchStart.bind(this)
+    this.handleTouchEnd = this.handleTouchEnd.bind(this)
+    document.addEventListener('keydown', this.handleKeydown)
+    element.addEventListener('touchstart', this.handleTouchStart, { passive: true })
+    element.addEventListener('touchend', this.handleTouchEnd, { passive: true })
+
+    this.plugins.forEach(plugin => plugin.attach?.(this))
+  }
+
+  get images() {
+    return this.imagesSource()
+  }
+
+  get current() {
+    return this.images[this.index]
+  }
+
+  get totalCount() {
+    return this.totalCountSource ? this.totalCountSource() : this.images.length
+  }
+
+  get hasMore() {
+    return !!this.hasMoreSource?.()
+  }
+
+  // Resolves true once more photos are in
+  loadMore() {
+    return this.loadMoreSource ? this.loadMoreSource() : Promise.resolve(false)
+  }
+
+  sizesFor(image) {
+    return viewportSizes(image)
+  }
+
+  // The first plugin's fixed rendition for `image` (e.g. the preview on a
+  // slow connection), or null for the responsive set
+  singleSourceFor(image) {
+    for (const plugin of this.plugins) {
+      const url = plugin.sourceFor?.(image)
+      if (url) return url
+    }
+    return null
+  }
+
+  // Points the <img> at the current photo; plugins call this again when
+  // what they'd return from sourceFor changes
+  renderSources() {
+    const image = this.current
+    if (!image) return
+
+    const url = this.singleSourceFor(image)
+    if (url) {
+      setSingleSource(this.image, url)
+    } else {
+      setResponsiveSources(this.image, image, { sizes: this.sizesFor(image), fallbackUrl: image.web_url })
+    }
+  }
+
+  // `returnToOpener` sends focus back to whatever had it on close, rather
+  // than to the photo the visitor ended up on
+  open(index, { returnToOpener = false } = {}) {
+    if (!this.images[index]) return
+
+    const opener = document.activeElement
+    this.returnFocus = () => {
+      const target = (!returnToOpener && this.focusOnClose?.(this.index)) || opener
+      if (target?.isConnected) target.focus()
+    }
+
+    this.index = index
+    this.render({ opening: !this.isOpen })
+
+    if (!this.isOpen) {
+      this.isOpen = true
+      this.present ? this.present() : this.presentDialog()
+      this.plugins.forEach(plugin => plugin.opened?.())
+    }
+  }
+
+  // Puts up another photo while open
+  show(index) {
+    if (!this.images[index]) return
+
+    this.index = index
+    this.render({ opening: false })
+  }
+
+  close() {
+    if (!this.isOpen) return
+
+    this.isOpen = false
+    this.setShortcutsOpen(false)
+    this.plugins.forEach(plugin => plugin.closed?.())
+
+    if (this.dismiss) {
+      this.dismiss()
+      this.returnFocus?.()
+    } else {
+      this.dismissDialog()
+    }
+    this.returnFocus = null
+  }
+
+  // The close button, Escape and backdrop clicks
+  requestClose() {
+    this.requestCloseHandler ? this.requestCloseHandler() : this.close()
+  }
+
+  // Stepping past the last loaded photo waits for the next page; in a loop
+  // the last photo leads back to the first
+  async next() {
+    if (this.index === this.images.length - 1 && this.hasMore) await this.loadMore()
+
+    if (this.index < this.images.length - 1) {
+      this.show(this.index + 1)
+    } else if (this.loop && this.images.length > 1) {
+      this.show(0)
+    }
+  }
+
+  prev() {
+    if (this.index > 0) this.show(this.index - 1)
+  }
+
+  render({ opening }) {
+    const image = this.current
+    if (!image) return
+
+    this.renderSources()
+    this.image.alt = image.alt_text || image.filename || ''
+    if (this.announcer) this.announcer.textContent = describePhoto(image, this.index, this.totalCount)
+
+    this.updateNavigation()
+    this.plugins.forEach(plugin => plugin.shown?.(image, this.index, { opening }))
+  }
+
+  updateNavigation() {
+    if (this.counter) this.counter.textContent = `${this.index + 1} / ${this.totalCount}`
+
+    const hasPrev = this.index > 0
+    const hasNext = this.index < this.images.length - 1 || this.hasMore
+    ;[[this.prevButton, hasPrev], [this.nextButton, hasNext]].forEach(([button, enabled]) => {
+      if (!button) return
+
+      if (this.navigation === 'disable') {
+        button.disabled = !enabled
+      } else {
+        button.style.display = enabled ? 'block' : 'none'
+      }
+    })
+  }
+
+  // Keyboard help over the photo; focus moves into it and back to its
+  // button when it closes
+  toggleShortcuts() {
+    this.setShortcutsOpen(!this.shortcutsOpen)
+  }
+
+  setShortcutsOpen(open) {
+    if (!this.shortcutsPanel || open === this.shortcutsOpen) return
+
+    this.shortcutsOpen = open
+    this.shortcutsPanel.hidden = !open
+    this.shortcutsToggle?.setAttribute('aria-expanded', open ? 'true' : 'false')
+
+    if (open) {
+      (this.shortcutsCloseButton || this.shortcutsPanel).focus()
+    } else if (this.shortcutsPanel.contains(document.activeElement)) {
+      this.shortcutsToggle?.focus()
+    }
+  }
+
+  handleKeydown(event) {
+    if (!this.isOpen) return
+    if (event.target.closest?.('input, textarea') && event.key !== 'Escape') return
+    // Space still presses the focused control
+    if (event.key === ' ' && event.target.closest?.('button, a, select')) return
+
+    if (event.key === 'Escape') {
+      event.preventDefault()
+      if (this.shortcutsOpen) {
+        this.setShortcutsOpen(false)
+      } else if (!this.plugins.some(plugin => plugin.escape?.())) {
+        this.requestClose()
+      }
+      return
+    }
+
+    if (this.plugins.some(plugin => plugin.keydown?.(event))) {
+      event.preventDefault()
+      return
+    }
+
+    switch (event.key) {
+      case 'ArrowLeft':
+        event.preventDefault()
+        this.prev()
+        break
+      case 'ArrowRight':
+      case ' ':
+        event.preventDefault()
+        this.next()
+        break
+      case '?':
+        if (!this.shortcutsPanel) break
+        event.preventDefault()
+        this.toggleShortcuts()
+        break
+    }
+  }
+
+  handleTouchStart(event) {
+    this.touchStartX = event.touches[0].clientX
+    this.touchStartY = event.touches[0].clientY
+  }
+
+  handleTouchEnd(event) {
+    if (this.touchStartX == null || this.touchStartY == null) return
+
+    // A pan or pinch on a zoomed photo must not change the photo
+    if (event.touches.length > 0) return
+    if (this.plugins.some(plugin => plugin.suppressSwipe)) {
+      this.touchStartX = null
+      this.touchStartY = null
+      return
+    }
+
+    const diffX = this.touchStartX - event.changedTouches[0].clientX
+    const diffY = this.touchStartY - event.changedTouches[0].clientY
+    this.touchStartX = null
+    this.touchStartY = null
+
+    if (Math.abs(diffX) > Math.abs(diffY) && Math.abs(diffX) > SWIPE_DISTANCE) {
+      diffX > 0 ? this.next() : this.prev()
+    }
+  }
+
+  presentDialog() {
+    this.element.style.display = ''
+    this.element.classList.add('active')
+    document.body.style.overflow = 'hidden'
+    this.dialog.open({ returnFocus: this.returnFocus })
+  }
+
+  dismissDialog() {
+    this.element.classList.remove('active')
+    document.body.style.overflow = 'auto'
+    this.dialog.close()
+  }
+
+  // For lightbox markup that doesn't declare itself a dialog
+  ensureDialogSemantics() {
+    const element = this.element
+    if (!element.hasAttribute('role')) element.setAttribute('role', 'dialog')
+    if (!element.hasAttribute('aria-label')) element.setAttribute('aria-label', 'Full-screen image viewer')
+    if (!element.hasAttribute('tabindex')) element.tabIndex = -1
+    element.setAttribute('aria-modal', 'true')
+    element.setAttribute('aria-hidden', 'true')
+  }
+
+  destroy() {
+    document.removeEventListener('keydown', this.handleKeydown)
+    this.element.removeEventListener('touchstart', this.handleTouchStart)
+    this.element.removeEventListener('touchend', this.handleTouchEnd)
+    this.plugins.forEach(plugin => plugin.destroy?.())
+    this.dialog?.destroy()
+  }
+}
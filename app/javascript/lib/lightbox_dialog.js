@@ -0,0 +1,123 @@
+// Modal dialog behaviour for the lightboxes
+//
+// Follows the WAI-ARIA modal dialog pattern: focus moves into the lightbox
+// when it opens, Tab and Shift+Tab cycle through its controls, focus that
+// wanders outside is brought back, and on close focus returns to whatever
+// opened it. Dialogs opened above the lightbox (the share popover, the
+// guest name prompt) keep their own focus while they're up.
+
+const FOCUSABLE = [
+  'a[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ')
+
+export class LightboxDialog {
+  constructor(element) {
+    this.element = element
+    this.opened = false
+
+    this.handleKeydown = this.handleKeydown.bind(this)
+    this.handleFocusIn = this.handleFocusIn.bind(this)
+  }
+
+  get isOpen() {
+    return this.opened
+  }
+
+  // `initialFocus` gets focus first (the dialog itself by default).
+  // `returnFocus` puts focus back on close; by default it goes to the
+  // element that had it before opening.
+  open({ initialFocus, returnFocus } = {}) {
+    if (this.opened) return
+
+    const previous = document.activeElement
+    this.returnFocus = returnFocus || (() => {
+      if (previous?.isConnected) previous.focus()
+    })
+    this.opened = true
+
+    this.element.setAttribute('aria-hidden', 'false')
+    document.addEventListener('keydown', this.handleKeydown)
+    document.addEventListener('focusin', this.handleFocusIn)
+    ;(initialFocus || this.element).focus({ preventScroll: true })
+  }
+
+  close({ restoreFocus = true } = {}) {
+    if (!this.opened) return
+
+    this.opened = false
+    this.element.setAttribute('aria-hidden', 'true')
+    document.removeEventListener('keydown', this.handleKeydown)
+    document.removeEventListener('focusin', this.handleFocusIn)
+
+    const returnFocus = this.returnFocus
+    this.returnFocus = null
+    if (restoreFocus) returnFocus?.()
+  }
+
+  destroy() {
+    this.close({ restoreFocus: false })
+  }
+
+  // Controls that can take focus right now; hidden panels and buttons are
+  // skipped
+  focusableElements() {
+    return [...this.element.querySelectorAll(FOCUSABLE)].filter(element =>
+      !element.disabled && !element.closest('[hidden], [inert]') && element.getClientRects().length > 0
+    )
+  }
+
+  handleKeydown(event) {
+    if (event.key !== 'Tab' || this.yieldsFocusTo(document.activeElement)) return
+
+    const focusable = this.focusableElements()
+    const active = document.activeElement
+    const outside = !this.element.contains(active) || active === this.element
+
+    if (focusable.length === 0) {
+      event.preventDefault()
+      this.element.focus({ preventScroll: true })
+    } else if (event.shiftKey && (outside || active === focusable[0])) {
+      event.preventDefault()
+      focusable[focusable.length - 1].focus()
+    } else if (!event.shiftKey && (outside || active === focusable[focusable.length - 1])) {
+      event.preventDefault()
+      focusable[0].focus()
+    }
+  }
+
+  handleFocusIn(event) {
+    if (this.element.contains(event.target) || this.yieldsFocusTo(event.target)) return
+
+    this.element.focus({ preventScroll: true })
+  }
+
+  // True for elements inside another dialog shown above this one
+  yieldsFocusTo(element) {
+    if (!element || this.element.contains(element)) return false
+
+    const dialog = element.closest?.('[role="dialog"], dialog')
+    return !!dialog && !dialog.hidden
+  }
+}
+
+// What a screen reader hears when the lightbox shows a photo, e.g.
+// "Photo 5 of 40: The first dance. Taken just after sunset."
+export function describePhoto(image, index, total) {
+  const position = `Photo ${index + 1} of ${total}`
+  const description = [image.alt_text, image.caption]
+    .map(text => text?.trim())
+    .filter(Boolean)
+    .map(text => /[.!?]$/.test(text) ? text : `${text}.`)
+    .join(' ')
+
+  return description ? `${position}: ${description}` : position
+}
+
+export function prefersReducedMotion() {
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches
+}
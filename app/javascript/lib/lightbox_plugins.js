@@ -0,0 +1,703 @@
+// Plugins for lib/lightbox: preloading, photo quality, zoom, downloads,
+// video playback, the camera details panel, view analytics, the slideshow
+// and ?photo= history. Each viewer picks the ones it needs.
+
+import { ImageZoom } from "lib/image_zoom"
+import { setSingleSource, preloadResponsiveImage } from "lib/responsive_image"
+import { prefersReducedMotion } from "lib/lightbox_dialog"
+
+// Slideshow controls and cursor hide after this long without input
+const SLIDESHOW_IDLE_MS = 3000
+const CROSSFADE_FALLBACK_MS = 2000
+
+// Fetches the photos either side of the one shown (and, near the end of
+// what's loaded, the next page) so stepping through never waits. While
+// `reduced()` only the next photo is fetched.
+export class PreloadPlugin {
+  constructor({ reduced = () => false } = {}) {
+    this.reduced = reduced
+    this.preloaded = new Map()
+  }
+
+  attach(lightbox) {
+    this.lightbox = lightbox
+  }
+
+  shown(image, index) {
+    const lightbox = this.lightbox
+    if (index >= lightbox.images.length - 3) lightbox.loadMore()
+
+    const count = lightbox.images.length
+    ;(this.reduced() ? [index + 1] : [index - 1, index + 1])
+      .map(i => lightbox.loop ? (i + count) % count : i)
+      .filter(i => i >= 0 && i < count && i !== index)
+      .forEach(i => this.preload(lightbox.images[i]))
+  }
+
+  // Fetches the rendition the lightbox will pick for this photo on this
+  // screen; the element is kept so the request isn't dropped
+  preload(image) {
+    if (!image) return
+
+    const url = this.lightbox.singleSourceFor(image)
+    const key = url || image.id
+    if (this.preloaded.has(key)) return
+
+    if (url) {
+      const img = new Image()
+      img.src = url
+      this.preloaded.set(key, img)
+    } else {
+      this.preloaded.set(key, preloadResponsiveImage(image, {
+        sizes: this.lightbox.sizesFor(image),
+        fallbackUrl: image.web_url
+      }))
+    }
+  }
+}
+
+// Starts each photo at its preview rendition while `quality`
+// (lib/connection_quality) is reduced. The HD `toggle` (or the H key)
+// shows full-quality photos until it's pressed again; zooming in still
+// fetches the original through ZoomPlugin.
+export class QualityPlugin {
+  constructor({ quality, toggle }) {
+    this.quality = quality
+    this.toggleButton = toggle
+    this.hd = false
+  }
+
+  attach(lightbox) {
+    this.lightbox = lightbox
+    this.renderToggle()
+  }
+
+  sourceFor(image) {
+    if (this.hd || image.video || !this.quality.reduced) return null
+    return image.preview_url || null
+  }
+
+  shown() {
+    this.renderToggle()
+  }
+
+  keydown(event) {
+    if ((event.key !== 'h' && event.key !== 'H') || !this.quality.reduced) return false
+
+    this.toggle()
+    return true
+  }
+
+  toggle() {
+    this.hd = !this.hd
+    this.refresh()
+  }
+
+  // The connection or the visitor's setting changed
+  refresh() {
+    this.renderToggle()
+    if (this.lightbox.isOpen) this.lightbox.renderSources()
+  }
+
+  renderToggle() {
+    if (!this.toggleButton) return
+
+    this.toggleButton.hidden = !this.quality.reduced
+    this.toggleButton.setAttribute('aria-pressed', this.hd ? 'true' : 'false')
+  }
+}
+
+// Pinch, wheel and double-tap zoom; once zoomed in the web rendition is
+// swapped for the original
+export class ZoomPlugin {
+  // `originalUrl(image)` is where the full-size photo comes from, or null
+  // to keep zooming into the web rendition. The zoom URL's token keeps
+  // zoomed views out of the download analytics.
+  constructor({ originalUrl = image => image.zoom_url || null } = {}) {
+    this.originalUrl = originalUrl
+  }
+
+  attach(lightbox) {
+    this.lightbox = lightbox
+    this.zoom = new ImageZoom(lightbox.image, {
+      onZoomChange: zoomed => {
+        if (zoomed) this.loadOriginal()
+      }
+    })
+  }
+
+  get suppressSwipe() {
+    return this.zoom.suppressSwipe
+  }
+
+  shown() {
+    this.zoom.reset()
+    this.originalLoadedFor = null
+  }
+
+  closed() {
+    this.zoom.reset()
+  }
+
+  escape() {
+    if (!this.zoom.zoomed) return false
+
+    this.zoom.reset()
+    return true
+  }
+
+  loadOriginal() {
+    const image = this.lightbox.current
+    const url = image && this.originalUrl(image)
+    if (!url || this.originalLoadedFor === image.id) return
+
+    const original = new Image()
+    original.onload = () => {
+      if (this.lightbox.current?.id !== image.id) return
+
+      this.originalLoadedFor = image.id
+      setSingleSource(this.lightbox.image, url)
+    }
+    original.src = url
+  }
+
+  destroy() {
+    this.zoom.destroy()
+  }
+}
+
+// Saves photos through their download URL. A `link` (e.g. the dashboard
+// modal's download button) is kept pointing at the photo shown.
+export class DownloadPlugin {
+  constructor({ link } = {}) {
+    this.link = link
+  }
+
+  attach(lightbox) {
+    this.lightbox = lightbox
+  }
+
+  shown(image) {
+    if (!this.link) return
+
+    this.link.href = image.download_url
+    this.link.download = image.filename
+  }
+
+  download(image, options) {
+    if (image?.download_url) this.save(image.download_url, image.filename, options)
+  }
+
+  downloadCurrent(options) {
+    this.download(this.lightbox.current, options)
+  }
+
+  // `button` is disabled for a moment so a double click doesn't fetch
+  // the file twice
+  save(url, filename, { button } = {}) {
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    link.style.display = 'none'
+
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+
+    if (button) {
+      button.disabled = true
+      button.setAttribute('aria-busy', 'true')
+      setTimeout(() => {
+        button.disabled = false
+        button.removeAttribute('aria-busy')
+      }, 1500)
+    }
+  }
+}
+
+// Camera, lens and exposure read from the photo's EXIF, in a side panel
+// toggled by its button or the I key. `onOpen` runs before it opens, so a
+// panel sharing its slot can close.
+export class InfoPanelPlugin {
+  constructor({ panel, list, toggle, onOpen }) {
+    this.panel = panel
+    this.list = list
+    this.toggleButton = toggle
+    this.onOpen = onOpen
+    this.isOpen = false
+  }
+
+  attach(lightbox) {
+    this.lightbox = lightbox
+  }
+
+  toggle() {
+    this.setOpen(!this.isOpen)
+  }
+
+  setOpen(open) {
+    if (open === this.isOpen) return
+    if (open) this.onOpen?.()
+
+    this.isOpen = open
+    this.panel.hidden = !open
+    this.toggleButton?.setAttribute('aria-expanded', open ? 'true' : 'false')
+
+    if (open) this.render(this.lightbox.current)
+  }
+
+  shown(image) {
+    if (this.isOpen) this.render(image)
+  }
+
+  keydown(event) {
+    if (event.key !== 'i' && event.key !== 'I') return false
+
+    this.toggle()
+    return true
+  }
+
+  render(image) {
+    if (!image) return
+
+    const exif = image.exif || {}
+    const rows = [
+      ['Camera', exif.camera],
+      ['Lens', exif.lens],
+      ['Focal length', exif.focal_length],
+      ['Aperture', exif.aperture],
+      ['Shutter', exif.shutter_speed],
+      ['Sensitivity', exif.iso],
+      ['Taken', exif.captured_at && formatCaptureTime(exif.captured_at)]
+    ].filter(([, value]) => value)
+
+    this.list.innerHTML = ''
+
+    if (rows.length === 0) {
+      const empty = document.createElement('p')
+      empty.className = 'comments-empty'
+      empty.textContent = 'No camera details for this photo.'
+      this.list.appendChild(empty)
+      return
+    }
+
+    rows.forEach(([label, value]) => {
+      const term = document.createElement('dt')
+      term.textContent = label
+      const detail = document.createElement('dd')
+      detail.textContent = value
+      this.list.append(term, detail)
+    })
+  }
+}
+
+// Plays video clips in the lightbox's `video` element in place of the
+// photo, which keeps showing the poster for a clip that can't play (the
+// gallery is proofing; `notice` says why). Space plays and pauses, and
+// `onEnded` runs when a clip finishes.
+export class VideoPlugin {
+  constructor({ video, notice, onEnded }) {
+    this.video = video
+    this.notice = notice
+    this.onEnded = onEnded
+    this.handleEnded = () => this.onEnded?.()
+  }
+
+  attach(lightbox) {
+    this.lightbox = lightbox
+    this.video.addEventListener('ended', this.handleEnded)
+  }
+
+  // A clip is up and hasn't finished
+  get playing() {
+    return !this.video.hidden && !this.video.ended
+  }
+
+  shown(image) {
+    const playable = !!(image.video && image.video_url)
+    this.lightbox.image.hidden = playable
+    if (this.notice) this.notice.hidden = !image.video || playable
+
+    if (!playable) {
+      this.stop()
+      return
+    }
+
+    this.video.poster = image.web_url
+    this.video.src = image.video_url
+    this.video.setAttribute('aria-label', image.alt_text || image.filename || 'Video')
+    this.video.hidden = false
+    // Browsers may refuse to start with sound; the controls are there
+    this.video.play().catch(() => {})
+  }
+
+  closed() {
+    this.stop()
+  }
+
+  keydown(event) {
+    if (event.key !== ' ' || this.video.hidden) return false
+
+    this.video.paused ? this.video.play().catch(() => {}) : this.video.pause()
+    return true
+  }
+
+  // Dropping the source ends the download too
+  stop() {
+    this.video.hidden = true
+    if (!this.video.hasAttribute('src')) return
+
+    this.video.pause()
+    this.video.removeAttribute('src')
+    this.video.load()
+  }
+
+  destroy() {
+    this.stop()
+    this.video.removeEventListener('ended', this.handleEnded)
+  }
+}
+
+// Reports which photos were looked at and for how long, as events on the
+// lightbox element: `lightbox:view` ({ image, index }) when a photo is put
+// up and `lightbox:dwell` ({ image, index, ms }) when it's left. Time with
+// the page in the background isn't counted: the dwell ends when it's
+// hidden and a new one starts, without another view, when it's back.
+export class AnalyticsPlugin {
+  constructor() {
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        this.finish()
+      } else if (this.lightbox.isOpen && this.lightbox.current && !this.viewing) {
+        this.start(this.lightbox.current, this.lightbox.index)
+      }
+    }
+  }
+
+  attach(lightbox) {
+    this.lightbox = lightbox
+    document.addEventListener('visibilitychange', this.handleVisibilityChange)
+  }
+
+  shown(image, index) {
+    this.finish()
+    this.start(image, index)
+    this.dispatch('view', { image, index })
+  }
+
+  closed() {
+    this.finish()
+  }
+
+  destroy() {
+    this.finish()
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange)
+  }
+
+  start(image, index) {
+    this.viewing = { image, index, since: performance.now() }
+  }
+
+  finish() {
+    if (!this.viewing) return
+
+    const { image, index, since } = this.viewing
+    this.viewing = null
+    this.dispatch('dwell', { image, index, ms: Math.round(performance.now() - since) })
+  }
+
+  dispatch(name, detail) {
+    this.lightbox.element.dispatchEvent(new CustomEvent(`lightbox:${name}`, { detail }))
+  }
+}
+
+// Loops through the photos fullscreen, for showing on a TV. The lightbox
+// element gets the `slideshow` class (and `idle` once the pointer rests),
+// `fadeImage` crossfades from the outgoing photo and Space pauses. A slide
+// stays up `interval` milliseconds, or longer while `holding()` (a clip
+// still playing); `button`, `intervalSelect` and `status` show the state.
+export class SlideshowPlugin {
+  constructor({ fadeImage, button, intervalSelect, status, interval = 5000, holding = () => false }) {
+    this.fadeImage = fadeImage
+    this.button = button
+    this.intervalSelect = intervalSelect
+    this.status = status
+    this.interval = interval
+    this.holding = holding
+    this.active = false
+    this.paused = false
+    this.crossfading = false
+
+    this.handleActivity = () => this.activity()
+    // Leaving fullscreen (e.g. with the browser's own Escape) ends the show
+    this.handleFullscreenChange = () => {
+      if (!document.fullscreenElement && this.active) this.stop()
+    }
+  }
+
+  attach(lightbox) {
+    this.lightbox = lightbox
+  }
+
+  // Manual navigation gets a full interval too
+  shown() {
+    this.schedule()
+  }
+
+  closed() {
+    this.stop()
+  }
+
+  escape() {
+    if (!this.active) return false
+
+    this.stop()
+    return true
+  }
+
+  keydown(event) {
+    if (event.key !== ' ' || !this.active) return false
+
+    this.togglePause()
+    return true
+  }
+
+  destroy() {
+    this.stop()
+  }
+
+  toggle() {
+    this.active ? this.stop() : this.start()
+  }
+
+  start() {
+    const lightbox = this.lightbox
+    if (lightbox.images.length === 0) return
+
+    // Focus returns to the Slideshow button, not a photo in the grid
+    lightbox.loop = true
+    if (!lightbox.isOpen) lightbox.open(lightbox.index, { returnToOpener: true })
+
+    this.active = true
+    this.paused = false
+    this.reducedMotion = prefersReducedMotion()
+    lightbox.element.classList.add('slideshow')
+    if (this.intervalSelect) this.intervalSelect.value = String(this.interval)
+
+    document.addEventListener('fullscreenchange', this.handleFullscreenChange)
+    lightbox.element.requestFullscreen?.().catch(() => {
+      // Fullscreen can be refused (e.g. iOS Safari); the slideshow still runs
+    })
+
+    lightbox.element.addEventListener('mousemove', this.handleActivity)
+    lightbox.element.addEventListener('touchstart', this.handleActivity, { passive: true })
+    this.activity()
+
+    this.renderControls()
+    this.schedule()
+  }
+
+  stop() {
+    if (!this.active) return
+
+    const element = this.lightbox.element
+    this.active = false
+    this.lightbox.loop = false
+    clearTimeout(this.slideTimer)
+    clearTimeout(this.idleTimer)
+
+    element.classList.remove('slideshow', 'idle')
+    element.removeEventListener('mousemove', this.handleActivity)
+    element.removeEventListener('touchstart', this.handleActivity)
+    document.removeEventListener('fullscreenchange', this.handleFullscreenChange)
+
+    if (document.fullscreenElement === element) {
+      document.exitFullscreen?.().catch(() => {})
+    }
+
+    this.renderControls()
+  }
+
+  togglePause() {
+    this.paused = !this.paused
+    this.renderControls()
+    this.schedule()
+  }
+
+  setInterval(interval) {
+    this.interval = interval
+    this.schedule()
+  }
+
+  // What was holding the slide (a clip) has finished
+  released() {
+    if (this.active && !this.paused) this.advance()
+  }
+
+  // (Re)starts the countdown to the next slide
+  schedule() {
+    clearTimeout(this.slideTimer)
+    if (!this.active || this.paused || this.holding()) return
+
+    this.slideTimer = setTimeout(() => this.advance(), this.interval)
+  }
+
+  advance() {
+    this.crossfade()
+    this.lightbox.next()
+  }
+
+  // Lays the outgoing photo over the incoming one and fades it out once
+  // the new photo has loaded
+  crossfade() {
+    if (this.reducedMotion || !this.fadeImage) return
+
+    const fadeImage = this.fadeImage
+    const lightboxImg = this.lightbox.image
+
+    fadeImage.src = lightboxImg.currentSrc || lightboxImg.src
+    fadeImage.classList.remove('fading')
+    fadeImage.hidden = false
+    this.crossfading = true
+
+    let fallbackTimer = null
+    const fadeOut = () => {
+      clearTimeout(fallbackTimer)
+      lightboxImg.removeEventListener('load', fadeOut)
+      this.crossfading = false
+      fadeImage.classList.add('fading')
+    }
+
+    lightboxImg.addEventListener('load', fadeOut)
+    fallbackTimer = setTimeout(fadeOut, CROSSFADE_FALLBACK_MS)
+  }
+
+  // The fade's transition has ended
+  crossfadeEnded() {
+    if (!this.fadeImage) return
+
+    this.fadeImage.hidden = true
+    this.fadeImage.classList.remove('fading')
+  }
+
+  activity() {
+    const element = this.lightbox.element
+    element.classList.remove('idle')
+    clearTimeout(this.idleTimer)
+    this.idleTimer = setTimeout(() => element.classList.add('idle'), SLIDESHOW_IDLE_MS)
+  }
+
+  renderControls() {
+    if (this.button) {
+      this.button.setAttribute('aria-pressed', this.active ? 'true' : 'false')
+      this.button.setAttribute('aria-label', this.active ? 'Stop slideshow' : 'Start slideshow')
+    }
+
+    if (this.status) {
+      this.status.textContent = !this.active
+        ? ''
+        : (this.paused ? 'Slideshow paused – press space to resume' : 'Slideshow playing')
+    }
+  }
+}
+
+// Gives every photo shown its own ?photo=<id> history entry, so photos
+// can be shared and back/forward step through them. While `replacing()`
+// (the slideshow) the entry is replaced rather than one piled up per
+// photo. Closing through close() unwinds the entries the lightbox pushed,
+// so the back button afterwards leaves the gallery as expected.
+export class HistoryPlugin {
+  constructor({ replacing = () => false } = {}) {
+    this.replacing = replacing
+    this.handlePopState = () => this.popState()
+  }
+
+  attach(lightbox) {
+    this.lightbox = lightbox
+    window.addEventListener('popstate', this.handlePopState)
+  }
+
+  // Opens the photo the page was loaded with. The landing entry becomes
+  // the plain gallery and the photo is pushed on top of it, so closing or
+  // going back stays in the gallery.
+  restore() {
+    const index = this.photoIndexFromUrl()
+    if (index === null) return
+
+    replacePhotoParam(null)
+    if (index >= 0) this.lightbox.open(index)
+  }
+
+  shown(image, index, { opening }) {
+    if (this.restoring) return
+
+    const url = photoPageUrl(image.id)
+    if (url.href === window.location.href) return
+
+    const depth = opening ? 1 : (history.state?.lightboxDepth || 0) + 1
+
+    if (this.replacing() && !opening) {
+      history.replaceState(history.state, '', url)
+    } else {
+      history.pushState({ photo: image.id, lightboxDepth: depth }, '', url)
+    }
+  }
+
+  close() {
+    const depth = history.state?.lightboxDepth
+
+    if (depth) {
+      history.go(-depth) // popstate closes the lightbox
+    } else {
+      this.lightbox.close()
+      replacePhotoParam(null)
+    }
+  }
+
+  destroy() {
+    window.removeEventListener('popstate', this.handlePopState)
+  }
+
+  // null without a photo parameter, -1 when it names an unknown photo
+  photoIndexFromUrl() {
+    const photoId = new URL(window.location.href).searchParams.get('photo')
+    if (!photoId) return null
+
+    return this.lightbox.images.findIndex(image => String(image.id) === photoId)
+  }
+
+  popState() {
+    const index = this.photoIndexFromUrl()
+    const open = this.lightbox.isOpen
+
+    this.restoring = true
+
+    if (index !== null && index >= 0) {
+      open ? this.lightbox.show(index) : this.lightbox.open(index)
+    } else if (open) {
+      this.lightbox.close()
+    }
+
+    this.restoring = false
+  }
+}
+
+// The current page's URL with ?photo= naming `photoId` (or without it)
+export function photoPageUrl(photoId) {
+  const url = new URL(window.location.href)
+  photoId ? url.searchParams.set('photo', photoId) : url.searchParams.delete('photo')
+  return url
+}
+
+function replacePhotoParam(photoId) {
+  history.replaceState(photoId ? history.state : null, '', photoPageUrl(photoId))
+}
+
+// Cameras record local wall-clock time with no zone, so the offset is
+// dropped and the time shown as taken rather than shifted to the viewer's
+function formatCaptureTime(iso8601) {
+  const date = new Date(iso8601.slice(0, 19))
+  if (isNaN(date)) return null
+
+  return new Intl.DateTimeFormat(undefined, { dateStyle: 'long', timeStyle: 'short' }).format(date)
+}
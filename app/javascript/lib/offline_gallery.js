@@ -0,0 +1,253 @@
+// Saving a public gallery for offline viewing
+//
+// Everything the gallery needs goes into one Cache Storage cache, written
+// from the page: the gallery page itself, its stylesheets and script
+// modules, every JSON page of the grid and each photo's web rendition. The
+// service worker (app/views/service_workers/show.js.erb) answers from these
+// caches when the network is gone. A manifest saved alongside maps the other
+// renditions of each photo (thumbnails, srcset candidates, the zoom
+// original) to the cached web rendition, so one file per photo is enough.
+
+// Shared with the service worker
+export const CACHE_PREFIX = 'offline-gallery:'
+export const MANIFEST_SUFFIX = '/offline-manifest.json'
+
+// Typical size of a WebP web rendition per pixel, for the estimate shown
+// before saving
+const BYTES_PER_PIXEL = 0.3
+const WEB_RENDITION_LIMIT = 1200
+const PARALLEL_DOWNLOADS = 4
+
+export class OfflineGallery {
+  // `pagePath` is the gallery page (/g/<slug>), `pageUrl` the JSON branch
+  // the grid pages through, `serviceWorkerUrl` the worker script
+  constructor({ pagePath, pageUrl, serviceWorkerUrl }) {
+    this.pagePath = pagePath
+    this.pageUrl = pageUrl
+    this.serviceWorkerUrl = serviceWorkerUrl
+  }
+
+  static get supported() {
+    return 'caches' in window && 'serviceWorker' in navigator
+  }
+
+  get cacheName() {
+    return CACHE_PREFIX + this.pagePath
+  }
+
+  get manifestUrl() {
+    return absoluteUrl(this.pagePath + MANIFEST_SUFFIX)
+  }
+
+  // The manifest of the saved copy ({ savedAt, photoCount, bytes, ... }),
+  // or null when the gallery isn't saved
+  async saved() {
+    if (!(await caches.has(this.cacheName))) return null
+
+    const response = await (await caches.open(this.cacheName)).match(this.manifestUrl)
+    return response ? response.json() : null
+  }
+
+  // Every photo in the gallery, read through the same JSON pages the grid
+  // requests so those can be cached as they are. Fails when the server
+  // answers with anything but the gallery (e.g. the password form once a
+  // protected gallery's session has ended).
+  async list(signal) {
+    const pages = []
+    const images = []
+    let cursor = null
+
+    do {
+      const url = new URL(this.pageUrl, window.location.href)
+      if (cursor) url.searchParams.set('cursor', cursor)
+
+      const response = await fetch(url, {
+        signal,
+        headers: { 'Accept': 'application/json' },
+        credentials: 'same-origin'
+      })
+      if (!response.ok) throw new OfflineSaveError(response.status)
+
+      const body = await response.text()
+      const data = JSON.parse(body)
+
+      pages.push({ url: url.href, body })
+      images.push(...data.images)
+      cursor = data.next_cursor
+    } while (cursor)
+
+    return { pages, images }
+  }
+
+  // Rough size of the saved copy, from each photo's dimensions
+  estimateBytes(images) {
+    return images.reduce((total, image) => {
+      const width = image.width || WEB_RENDITION_LIMIT
+      const height = image.height || WEB_RENDITION_LIMIT * 2 / 3
+      const scale = Math.min(WEB_RENDITION_LIMIT / width, WEB_RENDITION_LIMIT / height, 1)
+      return total + Math.round(width * scale * height * scale * BYTES_PER_PIXEL)
+    }, 0)
+  }
+
+  // Bytes the browser will still let this site store, when it says
+  async availableBytes() {
+    const estimate = await navigator.storage?.estimate?.()
+    return estimate?.quota ? estimate.quota - (estimate.usage || 0) : null
+  }
+
+  // Caches the gallery from a `list()` result. `onProgress` gets
+  // { done, total, bytes } after each photo. A failed or aborted save
+  // leaves nothing behind.
+  async save({ pages, images }, { signal, onProgress } = {}) {
+    await navigator.serviceWorker.register(this.serviceWorkerUrl, { scope: scopeOf(this.pagePath) })
+    await navigator.storage?.persist?.()
+
+    const cache = await caches.open(this.cacheName)
+
+    try {
+      await this.cachePage(cache, signal)
+      await Promise.all(pageAssetUrls().map(url => cache.add(new Request(url, { signal }))))
+      await Promise.all(pages.map(page => cache.put(page.url, jsonResponse(page.body))))
+
+      const bytes = await this.cachePhotos(cache, images, { signal, onProgress })
+      const manifest = {
+        savedAt: new Date().toISOString(),
+        photoCount: images.length,
+        bytes,
+        aliases: photoAliases(images)
+      }
+      await cache.put(this.manifestUrl, jsonResponse(JSON.stringify(manifest)))
+
+      this.notifyWorker()
+      return manifest
+    } catch (error) {
+      await caches.delete(this.cacheName)
+      throw error
+    }
+  }
+
+  async remove() {
+    await caches.delete(this.cacheName)
+    this.notifyWorker()
+
+    // Nothing left for the worker to serve
+    const remaining = (await caches.keys()).some(name => name.startsWith(CACHE_PREFIX))
+    if (!remaining) {
+      const registration = await navigator.serviceWorker.getRegistration(scopeOf(this.pagePath))
+      await registration?.unregister()
+    }
+  }
+
+  async cachePage(cache, signal) {
+    const url = absoluteUrl(this.pagePath)
+    const response = await fetch(url, {
+      signal,
+      headers: { 'Accept': 'text/html' },
+      credentials: 'same-origin'
+    })
+    if (!response.ok || response.redirected) throw new OfflineSaveError(response.status)
+
+    await cache.put(url, response)
+  }
+
+  async cachePhotos(cache, images, { signal, onProgress }) {
+    const queue = [...images]
+    let done = 0
+    let bytes = 0
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const image = queue.shift()
+        const url = absoluteUrl(image.web_url)
+        const response = await fetch(url, { signal, credentials: 'same-origin' })
+        if (!response.ok) throw new OfflineSaveError(response.status)
+
+        const blob = await response.blob()
+        await cache.put(url, new Response(blob, { headers: response.headers }))
+
+        done += 1
+        bytes += blob.size
+        onProgress?.({ done, total: images.length, bytes })
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(PARALLEL_DOWNLOADS, images.length) }, worker))
+    return bytes
+  }
+
+  // The worker keeps the aliases in memory; tell it they changed
+  notifyWorker() {
+    navigator.serviceWorker.controller?.postMessage({ type: 'offline-galleries-changed' })
+  }
+}
+
+export class OfflineSaveError extends Error {
+  constructor(status) {
+    super(status === 401
+      ? 'Enter the gallery password again to save it for offline viewing'
+      : `Saving for offline failed (HTTP ${status})`)
+    this.name = 'OfflineSaveError'
+  }
+}
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024)} MB`
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`
+}
+
+// Stylesheets and every module the import map can load, so Stimulus finds
+// its controllers offline as well
+function pageAssetUrls() {
+  const urls = new Set()
+
+  document.querySelectorAll('link[rel="stylesheet"][href], link[rel="modulepreload"][href], script[src]')
+    .forEach(element => urls.add(absoluteUrl(element.href || element.src)))
+
+  const importMap = document.querySelector('script[type="importmap"]')
+  if (importMap) {
+    Object.values(JSON.parse(importMap.textContent).imports || {})
+      .forEach(url => urls.add(absoluteUrl(url)))
+  }
+
+  return [...urls]
+}
+
+// Every other URL a photo can be requested under, pointing at its web
+// rendition
+function photoAliases(images) {
+  const aliases = {}
+
+  images.forEach(image => {
+    const target = absoluteUrl(image.web_url)
+    const urls = [
+      image.thumbnail_url,
+      image.zoom_url,
+      ...Object.values(image.srcset || {}).flatMap(srcset => srcsetUrls(srcset))
+    ]
+
+    urls.filter(Boolean).forEach(url => {
+      const absolute = absoluteUrl(url)
+      if (absolute !== target) aliases[absolute] = target
+    })
+  })
+
+  return aliases
+}
+
+function srcsetUrls(srcset) {
+  return srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean)
+}
+
+function jsonResponse(body) {
+  return new Response(body, { headers: { 'Content-Type': 'application/json' } })
+}
+
+function absoluteUrl(url) {
+  return new URL(url, window.location.href).href
+}
+
+// Galleries live under /g/<slug>; one registration covers all of them
+function scopeOf(pagePath) {
+  return pagePath.replace(/[^/]+$/, '')
+}
@@ -0,0 +1,177 @@
+// The public gallery's "Save for offline" panel: the whole gallery saved on
+// this device and served by the service worker when there's no connection
+// (lib/offline_gallery does the saving)
+
+import { OfflineGallery, OfflineSaveError, formatBytes } from "lib/offline_gallery"
+
+export class OfflinePanel {
+  static get supported() {
+    return OfflineGallery.supported
+  }
+
+  // `pagePath`, `pageUrl` and `serviceWorkerUrl` are OfflineGallery's;
+  // the rest are the panel's elements, opened and labelled by `button`
+  constructor({
+    pagePath, pageUrl, serviceWorkerUrl,
+    button, buttonLabel, panel, status, closeButton, details,
+    progressRow, progressLabel, progress, saveButton, removeButton
+  }) {
+    this.gallery = new OfflineGallery({ pagePath, pageUrl, serviceWorkerUrl })
+    this.button = button
+    this.buttonLabel = buttonLabel
+    this.panel = panel
+    this.status = status
+    this.closeButton = closeButton
+    this.details = details
+    this.progressRow = progressRow
+    this.progressLabel = progressLabel
+    this.progress = progress
+    this.saveButton = saveButton
+    this.removeButton = removeButton
+  }
+
+  async setup() {
+    this.button.hidden = false
+
+    try {
+      this.renderButton(await this.gallery.saved())
+    } catch (error) {
+      console.error('Failed to read the offline copy:', error)
+    }
+  }
+
+  renderButton(manifest) {
+    this.manifest = manifest
+    this.buttonLabel.textContent = manifest ? 'Saved offline' : 'Save for offline'
+  }
+
+  // Lists every photo first, so the visitor sees how much space the copy
+  // takes before anything is saved
+  async open() {
+    this.panel.hidden = false
+    this.button.setAttribute('aria-expanded', 'true')
+    if (this.saving) return
+
+    if (this.manifest) {
+      this.showSaved(this.manifest)
+      return
+    }
+
+    this.showState('Checking size…', '', { save: false, remove: false })
+
+    const abortController = new AbortController()
+    this.listing = abortController
+
+    try {
+      this.listed = await this.gallery.list(abortController.signal)
+
+      const count = this.listed.images.length
+      const estimate = this.gallery.estimateBytes(this.listed.images)
+      const available = await this.gallery.availableBytes()
+      let details = `${count} ${count === 1 ? 'photo' : 'photos'}, about ${formatBytes(estimate)}.`
+      if (available !== null) details += ` ${formatBytes(available)} free on this device.`
+
+      if (available !== null && estimate > available) {
+        this.showState('Not enough space on this device', details, { save: false, remove: false })
+      } else {
+        this.showState('Save this gallery to view it without a connection', details, { save: true, remove: false })
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') return
+
+      console.error('Failed to list photos for offline saving:', error)
+      this.showState(
+        error instanceof OfflineSaveError ? error.message : 'Could not check the gallery size. Please try again.',
+        '',
+        { save: false, remove: false }
+      )
+    } finally {
+      this.listing = null
+    }
+  }
+
+  async save() {
+    if (!this.listed || this.saving) return
+
+    const abortController = new AbortController()
+    this.saving = abortController
+
+    const total = this.listed.images.length
+    this.showState('Saving for offline…', this.details.textContent, { save: false, remove: false })
+    this.progressRow.hidden = false
+    this.closeButton.textContent = 'Cancel'
+    this.updateProgress({ done: 0, total, bytes: 0 })
+
+    try {
+      const manifest = await this.gallery.save(this.listed, {
+        signal: abortController.signal,
+        onProgress: progress => this.updateProgress(progress)
+      })
+
+      this.renderButton(manifest)
+      this.showSaved(manifest)
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.showState('Saving cancelled', '', { save: true, remove: false })
+      } else {
+        console.error('Failed to save the gallery for offline viewing:', error)
+        this.showState(
+          error instanceof OfflineSaveError ? error.message : 'Saving for offline failed. Please try again.',
+          '',
+          { save: true, remove: false }
+        )
+      }
+    } finally {
+      this.saving = null
+      this.progressRow.hidden = true
+      this.closeButton.textContent = 'Close'
+    }
+  }
+
+  async remove() {
+    try {
+      await this.gallery.remove()
+      this.renderButton(null)
+      this.close()
+    } catch (error) {
+      console.error('Failed to remove the offline copy:', error)
+      this.showState('Could not remove the offline copy. Please try again.', '', { save: false, remove: true })
+    }
+  }
+
+  // Closing while saving cancels the save
+  close() {
+    this.listing?.abort()
+    this.saving?.abort()
+    this.panel.hidden = true
+    this.button.setAttribute('aria-expanded', 'false')
+  }
+
+  showSaved(manifest) {
+    const savedOn = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium' }).format(new Date(manifest.savedAt))
+
+    this.showState(
+      'Saved on this device',
+      `${manifest.photoCount} ${manifest.photoCount === 1 ? 'photo' : 'photos'}, ${formatBytes(manifest.bytes)}, saved ${savedOn}. ` +
+        'Open this page without a connection to view them.',
+      { save: false, remove: true }
+    )
+  }
+
+  showState(status, details, { save, remove }) {
+    this.status.textContent = status
+    this.details.textContent = details
+    this.saveButton.hidden = !save
+    this.removeButton.hidden = !remove
+  }
+
+  updateProgress({ done, total, bytes }) {
+    this.progress.value = total ? done / total : 1
+    this.progressLabel.textContent = `${done} of ${total} photos · ${formatBytes(bytes)}`
+  }
+
+  destroy() {
+    this.listing?.abort()
+    this.saving?.abort()
+  }
+}
@@ -0,0 +1,152 @@
+// Per-photo notes for the photographer, shown in a panel beside the
+// lightbox photo. A guest replies under the name they choose favorites
+// with (lib/gallery_selection).
+
+import { jsonHeaders } from "lib/json_headers"
+
+export class PhotoComments {
+  // `panel` opens and closes with `toggle`; the notes go into `list` and
+  // new ones come from `input`. `url(image)` is the photo's notes,
+  // `current` returns the photo on show and `whenNamed(callback)` runs
+  // `callback` once the visitor has a guest name. `onOpen` runs before
+  // the panel opens (the details panel shares its slot).
+  constructor({ panel, toggle, list, input, url, current, whenNamed = callback => callback(), onOpen }) {
+    this.panel = panel
+    this.toggleButton = toggle
+    this.list = list
+    this.input = input
+    this.url = url
+    this.current = current
+    this.whenNamed = whenNamed
+    this.onOpen = onOpen
+    this.isOpen = false
+  }
+
+  toggle() {
+    this.setOpen(!this.isOpen)
+  }
+
+  setOpen(open) {
+    if (open === this.isOpen) return
+    if (open) this.onOpen?.()
+
+    this.isOpen = open
+    if (this.panel) this.panel.hidden = !open
+    this.toggleButton?.setAttribute('aria-expanded', open ? 'true' : 'false')
+
+    if (open) {
+      this.load()
+      this.input?.focus()
+    }
+  }
+
+  shown() {
+    if (this.isOpen) this.load()
+  }
+
+  async load() {
+    const currentImage = this.current()
+    if (!currentImage || !this.list) return
+
+    const imageId = currentImage.id
+
+    try {
+      const response = await fetch(this.url(currentImage), {
+        headers: { 'Accept': 'application/json' },
+        credentials: 'same-origin'
+      })
+
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+
+      // Ignore responses for an image the visitor has already moved past
+      if (this.current()?.id === imageId) {
+        this.render(data.comments)
+      }
+    } catch (error) {
+      console.error('Failed to load comments:', error)
+    }
+  }
+
+  render(threads) {
+    const list = this.list
+    list.innerHTML = ''
+
+    if (threads.length === 0) {
+      const empty = document.createElement('p')
+      empty.className = 'comments-empty'
+      empty.textContent = 'No notes on this photo yet.'
+      list.appendChild(empty)
+      return
+    }
+
+    threads.forEach(thread => {
+      const item = document.createElement('div')
+      item.className = `comment-thread${thread.resolved_at ? ' resolved' : ''}`
+      item.appendChild(this.buildComment(thread))
+
+      thread.replies.forEach(reply => {
+        const replyElement = this.buildComment(reply)
+        replyElement.classList.add('comment-reply')
+        item.appendChild(replyElement)
+      })
+
+      if (thread.resolved_at) {
+        const status = document.createElement('span')
+        status.className = 'comment-status'
+        status.textContent = 'Resolved'
+        item.appendChild(status)
+      }
+
+      list.appendChild(item)
+    })
+  }
+
+  buildComment(comment) {
+    const element = document.createElement('div')
+    element.className = 'comment'
+
+    const author = document.createElement('strong')
+    author.className = 'comment-author'
+    author.textContent = comment.author_name
+
+    const body = document.createElement('p')
+    body.className = 'comment-body'
+    body.textContent = comment.body
+
+    element.append(author, body)
+    return element
+  }
+
+  submit() {
+    if (!this.input.value.trim()) return
+
+    this.whenNamed(() => this.post())
+  }
+
+  async post() {
+    const currentImage = this.current()
+    const body = this.input.value.trim()
+    if (!currentImage || !body) return
+
+    try {
+      const response = await fetch(this.url(currentImage), {
+        method: 'POST',
+        headers: jsonHeaders(),
+        credentials: 'same-origin',
+        body: JSON.stringify({ body })
+      })
+      const data = await response.json()
+
+      if (!response.ok || data.status !== 'success') {
+        throw new Error(data.errors ? data.errors.join(', ') : `HTTP ${response.status}`)
+      }
+
+      this.input.value = ''
+      this.load()
+    } catch (error) {
+      console.error('Failed to post comment:', error)
+    }
+  }
+}
@@ -0,0 +1,190 @@
+// Sharing a photo from the public gallery: the browser's share sheet where
+// there is one, with the photo itself when the sheet takes files; elsewhere
+// a popover with the photo's link and a QR code for it.
+//
+// The share sheet has to open while the click still counts as the
+// visitor's, which a download on a slow connection would outlast, so the
+// photo is fetched beforehand (prepare) and only the last few are kept.
+// Until it has arrived the sheet gets the link alone.
+
+import { qrSvg } from "lib/qr_code"
+import { jsonHeaders } from "lib/json_headers"
+
+const SHARE_FILE_CACHE_SIZE = 3
+
+export class PhotoSharing {
+  // `popover` holds `linkInput`, `copyButton`, `qr` and `qrHint`.
+  // `linkFor(image)` is the link shared for a photo, `fileUrlFor(image)`
+  // the file shared with it (null to share the link alone) and
+  // `recordUrl` where shares are reported to the photographer.
+  constructor({ popover, linkInput, copyButton, qr, qrHint, linkFor, fileUrlFor = () => null, recordUrl }) {
+    this.popover = popover
+    this.linkInput = linkInput
+    this.copyButton = copyButton
+    this.qr = qr
+    this.qrHint = qrHint
+    this.linkFor = linkFor
+    this.fileUrlFor = fileUrlFor
+    this.recordUrl = recordUrl
+
+    // Photos fetched ahead for the share sheet, by id
+    this.files = new Map()
+
+    this.handleOutsideClick = event => {
+      if (this.popover.contains(event.target) || this.anchor?.contains(event.target)) return
+      this.closePopover()
+    }
+  }
+
+  async share(image, anchor) {
+    const url = this.linkFor(image)
+
+    if (navigator.share) {
+      try {
+        const data = { title: image.alt_text, url }
+        // Nothing is awaited before the sheet opens
+        const file = this.files.get(image.id)
+        if (file instanceof File && navigator.canShare?.({ files: [file] })) data.files = [file]
+
+        await navigator.share(data)
+        this.record(image, data.files ? 'file' : 'link')
+        return
+      } catch (error) {
+        // Dismissing the share sheet isn't a failure
+        if (error.name === 'AbortError') return
+        console.warn('Share sheet unavailable, showing the link instead:', error)
+      }
+    }
+
+    this.openPopover(image, anchor, url)
+  }
+
+  // Starts fetching the photo for the share sheet, once per photo. The
+  // entry is the pending fetch until the File (or null, when it can't be
+  // fetched) replaces it.
+  prepare(image) {
+    if (!navigator.share || !navigator.canShare || !this.fileUrlFor(image)) return
+
+    if (this.files.has(image.id)) return
+
+    const pending = this.fetchFile(image).then(file => {
+      if (this.files.get(image.id) === pending) this.files.set(image.id, file)
+    })
+    this.files.set(image.id, pending)
+
+    while (this.files.size > SHARE_FILE_CACHE_SIZE) {
+      this.files.delete(this.files.keys().next().value)
+    }
+  }
+
+  // The photo as a File for the share sheet, or null when it can't be
+  // fetched
+  async fetchFile(image) {
+    try {
+      const response = await fetch(this.fileUrlFor(image), { credentials: 'same-origin' })
+      if (!response.ok) return null
+
+      const blob = await response.blob()
+      const extension = blob.type.split('/')[1] || 'jpg'
+      const name = `${image.filename.replace(/\.[^.]+$/, '')}.${extension}`
+      return new File([blob], name, { type: blob.type })
+    } catch (error) {
+      return null
+    }
+  }
+
+  openPopover(image, anchor, url) {
+    this.image = image
+    this.anchor = anchor
+    this.linkInput.value = url
+    this.copyButton.textContent = 'Copy link'
+
+    // Links too long for the largest supported QR version go without one
+    let qr = null
+    try {
+      qr = qrSvg(url, { title: `QR code for ${image.filename}` })
+    } catch (error) {
+      console.warn('No QR code for this link:', error)
+    }
+    this.qr.replaceChildren(...(qr ? [qr] : []))
+    this.qr.hidden = !qr
+    this.qrHint.hidden = !qr
+
+    this.popover.hidden = false
+    this.positionPopover(anchor)
+    this.copyButton.focus()
+
+    document.addEventListener('pointerdown', this.handleOutsideClick)
+  }
+
+  // Below the button that opened it, or above when there's no room,
+  // kept inside the viewport
+  positionPopover(anchor) {
+    const popover = this.popover
+    const margin = 8
+    const rect = anchor.getBoundingClientRect()
+    const width = popover.offsetWidth
+    const height = popover.offsetHeight
+
+    const left = Math.min(Math.max(margin, rect.right - width), window.innerWidth - width - margin)
+    const below = rect.bottom + margin
+    const top = below + height <= window.innerHeight - margin
+      ? below
+      : Math.max(margin, rect.top - height - margin)
+
+    popover.style.left = `${Math.max(margin, left)}px`
+    popover.style.top = `${top}px`
+  }
+
+  closePopover(event) {
+    if (this.popover.hidden) return
+
+    // Escape here closes only the popover, not the lightbox behind it
+    event?.stopPropagation()
+    this.popover.hidden = true
+    document.removeEventListener('pointerdown', this.handleOutsideClick)
+
+    // Closed from the keyboard or its own button; a click elsewhere keeps
+    // focus where the visitor put it
+    if (event) this.anchor?.focus()
+    this.image = null
+    this.anchor = null
+  }
+
+  async copyLink() {
+    const image = this.image
+    const url = this.linkInput.value
+
+    try {
+      await navigator.clipboard.writeText(url)
+    } catch (error) {
+      // Older browsers and insecure origins: copy the selected field
+      this.linkInput.select()
+      if (!document.execCommand('copy')) {
+        this.copyButton.textContent = 'Press Ctrl+C to copy'
+        return
+      }
+    }
+
+    this.copyButton.textContent = 'Copied'
+    if (image) this.record(image, 'copy')
+  }
+
+  // Tells the photographer a photo was shared; never in the visitor's way
+  async record(image, method) {
+    try {
+      await fetch(`${this.recordUrl}/${image.id}`, {
+        method: 'POST',
+        headers: jsonHeaders(),
+        body: JSON.stringify({ share_method: method }),
+        credentials: 'same-origin'
+      })
+    } catch (error) {
+      console.warn('Could not record share:', error)
+    }
+  }
+
+  destroy() {
+    this.closePopover()
+  }
+}
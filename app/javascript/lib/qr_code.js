@@ -0,0 +1,388 @@
+// QR codes for share links, drawn as SVG
+//
+// A small encoder for what the gallery needs: byte mode, error correction
+// level M, versions 1–10 (up to 213 bytes, plenty for a photo link). The
+// construction follows ISO/IEC 18004: data and Reed–Solomon codewords are
+// interleaved across blocks, laid out in the zigzag order and masked with
+// whichever of the eight patterns scores the lowest penalty.
+
+const QUIET_ZONE = 4
+
+// Per version: [error correction codewords per block, data codewords of
+// each block] at level M
+const BLOCKS = [
+  null,
+  [10, [16]],
+  [16, [28]],
+  [26, [44]],
+  [18, [32, 32]],
+  [24, [43, 43]],
+  [16, [27, 27, 27, 27]],
+  [18, [31, 31, 31, 31]],
+  [22, [38, 38, 39, 39]],
+  [22, [36, 36, 36, 37, 37]],
+  [26, [43, 43, 43, 43, 44]]
+]
+
+const ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+]
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+]
+
+// `{ size, modules }` with modules[y][x] true for dark. Throws a RangeError
+// for text longer than version 10 can hold.
+export function encodeQr(text) {
+  const bytes = new TextEncoder().encode(text)
+  const version = BLOCKS.findIndex((blocks, version) =>
+    blocks && 4 + countBits(version) + bytes.length * 8 <= dataCodewords(version) * 8)
+  if (version < 1) throw new RangeError('Text is too long for a QR code')
+
+  const qr = new QrMatrix(version)
+  qr.drawFunctionPatterns()
+  qr.drawCodewords(addErrorCorrection(version, dataBits(version, bytes)))
+  qr.applyBestMask()
+
+  return { size: qr.size, modules: qr.modules }
+}
+
+// An <svg> of the code for `text`, scaled by CSS
+export function qrSvg(text, { title } = {}) {
+  const { size, modules } = encodeQr(text)
+  const extent = size + QUIET_ZONE * 2
+  const namespace = 'http://www.w3.org/2000/svg'
+
+  const svg = document.createElementNS(namespace, 'svg')
+  svg.setAttribute('viewBox', `0 0 ${extent} ${extent}`)
+  svg.setAttribute('shape-rendering', 'crispEdges')
+  svg.setAttribute('role', 'img')
+
+  if (title) {
+    const titleElement = document.createElementNS(namespace, 'title')
+    titleElement.textContent = title
+    svg.appendChild(titleElement)
+  }
+
+  const background = document.createElementNS(namespace, 'rect')
+  background.setAttribute('width', extent)
+  background.setAttribute('height', extent)
+  background.setAttribute('fill', '#fff')
+  svg.appendChild(background)
+
+  let path = ''
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`
+  }))
+
+  const dots = document.createElementNS(namespace, 'path')
+  dots.setAttribute('d', path)
+  dots.setAttribute('fill', '#000')
+  svg.appendChild(dots)
+
+  return svg
+}
+
+function countBits(version) {
+  return version < 10 ? 8 : 16
+}
+
+function dataCodewords(version) {
+  return BLOCKS[version][1].reduce((sum, length) => sum + length, 0)
+}
+
+// Mode indicator, length, the bytes, then terminator and padding up to the
+// version's data capacity
+function dataBits(version, bytes) {
+  const bits = []
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1)
+  }
+
+  append(0b0100, 4)
+  append(bytes.length, countBits(version))
+  bytes.forEach(byte => append(byte, 8))
+
+  const capacity = dataCodewords(version) * 8
+  append(0, Math.min(4, capacity - bits.length))
+  append(0, (8 - bits.length % 8) % 8)
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8)
+
+  const codewords = []
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0))
+  }
+  return codewords
+}
+
+// Splits the data into blocks, appends each block's Reed–Solomon codewords
+// and interleaves the lot
+function addErrorCorrection(version, data) {
+  const [ecLength, blockLengths] = BLOCKS[version]
+  const divisor = reedSolomonDivisor(ecLength)
+  const blocks = []
+  let offset = 0
+
+  blockLengths.forEach(length => {
+    const blockData = data.slice(offset, offset + length)
+    offset += length
+    blocks.push({ data: blockData, ec: reedSolomonRemainder(blockData, divisor) })
+  })
+
+  const result = []
+  const longest = Math.max(...blockLengths)
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]) })
+  }
+  for (let i = 0; i < ecLength; i++) {
+    blocks.forEach(block => result.push(block.ec[i]))
+  }
+  return result
+}
+
+function gfMultiply(x, y) {
+  let z = 0
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D)
+    z ^= ((y >>> i) & 1) * x
+  }
+  return z
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0)
+  result[degree - 1] = 1
+
+  let root = 1
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root)
+      if (j + 1 < degree) result[j] ^= result[j + 1]
+    }
+    root = gfMultiply(root, 0x02)
+  }
+  return result
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0)
+
+  data.forEach(byte => {
+    const factor = byte ^ result.shift()
+    result.push(0)
+    divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor) })
+  })
+  return result
+}
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version
+    this.size = version * 4 + 17
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false))
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false))
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark
+    this.isFunction[y][x] = true
+  }
+
+  drawFunctionPatterns() {
+    const size = this.size
+
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0)
+      this.setFunction(i, 6, i % 2 === 0)
+    }
+
+    this.drawFinder(3, 3)
+    this.drawFinder(size - 4, 3)
+    this.drawFinder(3, size - 4)
+
+    const positions = ALIGNMENT_POSITIONS[this.version]
+    const last = positions.length - 1
+    positions.forEach((x, i) => positions.forEach((y, j) => {
+      // The three corners already hold finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return
+      this.drawAlignment(x, y)
+    }))
+
+    // Reserved now, written for real once the mask is chosen
+    this.drawFormatBits(0)
+    this.drawVersionBits()
+  }
+
+  // Finder pattern with its light separator
+  drawFinder(centerX, centerY) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx
+        const y = centerY + dy
+        if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue
+
+        const distance = Math.max(Math.abs(dx), Math.abs(dy))
+        this.setFunction(x, y, distance !== 2 && distance !== 4)
+      }
+    }
+  }
+
+  drawAlignment(centerX, centerY) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+      }
+    }
+  }
+
+  // Level M (format bits 00) with `mask`, BCH-protected, in both copies
+  drawFormatBits(mask) {
+    const data = mask
+    let remainder = data
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537)
+    const bits = ((data << 10) | remainder) ^ 0x5412
+    const bit = i => ((bits >>> i) & 1) === 1
+    const size = this.size
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i))
+    this.setFunction(8, 7, bit(6))
+    this.setFunction(8, 8, bit(7))
+    this.setFunction(7, 8, bit(8))
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i))
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i))
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i))
+    this.setFunction(8, size - 8, true)
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return
+
+    let remainder = this.version
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25)
+    const bits = (this.version << 12) | remainder
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1
+      const a = this.size - 11 + i % 3
+      const b = Math.floor(i / 3)
+      this.setFunction(a, b, dark)
+      this.setFunction(b, a, dark)
+    }
+  }
+
+  // Two-module-wide columns from the bottom right, alternating upwards and
+  // downwards, skipping the vertical timing pattern
+  drawCodewords(codewords) {
+    const size = this.size
+    const totalBits = codewords.length * 8
+    let index = 0
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5
+
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j
+          const upward = ((right + 1) & 2) === 0
+          const y = upward ? size - 1 - vertical : vertical
+
+          if (!this.isFunction[y][x] && index < totalBits) {
+            this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1
+            index++
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const pattern = MASKS[mask]
+
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && pattern(x, y)) this.modules[y][x] = !this.modules[y][x]
+      }
+    }
+  }
+
+  applyBestMask() {
+    let best = 0
+    let bestPenalty = Infinity
+
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      this.applyMask(mask)
+      this.drawFormatBits(mask)
+
+      const penalty = this.penalty()
+      if (penalty < bestPenalty) {
+        best = mask
+        bestPenalty = penalty
+      }
+
+      // Masking is its own inverse
+      this.applyMask(mask)
+    }
+
+    this.applyMask(best)
+    this.drawFormatBits(best)
+  }
+
+  penalty() {
+    const size = this.size
+    const lines = []
+    for (let i = 0; i < size; i++) {
+      lines.push(this.modules[i])
+      lines.push(this.modules.map(row => row[i]))
+    }
+
+    let penalty = 0
+
+    // Runs of five or more modules of one colour
+    lines.forEach(line => {
+      let run = 1
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++
+        } else {
+          if (run >= 5) penalty += run - 2
+          run = 1
+        }
+      }
+    })
+
+    // 2×2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const dark = this.modules[y][x]
+        if (dark === this.modules[y][x + 1] && dark === this.modules[y + 1][x] && dark === this.modules[y + 1][x + 1]) {
+          penalty += 3
+        }
+      }
+    }
+
+    // Patterns that look like a finder (1:1:3:1:1 with light space beside)
+    const finderLike = ['10111010000', '00001011101']
+    lines.forEach(line => {
+      const text = line.map(dark => (dark ? '1' : '0')).join('')
+      finderLike.forEach(pattern => {
+        for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) penalty += 40
+      })
+    })
+
+    // Balance of dark and light
+    const dark = this.modules.reduce((count, row) => count + row.filter(Boolean).length, 0)
+    penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10
+
+    return penalty
+  }
+}
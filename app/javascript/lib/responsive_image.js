@@ -0,0 +1,73 @@
+// Responsive sources and load placeholders for photos, from the candidate
+// sets the server sends with each one (`srcset: { avif: "<url> 300w, ...",
+// webp: "..." }`)
+//
+// An <img> inside a <picture> gets one <source> per format, so the browser
+// takes AVIF where it can and WebP elsewhere; `sizes` tells it how wide the
+// photo is drawn, so it fetches the narrowest rendition that is still sharp
+// at the device's pixel ratio.
+
+const SOURCE_TYPES = { avif: 'image/avif', webp: 'image/webp' }
+
+// Points `img` (and its <picture>, if any) at `image`. `fallbackUrl` is
+// used when the image has no candidate set.
+export function setResponsiveSources(img, image, { sizes, fallbackUrl }) {
+  const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null
+
+  if (picture) {
+    Object.entries(SOURCE_TYPES).forEach(([format, type]) => {
+      let source = picture.querySelector(`source[type="${type}"]`)
+      if (!source) {
+        source = document.createElement('source')
+        source.type = type
+        picture.insertBefore(source, img)
+      }
+      source.sizes = sizes
+      source.srcset = image.srcset?.[format] || ''
+    })
+  }
+
+  img.sizes = sizes
+  img.srcset = image.srcset?.webp || ''
+  img.src = fallbackUrl
+}
+
+// Drops every candidate so `img` shows exactly `url` (e.g. the original
+// when zoomed in)
+export function setSingleSource(img, url) {
+  img.parentElement?.querySelectorAll('source').forEach(source => {
+    source.srcset = ''
+  })
+  img.srcset = ''
+  img.src = url
+}
+
+// Starts fetching the rendition an <img> drawn at `sizes` would pick,
+// through a detached <picture> so the format choice matches too
+export function preloadResponsiveImage(image, { sizes, fallbackUrl }) {
+  const picture = document.createElement('picture')
+  const img = document.createElement('img')
+  picture.appendChild(img)
+  setResponsiveSources(img, image, { sizes, fallbackUrl })
+  return img
+}
+
+// `sizes` for a photo shown whole within the viewport (object-fit: contain)
+export function viewportSizes(image) {
+  if (!image.width || !image.height) return '100vw'
+
+  return `min(100vw, ${Math.ceil(image.width / image.height * 100)}vh)`
+}
+
+// Paints the blurred preview and dominant colour the processing job stored
+// for `image` onto its placeholder element, or restores the plain shimmer
+// for photos processed before placeholders existed
+export function paintPlaceholder(element, image) {
+  const hasPreview = !!(image.placeholder || image.dominant_color)
+
+  element.classList.toggle('has-preview', hasPreview)
+  element.style.backgroundColor = image.dominant_color || ''
+  element.style.backgroundImage = image.placeholder
+    ? `url("${image.placeholder}")`
+    : (hasPreview ? 'none' : '')
+}
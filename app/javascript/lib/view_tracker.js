@@ -0,0 +1,73 @@
+// Sends the lightbox's `lightbox:view` and `lightbox:dwell` events
+// (AnalyticsPlugin in lib/lightbox_plugins) to the gallery's analytics
+// endpoint in batches. A batch goes when it's full, a while after its first
+// event, and whenever the page is hidden or unloaded, through
+// navigator.sendBeacon so it survives the visitor leaving.
+
+const BATCH_SIZE = 20
+const FLUSH_DELAY_MS = 10000
+
+export class ViewTracker {
+  // `element` is the lightbox element the events are dispatched on
+  constructor(element, url) {
+    this.element = element
+    this.url = url
+    this.queue = []
+
+    this.handleView = event => this.record('view', event.detail)
+    this.handleDwell = event => this.record('dwell', event.detail)
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') this.flush()
+    }
+    this.handlePageHide = () => this.flush()
+
+    element.addEventListener('lightbox:view', this.handleView)
+    element.addEventListener('lightbox:dwell', this.handleDwell)
+    document.addEventListener('visibilitychange', this.handleVisibilityChange)
+    window.addEventListener('pagehide', this.handlePageHide)
+  }
+
+  record(type, { image, ms }) {
+    if (!image?.id) return
+    // A flick past a photo isn't a look at it
+    if (type === 'dwell' && ms <= 0) return
+
+    this.queue.push(type === 'dwell' ? { type, image_id: image.id, ms } : { type, image_id: image.id })
+
+    if (this.queue.length >= BATCH_SIZE) {
+      this.flush()
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS)
+    }
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer)
+    this.flushTimer = null
+    if (this.queue.length === 0) return
+
+    const body = JSON.stringify({ events: this.queue })
+    this.queue = []
+
+    const blob = new Blob([body], { type: 'application/json' })
+    if (navigator.sendBeacon?.(this.url, blob)) return
+
+    // No beacon, or the browser refused to queue it
+    fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+      credentials: 'same-origin'
+    }).catch(() => {})
+  }
+
+  // The lightbox is destroyed first, so its last dwell is in the batch
+  destroy() {
+    this.element.removeEventListener('lightbox:view', this.handleView)
+    this.element.removeEventListener('lightbox:dwell', this.handleDwell)
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange)
+    window.removeEventListener('pagehide', this.handlePageHide)
+    this.flush()
+  }
+}
@@ -0,0 +1,155 @@
+// Streaming ZIP writer for in-browser archives
+//
+// Entries are written with the "stored" method (no compression): photos are
+// already compressed, and storing lets each chunk go straight to the sink
+// without buffering a whole file. Sizes and CRCs follow each entry in a data
+// descriptor, so nothing has to be known up front.
+
+const LOCAL_FILE_HEADER = 0x04034b50
+const DATA_DESCRIPTOR = 0x08074b50
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+
+// Bit 3: sizes/CRC in data descriptor, bit 11: UTF-8 file names
+const GENERAL_PURPOSE_FLAGS = 0x0808
+const VERSION = 20
+
+// Classic (non-ZIP64) limits; callers split archives before reaching them
+export const MAX_ARCHIVE_BYTES = 0xFFFFFFFF
+export const MAX_ARCHIVE_ENTRIES = 0xFFFF
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export function crc32(crc, chunk) {
+  let c = crc ^ 0xFFFFFFFF
+  for (let i = 0; i < chunk.length; i++) {
+    c = CRC_TABLE[(c ^ chunk[i]) & 0xFF] ^ (c >>> 8)
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  return { time, day }
+}
+
+export class ZipWriter {
+  // `write` receives each Uint8Array of the archive in order and may return
+  // a promise to apply backpressure.
+  constructor(write) {
+    this.write = write
+    this.offset = 0
+    this.entries = []
+    this.encoder = new TextEncoder()
+  }
+
+  get size() {
+    return this.offset
+  }
+
+  get entryCount() {
+    return this.entries.length
+  }
+
+  // Bytes an entry named `name` adds on top of its contents, including its
+  // central directory record.
+  entryOverhead(name) {
+    const nameLength = this.encoder.encode(name).length
+    return 30 + nameLength + 16 + 46 + nameLength
+  }
+
+  // Adds an entry whose contents come from an async iterable of Uint8Array
+  // chunks (e.g. a fetch response body). `onChunk` is called with the byte
+  // count of every chunk written.
+  async addEntry(name, chunks, { lastModified = new Date(), onChunk } = {}) {
+    if (this.entries.length >= MAX_ARCHIVE_ENTRIES) {
+      throw new Error('ZIP archive entry limit reached')
+    }
+
+    const nameBytes = this.encoder.encode(name)
+    const { time, day } = dosDateTime(lastModified)
+    const headerOffset = this.offset
+
+    const header = new DataView(new ArrayBuffer(30 + nameBytes.length))
+    header.setUint32(0, LOCAL_FILE_HEADER, true)
+    header.setUint16(4, VERSION, true)
+    header.setUint16(6, GENERAL_PURPOSE_FLAGS, true)
+    header.setUint16(8, 0, true) // stored
+    header.setUint16(10, time, true)
+    header.setUint16(12, day, true)
+    // CRC and sizes (14..25) are zero; they follow in the data descriptor
+    header.setUint16(26, nameBytes.length, true)
+    header.setUint16(28, 0, true)
+    new Uint8Array(header.buffer).set(nameBytes, 30)
+    await this.emit(new Uint8Array(header.buffer))
+
+    let crc = 0
+    let size = 0
+    for await (const chunk of chunks) {
+      crc = crc32(crc, chunk)
+      size += chunk.length
+      await this.emit(chunk)
+      if (onChunk) onChunk(chunk.length)
+    }
+
+    const descriptor = new DataView(new ArrayBuffer(16))
+    descriptor.setUint32(0, DATA_DESCRIPTOR, true)
+    descriptor.setUint32(4, crc, true)
+    descriptor.setUint32(8, size, true)
+    descriptor.setUint32(12, size, true)
+    await this.emit(new Uint8Array(descriptor.buffer))
+
+    this.entries.push({ nameBytes, time, day, crc, size, headerOffset })
+  }
+
+  // Writes the central directory. The writer must not be used afterwards.
+  async close() {
+    const directoryOffset = this.offset
+
+    for (const entry of this.entries) {
+      const record = new DataView(new ArrayBuffer(46 + entry.nameBytes.length))
+      record.setUint32(0, CENTRAL_DIRECTORY_HEADER, true)
+      record.setUint16(4, VERSION, true)
+      record.setUint16(6, VERSION, true)
+      record.setUint16(8, GENERAL_PURPOSE_FLAGS, true)
+      record.setUint16(10, 0, true)
+      record.setUint16(12, entry.time, true)
+      record.setUint16(14, entry.day, true)
+      record.setUint32(16, entry.crc, true)
+      record.setUint32(20, entry.size, true)
+      record.setUint32(24, entry.size, true)
+      record.setUint16(28, entry.nameBytes.length, true)
+      // Extra field, comment, disk number and attributes (30..41) stay zero
+      record.setUint32(42, entry.headerOffset, true)
+      new Uint8Array(record.buffer).set(entry.nameBytes, 46)
+      await this.emit(new Uint8Array(record.buffer))
+    }
+
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true)
+    end.setUint16(8, this.entries.length, true)
+    end.setUint16(10, this.entries.length, true)
+    end.setUint32(12, this.offset - directoryOffset, true)
+    end.setUint32(16, directoryOffset, true)
+    await this.emit(new Uint8Array(end.buffer))
+  }
+
+  async emit(bytes) {
+    if (this.offset + bytes.length > MAX_ARCHIVE_BYTES) {
+      throw new Error('ZIP archive size limit reached')
+    }
+    this.offset += bytes.length
+    await this.write(bytes)
+  }
+}
@@ -5,6 +5,7 @@ class GalleryAnalyticsJob < ApplicationJob
 
   def perform(gallery_id, action_type, ip_address, **metadata)
     gallery = Gallery.find(gallery_id)
+    visitor_digest = AnalyticsEvent.visitor_digest(ip_address)
     
     case action_type
     when 'view'
@@ -16,22 +17,57 @@ class GalleryAnalyticsJob < ApplicationJob
       Rails.logger.info "Image download: Gallery #{gallery.slug}, Image #{metadata[:image_id]}, IP: #{ip_address}"
       
     when 'bulk_download'
-      # Log bulk download
-      Rails.logger.info "Bulk download: Gallery #{gallery.slug}, #{gallery.images_count} images, IP: #{ip_address}"
+      # Log bulk download with the number of images actually archived
+      image_count = metadata[:image_count] || gallery.images_count
+      Rails.logger.info "Bulk download: Gallery #{gallery.slug}, #{image_count} images, IP: #{ip_address}"
+      
+    when 'share'
+      # Log a photo shared by a visitor, and how
+      Rails.logger.info "Image share: Gallery #{gallery.slug}, Image #{metadata[:image_id]}, Method: #{metadata[:share_method]}, IP: #{ip_address}"
+      
+    when 'image_events'
+      # A batch of lightbox opens and dwell times from the public viewer
+      record_image_events(gallery, visitor_digest, metadata[:events], metadata[:recorded_at])
+      return
     end
     
-    # Store analytics data for future reporting (optional)
-    # GalleryAnalytics.create(
-    #   gallery: gallery,
-    #   action_type: action_type,
-    #   ip_address: ip_address,
-    #   metadata: metadata,
-    #   timestamp: Time.current
-    # )
+    # Stored for the photographer's analytics
+    AnalyticsEvent.create!(
+      gallery: gallery,
+      image_id: metadata[:image_id],
+      action_type: action_type,
+      visitor_digest: visitor_digest,
+      referrer_host: metadata[:referrer_host],
+      device: metadata[:device],
+      metadata: metadata.except(:image_id, :referrer_host, :device)
+    )
     
   rescue => e
     Rails.logger.error "Gallery analytics job failed: #{e.message}"
     raise e
   end
+  
+  private
+  
+  # `events` are { type: 'view' | 'dwell', image_id:, ms: } hashes, already
+  # checked against the gallery by PublicAnalyticsController, which also
+  # passes when the beacon arrived (jobs queued without it fall back to now)
+  def record_image_events(gallery, visitor_digest, events, recorded_at)
+    recorded_at ||= Time.current
+    rows = Array(events).map do |event|
+      dwell = event[:type] == 'dwell'
+      
+      {
+        gallery_id: gallery.id,
+        image_id: event[:image_id],
+        action_type: dwell ? 'image_dwell' : 'image_view',
+        dwell_ms: dwell ? event[:ms] : nil,
+        visitor_digest: visitor_digest,
+        metadata: {},
+        created_at: recorded_at
+      }
+    end
+    
+    AnalyticsEvent.insert_all(rows) if rows.any?
+  end
 end
-EOF < /dev/null
\ No newline at end of file
@@ -1,4 +1,7 @@
 class ImageProcessingJob < ApplicationJob
+  # Longest side of the blurred placeholder; a few hundred bytes as WebP
+  PLACEHOLDER_SIZE = 16
+  
   queue_as :image_processing
   retry_on StandardError, wait: :exponentially_longer, attempts: 3
   discard_on ActiveRecord::RecordNotFound
@@ -8,17 +11,29 @@ class ImageProcessingJob < ApplicationJob
     
     Rails.logger.info "Starting image processing for Image ID: #{image_id}"
     
+    # Reprocessing a published image (after its gallery's metadata policy
+    # changes) keeps it visible until the new variants are ready
     @image.update!(
-      processing_status: :processing,
+      processing_status: @image.completed? ? :completed : :processing,
       processing_started_at: Time.current
     )
     
+    # A clip's variants are cut from its poster frame. The poster and web
+    # copy are made once; reprocessing only redoes what follows.
+    @image.prepare_video! if @image.video? && !@image.web_video.attached?
+    
+    # Downloads and every variant come from the copy made under the
+    # gallery's metadata policy (watermarked while the gallery is
+    # proofing), so it is prepared first
+    @image.apply_metadata_policy!
+    @image.apply_watermark!
+    
     # Process each variant
     variants_generated = {}
     
-    Image::VARIANT_CONFIGS.each do |variant_name, config|
+    Image::VARIANT_CONFIGS.each_key do |variant_name|
       begin
-        process_variant(variant_name, config)
+        process_variant(variant_name)
         variants_generated[variant_name] = {
           status: 'completed',
           generated_at: Time.current.iso8601,
@@ -41,7 +56,8 @@ class ImageProcessingJob < ApplicationJob
       processing_status: all_variants_success ? :completed : :failed,
       processing_completed_at: Time.current,
       variants_generated: variants_generated,
-      processing_errors: all_variants_success ? nil : extract_errors(variants_generated)
+      processing_errors: all_variants_success ? nil : extract_errors(variants_generated),
+      **analyze_original
     )
     
     Rails.logger.info "Completed image processing for Image ID: #{image_id} - Status: #{@image.processing_status}"
@@ -64,15 +80,9 @@ class ImageProcessingJob < ApplicationJob
   
   private
   
-  def process_variant(variant_name, config)
+  def process_variant(variant_name)
     # Generate variant using image_processing gem with libvips
-    variant_blob = @image.file.variant(
-      resize_to_limit: config[:resize_to_limit],
-      format: config[:format],
-      quality: config[:quality],
-      strip: true,      # Remove EXIF data for privacy and smaller file size
-      interlace: true   # Progressive JPEG/WebP for better loading
-    ).processed
+    variant_blob = @image.display_source.variant(@image.variant_transformations(variant_name)).processed
     
     Rails.logger.info "Generated #{variant_name} variant for Image ID: #{@image.id}"
     
@@ -82,17 +92,65 @@ class ImageProcessingJob < ApplicationJob
     variant_blob
   end
   
+  # Attributes read from the original in one download: the blurred
+  # placeholder and the EXIF shooting details. Both are optional, so a
+  # failure here never fails the image. A clip's placeholder comes from
+  # its poster, and it has no EXIF.
+  def analyze_original
+    return @image.poster.open { |poster| generate_placeholder(poster) } if @image.video?
+    
+    @image.file.open do |original|
+      generate_placeholder(original).merge(extract_exif(original))
+    end
+  rescue => e
+    Rails.logger.error "Failed to analyze original for Image ID: #{@image.id} - #{e.message}"
+    {}
+  end
+  
+  # Blurred preview and average colour for the public grid to paint while
+  # the thumbnail loads
+  def generate_placeholder(original)
+    preview = ImageProcessing::Vips
+      .source(original)
+      .resize_to_limit(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE)
+      .convert('webp')
+      .saver(quality: 40, strip: true)
+      .call
+    
+    pixel = Vips::Image.new_from_file(preview.path)
+      .colourspace(:srgb)
+      .thumbnail_image(1, height: 1, size: :force)
+      .getpoint(0, 0)
+    
+    {
+      blur_placeholder: "data:image/webp;base64,#{Base64.strict_encode64(File.binread(preview.path))}",
+      dominant_color: format('#%02x%02x%02x', *pixel.first(3).map { |channel| channel.round.clamp(0, 255) })
+    }
+  rescue => e
+    Rails.logger.error "Failed to generate placeholder for Image ID: #{@image.id} - #{e.message}"
+    {}
+  ensure
+    preview&.close!
+  end
+  
+  # Camera, lens and exposure for the lightbox info panel. Uploads are
+  # read before sanitizing strips their EXIF, so the stored original is
+  # only read for an image that has none yet.
+  def extract_exif(original)
+    return {} if @image.exif.present? || @image.captured_at
+    
+    ExifExtractor.new(original.path).extract
+  rescue => e
+    Rails.logger.error "Failed to extract EXIF for Image ID: #{@image.id} - #{e.message}"
+    {}
+  end
+  
   def generate_variant_url(variant_name)
     # Generate a URL for the processed variant
     # In production, this would be a direct URL to the stored variant in Vercel Blob
     # For now, using Rails variant URL system
     begin
-      variant_config = Image::VARIANT_CONFIGS[variant_name]
-      variant = @image.file.variant(
-        resize_to_limit: variant_config[:resize_to_limit],
-        format: variant_config[:format],
-        quality: variant_config[:quality]
-      )
+      variant = @image.display_source.variant(@image.variant_transformations(variant_name))
       Rails.application.routes.url_helpers.rails_representation_url(variant)
     rescue => e
       Rails.logger.error "Failed to generate variant URL for #{variant_name}: #{e.message}"
@@ -0,0 +1,4 @@
+class ApplicationMailer < ActionMailer::Base
+  default from: ENV['MAILER_FROM'] || 'notifications@localhost'
+  layout false
+end
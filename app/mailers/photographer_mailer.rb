@@ -0,0 +1,13 @@
+class PhotographerMailer < ApplicationMailer
+  # Sent when a client submits their final picks
+  def selection_submitted(selection)
+    @selection = selection
+    @gallery = selection.gallery
+    @photographer = @gallery.photographer
+    
+    mail(
+      to: @photographer.email,
+      subject: "#{@selection.guest_name} submitted #{@selection.favorites_count} picks for \"#{@gallery.title}\""
+    )
+  end
+end
@@ -0,0 +1,54 @@
+class AnalyticsEvent < ApplicationRecord
+  # One thing a visitor did in a public gallery: opened the page, opened a
+  # photo in the lightbox (and how long it stayed up), downloaded or shared.
+  # Written by GalleryAnalyticsJob.
+  
+  ACTION_TYPES = %w[view image_view image_dwell download bulk_download share].freeze
+  
+  # Longest time on one photo that's counted; a lightbox left open in a
+  # background tab isn't a client lingering
+  MAX_DWELL_MS = 10.minutes.in_milliseconds.to_i
+  
+  DEVICE_TYPES = %w[mobile tablet desktop].freeze
+  
+  belongs_to :gallery
+  belongs_to :image, optional: true
+  
+  validates :action_type, inclusion: { in: ACTION_TYPES }
+  validates :dwell_ms, numericality: { only_integer: true, in: 0..MAX_DWELL_MS }, allow_nil: true
+  validates :device, inclusion: { in: DEVICE_TYPES }, allow_nil: true
+  
+  scope :of_type, ->(action_type) { where(action_type: action_type) }
+  scope :between, ->(from, to) { where(created_at: from..to) }
+  
+  # Visitors are told apart without storing their address: a keyed hash
+  # of it that can't be reversed without the app's secret
+  def self.visitor_digest(ip_address)
+    return nil if ip_address.blank?
+    
+    OpenSSL::HMAC.hexdigest('SHA256', Rails.application.secret_key_base, ip_address.to_s).first(32)
+  end
+  
+  # The linking site for a visit, without "www.". Links within the app
+  # (e.g. back from the password page) and unparseable referrers count as
+  # direct visits.
+  def self.referrer_host(referrer, own_host)
+    host = URI.parse(referrer.to_s).host&.downcase
+    return nil if host.blank? || host == own_host.to_s.downcase
+    
+    host.delete_prefix('www.')
+  rescue URI::InvalidURIError
+    nil
+  end
+  
+  # A coarse reading of the user agent, enough for a device split
+  def self.device_type(user_agent)
+    return nil if user_agent.blank?
+    
+    case user_agent
+    when /iPad|Tablet|Kindle|Silk|PlayBook/i, /Android(?!.*Mobile)/i then 'tablet'
+    when /Mobi|iPhone|iPod|Android|BlackBerry|Opera Mini|IEMobile/i then 'mobile'
+    else 'desktop'
+    end
+  end
+end
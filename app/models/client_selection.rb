@@ -0,0 +1,64 @@
+class ClientSelection < ApplicationRecord
+  # A named guest's set of favorite images in a public gallery. The token
+  # ties the selection to the visitor's session.
+  has_secure_token :token
+  
+  # Associations
+  belongs_to :gallery
+  has_many :favorites, dependent: :destroy
+  has_many :images, through: :favorites
+  has_many :comments, dependent: :nullify
+  
+  # Validations
+  validates :guest_name, presence: true, length: { maximum: 100 }
+  
+  # Scopes
+  scope :recent, -> { order(updated_at: :desc) }
+  scope :with_favorites, -> { where('favorites_count > 0') }
+  
+  def submitted?
+    submitted_at.present?
+  end
+  
+  def extra_images_count
+    gallery.extra_selections_for(favorites_count)
+  end
+  
+  def extra_images_total
+    return unless gallery.extra_image_price
+    
+    extra_images_count * gallery.extra_image_price
+  end
+  
+  # Locks this guest's picks; other visitors keep choosing. Only the
+  # photographer closes the whole gallery (Gallery#selection_locked=).
+  def submit!
+    update!(submitted_at: Time.current)
+  end
+  
+  def reopen!
+    update!(submitted_at: nil)
+  end
+  
+  def image_ids
+    favorites.pluck(:image_id)
+  end
+  
+  # Comma-separated base filenames, which Lightroom's Library Filter
+  # ("Filename" contains) treats as a list of alternatives
+  def lightroom_filenames
+    images.ordered.map { |image| File.basename(image.filename, '.*') }.join(', ')
+  end
+  
+  def as_json(options = {})
+    {
+      id: id,
+      guest_name: guest_name,
+      favorites_count: favorites_count,
+      image_ids: image_ids,
+      extra_images_count: extra_images_count,
+      submitted_at: submitted_at&.iso8601,
+      updated_at: updated_at&.iso8601
+    }
+  end
+end
@@ -0,0 +1,77 @@
+class Comment < ApplicationRecord
+  # Client notes on an image. Top-level comments start a thread; replies
+  # (from the photographer or the client) hang off it, and the thread as a
+  # whole is resolved.
+  
+  # Associations
+  belongs_to :image
+  belongs_to :client_selection, optional: true
+  belongs_to :parent, class_name: 'Comment', optional: true, touch: true
+  has_many :replies, -> { order(:created_at) },
+           class_name: 'Comment',
+           foreign_key: :parent_id,
+           inverse_of: :parent,
+           dependent: :destroy
+  
+  # Validations
+  validates :author_name, presence: true, length: { maximum: 100 }
+  validates :body, presence: true, length: { maximum: 2000 }
+  validate :reply_belongs_to_thread
+  
+  # Callbacks
+  after_create :reopen_thread, if: -> { parent && !photographer? }
+  
+  # Scopes
+  scope :threads, -> { where(parent_id: nil) }
+  scope :unresolved, -> { threads.where(resolved_at: nil) }
+  scope :chronological, -> { order(:created_at) }
+  
+  def thread?
+    parent_id.nil?
+  end
+  
+  def resolved?
+    resolved_at.present?
+  end
+  
+  def resolve!
+    update!(resolved_at: Time.current)
+  end
+  
+  def reopen!
+    update!(resolved_at: nil)
+  end
+  
+  def as_json(options = {})
+    json = {
+      id: id,
+      image_id: image_id,
+      parent_id: parent_id,
+      author_name: author_name,
+      body: body,
+      photographer: photographer?,
+      created_at: created_at&.iso8601
+    }
+    
+    if thread?
+      json[:resolved_at] = resolved_at&.iso8601
+      json[:replies] = replies.map(&:as_json)
+    end
+    
+    json
+  end
+  
+  private
+  
+  def reply_belongs_to_thread
+    return unless parent
+    
+    errors.add(:parent, 'must be a thread, not a reply') unless parent.thread?
+    errors.add(:parent, 'must be on the same image') unless parent.image_id == image_id
+  end
+  
+  # A client following up on a resolved note needs the photographer's attention again
+  def reopen_thread
+    parent.update_column(:resolved_at, nil) if parent.resolved?
+  end
+end
@@ -0,0 +1,34 @@
+class Favorite < ApplicationRecord
+  # Associations
+  belongs_to :client_selection, counter_cache: true, touch: true
+  belongs_to :image
+  
+  # Validations
+  validates :image_id, uniqueness: { scope: :client_selection_id }
+  validate :image_in_selection_gallery
+  validate :selection_open, on: :create
+  validate :within_selection_limit, on: :create
+  
+  private
+  
+  def image_in_selection_gallery
+    return unless image && client_selection
+    
+    unless image.gallery_id == client_selection.gallery_id
+      errors.add(:image, 'must belong to the same gallery')
+    end
+  end
+  
+  def selection_open
+    errors.add(:base, 'Your selection has already been submitted') if client_selection&.submitted?
+  end
+  
+  def within_selection_limit
+    return unless client_selection
+    
+    gallery = client_selection.gallery
+    if gallery.selection_full?(client_selection.favorites.count)
+      errors.add(:base, "You can choose up to #{gallery.selection_limit} #{'image'.pluralize(gallery.selection_limit)}")
+    end
+  end
+end
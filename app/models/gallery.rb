@@ -1,10 +1,28 @@
 class Gallery < ApplicationRecord
+  # Public grid layouts: square cells, justified rows or masonry columns
+  LAYOUTS = %w[grid justified masonry].freeze
+  
+  # What metadata delivered photos (downloads and variants) keep: all of it,
+  # everything but GPS location, or only the copyright and credit
+  METADATA_POLICIES = %w[keep strip_gps copyright_only].freeze
+  
+  # Where the protected proofing watermark sits on each photo
+  WATERMARK_POSITIONS = %w[center tiled top_left top_right bottom_left bottom_right].freeze
+  
+  # Largest watermark PNG accepted
+  MAX_WATERMARK_SIZE = 5.megabytes
+  
   # Password protection for galleries
   has_secure_password :password, validations: false
   
   # Associations
   belongs_to :photographer
   has_many :images, dependent: :destroy
+  has_many :sections, dependent: :destroy
+  has_many :client_selections, dependent: :destroy
+  has_many :analytics_events, dependent: :delete_all
+  has_many :comments, through: :images
+  has_one_attached :watermark
   
   # Validations
   validates :title, presence: true, length: { minimum: 1, maximum: 255 }
@@ -14,13 +32,25 @@ class Gallery < ApplicationRecord
     with: /\A(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
     message: "must include at least one lowercase letter, one uppercase letter, and one number"
   }, allow_blank: true, if: :password_changed?
+  validates :selection_limit, numericality: { only_integer: true, greater_than: 0 }, allow_nil: true
+  validates :extra_image_price, numericality: { greater_than_or_equal_to: 0 }, allow_nil: true
+  validates :layout, inclusion: { in: LAYOUTS }
+  validates :metadata_policy, inclusion: { in: METADATA_POLICIES }
+  validates :watermark_position, inclusion: { in: WATERMARK_POSITIONS }
+  validates :watermark_opacity, numericality: { only_integer: true, in: 5..100 }
+  validate :acceptable_watermark
   
   # Custom validation for password strength
   validate :password_complexity, if: :password_changed?
   
   # Callbacks
   before_validation :generate_slug, on: :create
+  before_save :note_watermark_replacement
   after_update :update_images_count
+  after_update_commit :reapply_metadata_policy, if: :saved_change_to_metadata_policy?
+  # A metadata policy change reprocesses every image, watermark included
+  after_update_commit :reapply_watermark, if: :saved_change_to_watermark_settings?,
+                                          unless: :saved_change_to_metadata_policy?
   
   # Scopes
   scope :published, -> { where(published: true) }
@@ -49,6 +79,63 @@ class Gallery < ApplicationRecord
     increment!(:views_count)
   end
   
+  # Client selection limits
+  def selection_limit?
+    selection_limit.present?
+  end
+  
+  # Set when the photographer closes selections for every visitor of the
+  # gallery; a guest submitting their own picks only locks those
+  def selection_locked?
+    selection_locked_at.present?
+  end
+  alias_method :selection_locked, :selection_locked?
+  
+  # The gallery form's "Close selections" switch
+  def selection_locked=(value)
+    locked = ActiveModel::Type::Boolean.new.cast(value)
+    self.selection_locked_at = locked ? (selection_locked_at || Time.current) : nil
+  end
+  
+  def extra_selections_for(count)
+    selection_limit? ? [count - selection_limit, 0].max : 0
+  end
+  
+  def selection_full?(count)
+    selection_limit? && !allow_extra_selections? && count >= selection_limit
+  end
+  
+  # Protected proofing until the photographer marks the gallery delivered:
+  # photos are shown and downloaded watermarked, and the public pages
+  # block saving them
+  def proofing?
+    protected_proofing? && !delivered?
+  end
+  
+  # Identifies the watermark photos should carry right now (nil when none),
+  # so each image can tell whether its watermarked copy is out of date
+  def watermark_fingerprint
+    return unless proofing? && watermark.attached?
+    
+    [watermark.blob.checksum, watermark_position, watermark_opacity].join(':')
+  end
+  
+  # Renumbers image positions section by section (unsectioned photos
+  # first), keeping each section's own order. Position alone then orders
+  # the gallery, which Image.ordered and the public grid's keyset paging
+  # rely on; called whenever sections or images are reordered.
+  def resequence_images!
+    image_ids = images.left_joins(:section)
+                      .order(Arel.sql('sections.position ASC NULLS FIRST'), 'images.position', 'images.id')
+                      .pluck('images.id')
+    
+    transaction do
+      image_ids.each_with_index do |image_id, index|
+        images.where(id: image_id).update_all(position: index + 1)
+      end
+    end
+  end
+  
   # Security methods
   def password_strength_score
     return 0 unless password.present?
@@ -180,4 +267,56 @@ class Gallery < ApplicationRecord
   def update_images_count
     update_column(:images_count, images.count) if images_count != images.count
   end
-end
\ No newline at end of file
+  
+  # Downloads and variants prepared under the old policy stop being served
+  # straight away; until each image is reprocessed, variants come out fully
+  # stripped and downloads are scrubbed on request. Like reapply_watermark,
+  # photos that have never carried the watermark now due are hidden until
+  # they do.
+  def reapply_metadata_policy
+    images.update_all(metadata_policy_applied: nil, variants_generated: {})
+    if watermark_fingerprint
+      images.where(watermark_applied: nil).update_all(processing_status: Image.processing_statuses[:pending])
+    end
+    images.ids.each { |image_id| ImageProcessingJob.perform_later(image_id) }
+  end
+  
+  # Images whose watermark no longer matches are reprocessed. Their
+  # variants under the old watermark stop being served straight away, as
+  # in reapply_metadata_policy; photos that have never carried one are
+  # hidden from visitors until they do.
+  def reapply_watermark
+    fingerprint = watermark_fingerprint
+    stale = images.where('images.watermark_applied IS DISTINCT FROM ?', fingerprint)
+    
+    stale.where(watermark_applied: nil).update_all(processing_status: Image.processing_statuses[:pending]) if fingerprint
+    stale.update_all(variants_generated: {})
+    stale.ids.each { |image_id| ImageProcessingJob.perform_later(image_id) }
+  end
+  
+  # Whether the last save changed anything watermark_fingerprint depends on
+  def saved_change_to_watermark_settings?
+    @watermark_replaced ||
+      saved_change_to_protected_proofing? || saved_change_to_delivered? ||
+      saved_change_to_watermark_position? || saved_change_to_watermark_opacity?
+  end
+  
+  # A new watermark file shows up as a pending attachment change rather
+  # than in saved_changes
+  def note_watermark_replacement
+    @watermark_replaced = attachment_changes.key?('watermark')
+  end
+  
+  def acceptable_watermark
+    if protected_proofing? && !watermark.attached?
+      errors.add(:watermark, 'must be uploaded for protected proofing')
+    end
+    return unless watermark.attached?
+    
+    # PNG so the mark can carry its own transparency
+    errors.add(:watermark, 'must be a PNG image') unless watermark.content_type == 'image/png'
+    if watermark.byte_size > MAX_WATERMARK_SIZE
+      errors.add(:watermark, "must be less than #{MAX_WATERMARK_SIZE / 1.megabyte}MB")
+    end
+  end
+end
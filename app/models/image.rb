@@ -1,9 +1,25 @@
 class Image < ApplicationRecord
   # Active Storage attachments
   has_one_attached :file
+  # Copy of the original with the gallery's metadata policy applied, when
+  # the policy removes anything
+  has_one_attached :delivery_file
+  # Watermarked copy of the delivery file, while the gallery is in protected
+  # proofing
+  has_one_attached :watermarked_file
+  # For video clips: the frame the grid and lightbox show, and every
+  # variant is cut from, and the H.264 copy the lightbox plays
+  has_one_attached :poster
+  has_one_attached :web_video
   
   # Associations
   belongs_to :gallery
+  belongs_to :section, optional: true
+  has_many :favorites, dependent: :destroy
+  has_many :comments, dependent: :destroy
+  # Kept for the gallery's totals when the photo goes (the foreign key
+  # nullifies them)
+  has_many :analytics_events
   
   # Processing status enum
   enum processing_status: {
@@ -14,12 +30,19 @@ class Image < ApplicationRecord
     retrying: 4      # Retrying after failure
   }
   
+  PHOTO_CONTENT_TYPES = %w[image/jpeg image/jpg image/png image/gif image/webp image/heic image/heif].freeze
+  VIDEO_CONTENT_TYPES = %w[video/mp4 video/quicktime video/webm].freeze
+  
+  MAX_PHOTO_SIZE = 50.megabytes
+  MAX_VIDEO_SIZE = 500.megabytes
+  
   # Validations
   validates :filename, presence: true
   validates :file, presence: true
-  validates :format, presence: true, inclusion: { in: %w[jpeg jpg png webp avif gif heic heif] }
+  validates :format, presence: true, inclusion: { in: %w[jpeg jpg png webp avif gif heic heif mp4 mov quicktime webm] }
   validate :acceptable_file_format
   validate :acceptable_file_size
+  validate :section_in_same_gallery
   
   # Callbacks
   before_save :extract_metadata
@@ -28,48 +51,116 @@ class Image < ApplicationRecord
   after_destroy :update_gallery_images_count
   
   # Scopes
+  # Positions run section by section (Gallery#resequence_images!), so this
+  # is section order too
   scope :ordered, -> { order(:position, :created_at) }
   scope :by_content_type, ->(type) { where(content_type: type) }
   scope :processing_incomplete, -> { where.not(processing_status: :completed) }
   scope :processing_failed, -> { where(processing_status: [:failed, :retrying]) }
   scope :by_size, ->(size) { order(:file_size) }
   
-  # Variant configurations for different storage tiers
-  VARIANT_CONFIGS = {
-    thumbnail: { 
-      resize_to_limit: [300, 300], 
-      format: :webp, 
-      quality: 85,
-      storage: :hot 
+  # Lightbox opens, total time on screen and downloads per image, for the
+  # photographer's ranking (AnalyticsController)
+  scope :with_engagement, -> {
+    left_joins(:analytics_events)
+      .group(:id)
+      .select(
+        'images.*',
+        "COUNT(analytics_events.id) FILTER (WHERE analytics_events.action_type = 'image_view') AS lightbox_views",
+        "COALESCE(SUM(analytics_events.dwell_ms) FILTER (WHERE analytics_events.action_type = 'image_dwell'), 0) AS dwell_ms",
+        "COUNT(analytics_events.id) FILTER (WHERE analytics_events.action_type = 'download') AS downloads_count"
+      )
+  }
+
+  # The images of `gallery` that displayable? keeps, in SQL so pages and
+  # counts can be taken after it: while the gallery is proofing, those with
+  # their watermarked copy; otherwise photos, and clips once their poster
+  # frame is made.
+  scope :displayable_in, ->(gallery) {
+    if gallery.watermark_fingerprint
+      where(id: attachment_record_ids(:watermarked_file))
+    else
+      where.not(content_type: VIDEO_CONTENT_TYPES).or(where(id: attachment_record_ids(:poster)))
+    end
+  }
+
+  # Ids of the images with the named attachment, as a subquery
+  def self.attachment_record_ids(name)
+    ActiveStorage::Attachment.where(record_type: polymorphic_name, name: name.to_s).select(:record_id)
+  end
+
+  # Keyset pagination for the public grid. (position, id) is unique and
+  # backed by the [:gallery_id, :position, :id] index, so deep pages cost the
+  # same as the first one.
+  scope :in_page_order, -> { order(:position, :id) }
+  scope :after_page_key, ->(position, id) {
+    where('images.position > :position OR (images.position = :position AND images.id > :id)', position: position, id: id)
+  }
+  scope :through_page_key, ->(position, id) {
+    where('images.position < :position OR (images.position = :position AND images.id <= :id)', position: position, id: id)
+  }
+
+  # Base renditions. Each is generated at every listed pixel density and in
+  # every delivery format; AVIF holds up at a much lower quality setting.
+  VARIANT_BASES = {
+    thumbnail: {
+      resize_to_limit: [300, 300],
+      quality: { webp: 85, avif: 60 },
+      densities: [1, 2, 3],
+      storage: :hot
     },
-    web: { 
-      resize_to_limit: [1200, 1200], 
-      format: :webp, 
-      quality: 90,
-      storage: :hot 
+    web: {
+      resize_to_limit: [1200, 1200],
+      quality: { webp: 90, avif: 65 },
+      densities: [1, 2, 3],
+      storage: :hot
     },
-    preview: { 
-      resize_to_limit: [800, 600], 
-      format: :webp, 
-      quality: 85,
-      storage: :hot 
+    preview: {
+      resize_to_limit: [800, 600],
+      quality: { webp: 85, avif: 60 },
+      densities: [1],
+      storage: :hot
     }
   }.freeze
+
+  VARIANT_FORMATS = %i[webp avif].freeze
+
+  # Variant configurations for different storage tiers, one per base,
+  # density and format: :thumbnail (1x WebP), :thumbnail_2x,
+  # :thumbnail_avif, :thumbnail_2x_avif, ...
+  VARIANT_CONFIGS = VARIANT_BASES.each_with_object({}) do |(base, config), configs|
+    config[:densities].each do |density|
+      VARIANT_FORMATS.each do |format|
+        name = [base, (density > 1 ? "#{density}x" : nil), (format == :webp ? nil : format)].compact.join('_')
+        configs[name.to_sym] = {
+          resize_to_limit: config[:resize_to_limit].map { |limit| limit * density },
+          format: format,
+          quality: config[:quality][format],
+          storage: config[:storage],
+          base: base,
+          density: density
+        }.freeze
+      end
+    end
+  end.freeze
   
   # Image variants for different display sizes
   def thumbnail(size: [300, 300])
     return variant_url(:thumbnail) if variant_generated?(:thumbnail)
-    file.variant(resize_to_limit: size, format: :webp, quality: 85)
+    return unless displayable?
+    display_source.variant(variant_transformations(:thumbnail).merge(resize_to_limit: size))
   end
   
   def web_size(size: [1200, 1200])
     return variant_url(:web) if variant_generated?(:web)
-    file.variant(resize_to_limit: size, format: :webp, quality: 90)
+    return unless displayable?
+    display_source.variant(variant_transformations(:web).merge(resize_to_limit: size))
   end
   
   def preview_size(size: [800, 600])
     return variant_url(:preview) if variant_generated?(:preview)
-    file.variant(resize_to_limit: size, format: :webp, quality: 85)
+    return unless displayable?
+    display_source.variant(variant_transformations(:preview).merge(resize_to_limit: size))
   end
   
   def original_file
@@ -78,24 +169,260 @@ class Image < ApplicationRecord
   
   # Generate signed URL for secure downloads
   def download_url
-    file.blob.signed_url(expires_in: 1.hour, disposition: "attachment")
+    download_source.blob.signed_url(expires_in: 1.hour, disposition: "attachment")
+  end
+  
+  def video?
+    VIDEO_CONTENT_TYPES.include?(content_type)
+  end
+  
+  # The file every variant is cut from: the watermarked copy while the
+  # gallery is proofing, else the variant source. Nil while proofing until
+  # the copy is made; the clean file is never shown instead.
+  def display_source
+    return variant_source unless gallery.watermark_fingerprint
+    
+    watermarked_file if watermarked_file.attached?
+  end
+  
+  # Whether there's a file to show yet; pages showing variants skip the
+  # image until there is
+  def displayable?
+    display_source.present?
+  end
+  
+  # The file visitors download: the watermarked copy while the gallery is
+  # proofing, else the delivery file. For a clip the watermarked copy is
+  # its poster, so the clip itself only leaves once it's delivered.
+  def download_source
+    gallery.watermark_fingerprint ? watermarked_file : delivery_source
+  end
+  
+  # What variants and the watermarked copy are made from: the delivery
+  # file, or a clip's poster frame
+  def variant_source
+    video? ? poster : delivery_source
+  end
+  
+  # The scrubbed copy once the gallery's metadata policy has been applied,
+  # else the original (whose variants are then stripped of all metadata)
+  def delivery_source
+    scrubbed = metadata_policy_applied.present? && metadata_policy_applied != 'keep'
+    scrubbed && delivery_file.attached? ? delivery_file : file
+  end
+  
+  # Where the lightbox plays a clip from: its web copy, once that's made.
+  # Nothing plays while the gallery is proofing.
+  def playback_url
+    return unless video? && web_video.attached? && gallery.watermark_fingerprint.nil?
+    
+    Rails.application.routes.url_helpers.rails_blob_path(web_video, only_path: true)
+  end
+  
+  # 75.4 → "1:15", 3725 → "1:02:05"
+  def duration_label
+    return unless duration
+    
+    hours, rest = duration.round.divmod(3600)
+    minutes, seconds = rest.divmod(60)
+    # Kernel#format is shadowed by the format attribute
+    hours.positive? ? '%d:%02d:%02d' % [hours, minutes, seconds] : '%d:%02d' % [minutes, seconds]
+  end
+  
+  # Reads a clip's length, size and capture time, and makes its poster
+  # frame and web copy. Run by the processing job before anything is cut
+  # from the poster.
+  def prepare_video!
+    file.open do |original|
+      processor = VideoProcessor.new(original.path)
+      details = processor.probe
+      base_name = File.basename(filename, '.*')
+      
+      Tempfile.create(['poster', '.jpg']) do |frame|
+        processor.poster(frame.path, duration: details[:duration])
+        
+        File.open(frame.path, 'rb') do |still|
+          poster.attach(io: still, filename: "#{base_name}.jpg", content_type: 'image/jpeg')
+        end
+      end
+      
+      Tempfile.create(['web', '.mp4']) do |web|
+        processor.transcode(web.path)
+        
+        File.open(web.path, 'rb') do |clip|
+          web_video.attach(io: clip, filename: "#{base_name}.mp4", content_type: 'video/mp4')
+        end
+      end
+      
+      update_columns(
+        duration: details[:duration],
+        width: details[:width],
+        height: details[:height],
+        captured_at: captured_at || details[:captured_at]
+      )
+    end
+  end
+  
+  def metadata_policy_current?
+    metadata_policy_applied == gallery.metadata_policy
+  end
+  
+  # Prepares the delivery copy under the gallery's current metadata policy.
+  # Called by the processing job before any variant is cut.
+  def apply_metadata_policy!
+    policy = gallery.metadata_policy
+    
+    if policy == 'keep'
+      delivery_file.purge_later if delivery_file.attached?
+    elsif video?
+      # ExifTool can't rewrite every container, so clips lose all their
+      # container metadata under either policy; copyright is rarely there
+      file.open do |original|
+        Tempfile.create(['delivery', File.extname(original.path)]) do |stripped|
+          VideoProcessor.new(original.path).strip_metadata(stripped.path)
+          
+          File.open(stripped.path, 'rb') do |copy|
+            delivery_file.attach(io: copy, filename: file.filename.to_s, content_type: file.content_type)
+          end
+        end
+      end
+    else
+      file.open do |original|
+        MetadataScrubber.new(original.path).scrub(policy)
+        
+        # ExifTool replaces the file, so it's reopened by path
+        File.open(original.path, 'rb') do |scrubbed|
+          delivery_file.attach(io: scrubbed, filename: file.filename.to_s, content_type: file.content_type)
+        end
+      end
+    end
+    
+    update_column(:metadata_policy_applied, policy)
+  end
+  
+  def watermark_current?
+    watermark_applied == gallery.watermark_fingerprint
+  end
+  
+  # Whether downloads can be served: the delivery copies match the
+  # gallery's current metadata policy and watermark
+  def delivery_ready?
+    metadata_policy_current? && watermark_current?
+  end
+  
+  # Prepares the watermarked copy under the gallery's current watermark, or
+  # removes it once the gallery no longer needs one. Runs after the
+  # metadata policy, since the copy is cut from the delivery file.
+  def apply_watermark!
+    fingerprint = gallery.watermark_fingerprint
+    
+    if fingerprint.nil?
+      watermarked_file.purge_later if watermarked_file.attached?
+    else
+      variant_source.open do |source|
+        gallery.watermark.open do |mark|
+          Tempfile.create(['proof', '.jpg']) do |proof|
+            Watermarker.new(mark.path, position: gallery.watermark_position, opacity: gallery.watermark_opacity)
+                       .apply(source.path, proof.path)
+            
+            File.open(proof.path, 'rb') do |watermarked|
+              watermarked_file.attach(io: watermarked, filename: "#{File.basename(filename, '.*')}.jpg", content_type: 'image/jpeg')
+            end
+          end
+        end
+      end
+    end
+    
+    update_column(:watermark_applied, fingerprint)
+  end
+  
+  # Active Storage transformations for a pre-generated variant. Metadata
+  # is kept as the delivery copy has it, or stripped entirely while that
+  # copy is out of date.
+  def variant_transformations(variant_name)
+    config = VARIANT_CONFIGS.fetch(variant_name)
+    
+    transformations = {
+      resize_to_limit: config[:resize_to_limit],
+      format: config[:format],
+      quality: config[:quality],
+      strip: !metadata_policy_current?
+    }
+    # Progressive JPEG/WebP for better loading; AVIF has no progressive mode
+    transformations[:interlace] = true unless config[:format] == :avif
+    transformations
   end
   
   def thumbnail_url
     return variant_url(:thumbnail) if variant_generated?(:thumbnail)
+    return unless displayable?
     Rails.application.routes.url_helpers.rails_representation_path(thumbnail, only_path: true)
   end
   
   def web_url
     return variant_url(:web) if variant_generated?(:web)
+    return unless displayable?
     Rails.application.routes.url_helpers.rails_representation_path(web_size, only_path: true)
   end
   
   def preview_url
     return variant_url(:preview) if variant_generated?(:preview)
+    return unless displayable?
     Rails.application.routes.url_helpers.rails_representation_path(preview_size, only_path: true)
   end
   
+  # srcset candidates ("<url> <width>w, ...") across every rendition in
+  # `format`, narrowest first. Renditions that come out the same width (the
+  # original is smaller than their limit) are listed once.
+  def responsive_srcset(format)
+    return '' unless displayable?
+    
+    candidates = {}
+    
+    VARIANT_CONFIGS.select { |_, config| config[:format] == format }
+                   .sort_by { |_, config| [rendered_width(config[:resize_to_limit]), config[:density]] }
+                   .each do |variant_name, config|
+      candidates[rendered_width(config[:resize_to_limit])] ||= variant_path(variant_name)
+    end
+    
+    candidates.map { |rendered, path| "#{path} #{rendered}w" }.join(', ')
+  end
+  
+  # The pre-generated variant's URL, or an on-demand Active Storage
+  # representation until the processing job has run
+  def variant_path(variant_name)
+    return variant_url(variant_name) if variant_generated?(variant_name)
+    return unless displayable?
+    
+    Rails.application.routes.url_helpers.rails_representation_path(
+      display_source.variant(variant_transformations(variant_name)),
+      only_path: true
+    )
+  end
+  
+  # Width of a resize_to_limit rendition; never upscaled
+  def rendered_width(limit)
+    return limit.first unless width.to_i.positive? && height.to_i.positive?
+    
+    scale = [limit.first.to_f / width, limit.last.to_f / height, 1.0].min
+    (width * scale).round
+  end
+  
+  # Shooting details for the lightbox info panel, formatted for display
+  def exif_details
+    data = (exif || {}).with_indifferent_access
+    
+    {
+      camera: data[:camera],
+      lens: data[:lens],
+      focal_length: data[:focal_length] && "#{display_number(data[:focal_length])} mm",
+      aperture: data[:aperture] && "ƒ/#{display_number(data[:aperture])}",
+      shutter_speed: data[:exposure_time] && display_shutter_speed(data[:exposure_time].to_f),
+      iso: data[:iso] && "ISO #{data[:iso]}",
+      captured_at: captured_at&.iso8601
+    }.compact
+  end
+  
   # Variant management methods
   def variant_generated?(variant_name)
     variants_generated.dig(variant_name.to_s, 'status') == 'completed'
@@ -138,24 +465,38 @@ class Image < ApplicationRecord
   
   private
   
+  # 2.8 → "2.8", 50.0 → "50"
+  def display_number(value)
+    value.to_f.round(1).to_s.delete_suffix('.0')
+  end
+  
+  def display_shutter_speed(seconds)
+    seconds < 1 ? "1/#{(1 / seconds).round} s" : "#{display_number(seconds)} s"
+  end
+  
   def acceptable_file_format
     return unless file.attached?
     
-    acceptable_types = %w[image/jpeg image/jpg image/png image/gif image/webp image/heic image/heif]
-    unless acceptable_types.include?(file.content_type)
-      errors.add(:file, 'must be a valid image format (JPEG, PNG, GIF, WebP, HEIC, HEIF)')
+    unless (PHOTO_CONTENT_TYPES + VIDEO_CONTENT_TYPES).include?(file.content_type)
+      errors.add(:file, 'must be a valid image format (JPEG, PNG, GIF, WebP, HEIC, HEIF) or video (MP4, MOV, WebM)')
     end
   end
   
   def acceptable_file_size
     return unless file.attached?
     
-    max_size = 50.megabytes
+    max_size = VIDEO_CONTENT_TYPES.include?(file.content_type) ? MAX_VIDEO_SIZE : MAX_PHOTO_SIZE
     if file.byte_size > max_size
       errors.add(:file, "must be less than #{max_size / 1.megabyte}MB")
     end
   end
-  
+
+  def section_in_same_gallery
+    return unless section
+
+    errors.add(:section, 'must belong to the same gallery') unless section.gallery_id == gallery_id
+  end
+
   def extract_metadata
     return unless file.attached?
     
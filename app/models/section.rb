@@ -0,0 +1,39 @@
+class Section < ApplicationRecord
+  # A named chapter of a gallery ("Ceremony", "Reception", ...). Images keep
+  # their gallery-wide position, which runs section by section: photos
+  # without a section come first, then each section in order (see
+  # Gallery#resequence_images!).
+  
+  # Associations
+  belongs_to :gallery
+  has_many :images
+  
+  # Validations
+  validates :name, presence: true, length: { maximum: 100 },
+                   uniqueness: { scope: :gallery_id, case_sensitive: false }
+  
+  # Callbacks
+  before_create :place_last
+  before_destroy :hand_images_to_previous_section
+  
+  # Scopes
+  scope :ordered, -> { order(:position, :id) }
+  
+  def as_json(options = {})
+    { id: id, name: name, position: position }
+  end
+  
+  private
+  
+  def place_last
+    self.position = (gallery.sections.maximum(:position) || 0) + 1
+  end
+  
+  # The photos join the section before this one (or, for the first
+  # section, the unsectioned lead-in), which already sits right before
+  # them, so no positions change
+  def hand_images_to_previous_section
+    previous = gallery.sections.where('position < ?', position).ordered.last
+    images.update_all(section_id: previous&.id)
+  end
+end
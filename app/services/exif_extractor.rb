@@ -0,0 +1,67 @@
+class ExifExtractor
+  # Reads the shooting details shown in the public lightbox's info panel
+  # from an image file's EXIF. Only these fields are kept; location and
+  # other personal tags are never copied out of the file.
+
+  EXIF_DATE_FORMAT = '%Y:%m:%d %H:%M:%S'.freeze
+
+  def initialize(file_path)
+    @file_path = file_path
+  end
+
+  # { exif: { camera:, lens:, ... }, captured_at: Time or nil }, with
+  # missing fields left out
+  def extract
+    tags = MiniMagick::Image.new(@file_path).exif
+
+    exif = {
+      camera: camera(tags['Make'], tags['Model']),
+      lens: text(tags['LensModel']),
+      focal_length: rational(tags['FocalLength']),
+      aperture: rational(tags['FNumber']),
+      exposure_time: rational(tags['ExposureTime']),
+      iso: integer(tags['PhotographicSensitivity'] || tags['ISOSpeedRatings'])
+    }.compact
+
+    { exif: exif, captured_at: captured_at(tags) }
+  end
+
+  private
+
+  # "Canon" + "Canon EOS R5" reads as "Canon EOS R5", not "Canon Canon EOS R5"
+  def camera(make, model)
+    make = text(make)
+    model = text(model)
+    return make if model.nil?
+    return model if make.nil? || model.downcase.start_with?(make.downcase.split.first)
+
+    "#{make} #{model}"
+  end
+
+  def text(value)
+    value = value.to_s.strip
+    value.presence
+  end
+
+  # EXIF rationals come through as "28/10"
+  def rational(value)
+    numerator, denominator = value.to_s.split('/').map(&:to_f)
+    return nil unless numerator&.positive?
+
+    denominator ? (denominator.positive? ? numerator / denominator : nil) : numerator
+  end
+
+  def integer(value)
+    number = value.to_s.split(/[\s,]/).first.to_i
+    number.positive? ? number : nil
+  end
+
+  def captured_at(tags)
+    value = text(tags['DateTimeOriginal'] || tags['DateTimeDigitized'])
+    return nil unless value
+
+    Time.zone.strptime(value, EXIF_DATE_FORMAT)
+  rescue ArgumentError
+    nil
+  end
+end
@@ -0,0 +1,129 @@
+require 'csv'
+
+class GalleryActivityReport
+  # Visits and downloads of one gallery over time, from its stored
+  # AnalyticsEvents: per day or per week, where visitors came from and what
+  # they were on. Periods are in the app's time zone.
+
+  # How far back each interval looks
+  INTERVALS = {
+    'daily' => 30,
+    'weekly' => 12
+  }.freeze
+
+  METRICS = {
+    views: 'Views',
+    visitors: 'Unique visitors',
+    downloads: 'Downloads',
+    bulk_downloads: 'Bulk downloads'
+  }.freeze
+
+  REFERRER_LIMIT = 10
+
+  Period = Struct.new(:starts_on, :views, :visitors, :downloads, :bulk_downloads, keyword_init: true)
+
+  attr_reader :gallery, :interval
+
+  def initialize(gallery, interval: 'daily')
+    @gallery = gallery
+    @interval = INTERVALS.key?(interval) ? interval : 'daily'
+  end
+
+  def weekly?
+    interval == 'weekly'
+  end
+
+  # Oldest first, with a row for every day or week in the range, active or not
+  def periods
+    @periods ||= begin
+      counts = events.where(action_type: %w[view download bulk_download]).group(bucket, :action_type).count
+      visitors = events.of_type('view').group(bucket).distinct.count(:visitor_digest)
+
+      period_starts.map do |starts_on|
+        Period.new(
+          starts_on: starts_on,
+          views: counts.fetch([starts_on, 'view'], 0),
+          visitors: visitors.fetch(starts_on, 0),
+          downloads: counts.fetch([starts_on, 'download'], 0),
+          bulk_downloads: counts.fetch([starts_on, 'bulk_download'], 0)
+        )
+      end
+    end
+  end
+
+  # Visitors are counted once over the whole range, not summed per period
+  def totals
+    @totals ||= {
+      views: periods.sum(&:views),
+      visitors: events.of_type('view').distinct.count(:visitor_digest),
+      downloads: periods.sum(&:downloads),
+      bulk_downloads: periods.sum(&:bulk_downloads)
+    }
+  end
+
+  # [[host, views]] by most views; visits without a referrer are left out
+  def top_referrers
+    @top_referrers ||= events.of_type('view')
+      .where.not(referrer_host: nil)
+      .group(:referrer_host)
+      .order(Arel.sql('COUNT(*) DESC'), :referrer_host)
+      .limit(REFERRER_LIMIT)
+      .count
+      .to_a
+  end
+
+  def direct_views
+    @direct_views ||= events.of_type('view').where(referrer_host: nil).count
+  end
+
+  # { 'mobile' => views, 'tablet' => views, 'desktop' => views }
+  def device_split
+    @device_split ||= begin
+      counts = events.of_type('view').where.not(device: nil).group(:device).count
+      AnalyticsEvent::DEVICE_TYPES.index_with { |device| counts.fetch(device, 0) }
+    end
+  end
+
+  def to_csv
+    CSV.generate do |csv|
+      csv << [weekly? ? 'Week starting' : 'Date', *METRICS.values]
+      periods.each do |period|
+        csv << [period.starts_on.iso8601, *METRICS.keys.map { |metric| period.public_send(metric) }]
+      end
+    end
+  end
+
+  def starts_on
+    @starts_on ||= if weekly?
+      today.beginning_of_week(:monday) - (INTERVALS['weekly'] - 1).weeks
+    else
+      today - (INTERVALS['daily'] - 1).days
+    end
+  end
+
+  def ends_on
+    today
+  end
+
+  private
+
+  def today
+    @today ||= Time.zone.today
+  end
+
+  def events
+    gallery.analytics_events.between(starts_on.beginning_of_day, ends_on.end_of_day)
+  end
+
+  def period_starts
+    step = weekly? ? 7 : 1
+    starts_on.step(ends_on, step).to_a
+  end
+
+  # Postgres weeks start on Monday, like period_starts
+  def bucket
+    zone = ActiveRecord::Base.connection.quote(Time.zone.tzinfo.identifier)
+    unit = weekly? ? 'week' : 'day'
+    Arel.sql("DATE_TRUNC('#{unit}', analytics_events.created_at AT TIME ZONE 'UTC' AT TIME ZONE #{zone})::date")
+  end
+end
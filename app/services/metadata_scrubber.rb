@@ -0,0 +1,40 @@
+require 'open3'
+
+class MetadataScrubber
+  # Removes metadata from an image file in place according to a gallery's
+  # metadata policy. ExifTool rewrites only the metadata segments, so the
+  # pixel data is never re-encoded.
+  
+  # Kept under copyright_only: who owns and made the photo, plus the
+  # orientation and colour profile it needs to display correctly
+  COPYRIGHT_TAGS = %w[
+    EXIF:Copyright EXIF:Artist
+    XMP-dc:Rights XMP-dc:Creator XMP-xmpRights:all
+    IPTC:CopyrightNotice IPTC:By-line
+    EXIF:Orientation
+  ].freeze
+  
+  def initialize(file_path)
+    @file_path = file_path
+  end
+  
+  def scrub(policy)
+    case policy.to_s
+    when 'keep'
+      nil
+    when 'strip_gps'
+      exiftool('-gps:all=', '-xmp:geotag=')
+    when 'copyright_only'
+      exiftool('-all=', '--icc_profile:all', '-tagsfromfile', '@', *COPYRIGHT_TAGS.map { |tag| "-#{tag}" })
+    else
+      raise ArgumentError, "Unknown metadata policy: #{policy}"
+    end
+  end
+  
+  private
+  
+  def exiftool(*arguments)
+    output, status = Open3.capture2e('exiftool', '-q', '-q', '-overwrite_original', *arguments, @file_path)
+    raise "Metadata scrubbing failed: #{output.strip}" unless status.success?
+  end
+end
@@ -26,13 +26,32 @@ class SecureFileValidator
     'image/gif' => [
       [0x47, 0x49, 0x46, 0x38, 0x37, 0x61], # GIF87a
       [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]  # GIF89a
+    ],
+    'video/mp4' => [
+      [0x66, 0x74, 0x79, 0x70]  # ftyp (at bytes 4-7)
+    ],
+    'video/quicktime' => [
+      [0x66, 0x74, 0x79, 0x70], # ftyp (at bytes 4-7)
+      [0x6D, 0x6F, 0x6F, 0x76], # moov
+      [0x77, 0x69, 0x64, 0x65], # wide
+      [0x6D, 0x64, 0x61, 0x74], # mdat
+      [0x66, 0x72, 0x65, 0x65]  # free
+    ],
+    'video/webm' => [
+      [0x1A, 0x45, 0xDF, 0xA3]  # EBML
     ]
   }.freeze
   
   ALLOWED_MIME_TYPES = ALLOWED_FILE_SIGNATURES.keys.freeze
+  VIDEO_MIME_TYPES = %w[video/mp4 video/quicktime video/webm].freeze
+  
+  # MP4 and QuickTime files open with a box whose 4-byte size comes before
+  # its type
+  BOX_SIGNATURE_OFFSET = 4
   
   # File size limits (in bytes)
   MAX_FILE_SIZE = 50.megabytes
+  MAX_VIDEO_FILE_SIZE = 500.megabytes
   MIN_FILE_SIZE = 1.kilobyte
   MAX_DIMENSION = 10000 # pixels
   MIN_DIMENSION = 32    # pixels
@@ -90,6 +109,17 @@ class SecureFileValidator
     end
   end
   
+  # Camera, lens, exposure and capture time for the lightbox info panel.
+  # Read from the upload, since sanitizing strips them from the stored file.
+  def shooting_details
+    return {} unless valid_image_file?
+    
+    ExifExtractor.new(@file_path).extract
+  rescue => e
+    @warnings << "Unable to read shooting details: #{e.message}"
+    {}
+  end
+  
   def errors
     @errors
   end
@@ -123,9 +153,10 @@ class SecureFileValidator
   
   def validate_file_size
     size = @file.size
+    max_size = video_file? ? MAX_VIDEO_FILE_SIZE : MAX_FILE_SIZE
     
-    if size > MAX_FILE_SIZE
-      @errors << "File size (#{size.to_f / 1.megabyte:.1f}MB) exceeds maximum allowed size (#{MAX_FILE_SIZE / 1.megabyte}MB)"
+    if size > max_size
+      @errors << "File size (#{(size.to_f / 1.megabyte).round(1)}MB) exceeds maximum allowed size (#{max_size / 1.megabyte}MB)"
       log_security_event('file_size_exceeded')
     elsif size < MIN_FILE_SIZE
       @errors << "File size is too small (minimum #{MIN_FILE_SIZE} bytes)"
@@ -147,9 +178,9 @@ class SecureFileValidator
       @warnings << "File has multiple extensions"
     end
     
-    # Check for allowed image extensions
-    unless filename.match?(/\.(jpe?g|png|webp|tiff?|bmp|gif)$/i)
-      @errors << "File extension must be jpg, jpeg, png, webp, tiff, bmp, or gif"
+    # Check for allowed image and video extensions
+    unless filename.match?(/\.(jpe?g|png|webp|tiff?|bmp|gif|mp4|mov|webm)$/i)
+      @errors << "File extension must be jpg, jpeg, png, webp, tiff, bmp, gif, mp4, mov, or webm"
     end
   end
   
@@ -181,6 +212,8 @@ class SecureFileValidator
         # Special handling for WebP: check RIFF header and WEBP signature
         magic_numbers[0, 4] == signature && 
         magic_numbers[8, 4] == [0x57, 0x45, 0x42, 0x50] # "WEBP"
+      elsif %w[video/mp4 video/quicktime].include?(detected_type)
+        magic_numbers[BOX_SIGNATURE_OFFSET, signature.length] == signature
       else
         magic_numbers[0, signature.length] == signature
       end
@@ -285,6 +318,13 @@ class SecureFileValidator
     FileUtils.mkdir_p(File.dirname(temp_path))
     
     begin
+      # Clips can't be re-encoded here; their metadata is dropped from the
+      # web copy and from the delivery copy visitors download
+      if video_file?
+        FileUtils.cp(@file_path, temp_path)
+        return temp_path
+      end
+      
       image = MiniMagick::Image.new(@file_path)
       
       # Strip all metadata
@@ -325,8 +365,13 @@ class SecureFileValidator
     end
   end
   
+  # Videos skip the image dimension and EXIF checks
   def valid_image_file?
-    ALLOWED_MIME_TYPES.include?(detected_mime_type)
+    ALLOWED_MIME_TYPES.include?(detected_mime_type) && !video_file?
+  end
+  
+  def video_file?
+    VIDEO_MIME_TYPES.include?(detected_mime_type)
   end
   
   def file_extension
@@ -343,6 +388,12 @@ class SecureFileValidator
       'bmp'
     when 'image/gif'
       'gif'
+    when 'video/mp4'
+      'mp4'
+    when 'video/quicktime'
+      'mov'
+    when 'video/webm'
+      'webm'
     else
       'bin'
     end
@@ -0,0 +1,90 @@
+require 'open3'
+
+class VideoProcessor
+  # Prepares a client's video clip for the gallery with the local ffmpeg:
+  # reads its length and size, grabs a poster frame for the grid and
+  # lightbox, and transcodes a copy every browser can play inline.
+
+  # Longest side of the web copy; clips are never upscaled
+  MAX_WEB_SIZE = 1920
+
+  # Seconds into the clip the poster frame is taken from, so it isn't the
+  # black first frame many cameras record; short clips use their midpoint
+  POSTER_OFFSET = 1.0
+
+  def initialize(file_path)
+    @file_path = file_path
+  end
+
+  # Duration, display dimensions (after any rotation the camera recorded)
+  # and capture time
+  def probe
+    output, status = Open3.capture2e(
+      'ffprobe', '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', @file_path
+    )
+    raise "Video probe failed: #{output.strip}" unless status.success?
+
+    data = JSON.parse(output)
+    stream = Array(data['streams']).find { |s| s['codec_type'] == 'video' } || {}
+    width, height = stream['width'], stream['height']
+    width, height = height, width if [90, 270].include?(rotation(stream).abs % 360)
+
+    {
+      duration: data.dig('format', 'duration')&.to_f,
+      width: width,
+      height: height,
+      captured_at: parse_time(data.dig('format', 'tags', 'creation_time'))
+    }
+  end
+
+  # Writes a JPEG frame to destination_path
+  def poster(destination_path, duration: nil)
+    offset = duration && duration < POSTER_OFFSET * 2 ? duration / 2 : POSTER_OFFSET
+
+    ffmpeg('-ss', offset.round(3).to_s, '-i', @file_path, '-frames:v', '1', '-q:v', '3', destination_path)
+  end
+
+  # Writes an H.264/AAC MP4 to destination_path, with its index at the
+  # front so playback starts before the whole file has loaded
+  def transcode(destination_path)
+    ffmpeg(
+      '-i', @file_path,
+      '-vf', "scale='min(#{MAX_WEB_SIZE},iw)':'min(#{MAX_WEB_SIZE},ih)':force_original_aspect_ratio=decrease:force_divisible_by=2",
+      '-c:v', 'libx264', '-preset', 'medium', '-crf', '23', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '128k',
+      '-map_metadata', '-1',
+      '-movflags', '+faststart',
+      destination_path
+    )
+  end
+
+  # Writes a copy to destination_path without its container metadata
+  # (capture time, the location phones record, device details). The
+  # streams are copied, not re-encoded.
+  def strip_metadata(destination_path)
+    ffmpeg('-i', @file_path, '-map', '0', '-c', 'copy', '-map_metadata', '-1', destination_path)
+  end
+
+  private
+
+  def ffmpeg(*arguments)
+    output, status = Open3.capture2e('ffmpeg', '-v', 'error', '-y', *arguments)
+    raise "Video processing failed: #{output.strip}" unless status.success?
+  end
+
+  # Older files carry the rotation as a tag, newer ones as display matrix
+  # side data
+  def rotation(stream)
+    tagged = stream.dig('tags', 'rotate')
+    return tagged.to_i if tagged
+
+    side_data = Array(stream['side_data_list']).find { |side| side.key?('rotation') }
+    side_data ? side_data['rotation'].to_i : 0
+  end
+
+  def parse_time(value)
+    value.present? ? Time.zone.parse(value) : nil
+  rescue ArgumentError
+    nil
+  end
+end
@@ -0,0 +1,75 @@
+class Watermarker
+  # Overlays a photographer's PNG watermark on a photo for protected
+  # proofing. The mark is sized relative to the photo, so it reads the same
+  # on every rendition cut from the result.
+  
+  # Width of the mark as a share of the photo's width; a tiled mark is
+  # repeated smaller, with a mark's width of space around each copy
+  MARK_SCALE = 0.3
+  TILE_SCALE = 0.15
+  
+  # Distance from the edges for the corner positions, as a share of the
+  # photo's shorter side
+  MARGIN = 0.03
+  
+  def initialize(watermark_path, position:, opacity:)
+    @watermark_path = watermark_path
+    @position = position.to_s
+    @opacity = opacity.to_i.clamp(0, 100)
+  end
+  
+  # Writes the watermarked photo to destination_path as a JPEG. Metadata
+  # comes through as the source has it.
+  def apply(source_path, destination_path)
+    photo = Vips::Image.new_from_file(source_path).autorot.colourspace(:srgb)
+    photo = photo.flatten(background: [255, 255, 255]) if photo.has_alpha?
+    
+    mark = prepare_mark(photo.width * (@position == 'tiled' ? TILE_SCALE : MARK_SCALE))
+    overlay, left, top = placement(photo, mark)
+    
+    photo.composite2(overlay, :over, x: left, y: top).write_to_file(destination_path, Q: 90)
+  end
+  
+  private
+  
+  # The mark at `width` with its alpha scaled down to the opacity
+  def prepare_mark(width)
+    mark = Vips::Image.new_from_file(@watermark_path).colourspace(:srgb)
+    mark = mark.bandjoin(255) unless mark.has_alpha?
+    mark = mark.resize(width / mark.width)
+    
+    (mark * [1, 1, 1, @opacity / 100.0]).cast(:uchar)
+  end
+  
+  def placement(photo, mark)
+    margin = ([photo.width, photo.height].min * MARGIN).round
+    right = photo.width - mark.width - margin
+    bottom = photo.height - mark.height - margin
+    
+    case @position
+    when 'center'
+      [mark, (photo.width - mark.width) / 2, (photo.height - mark.height) / 2]
+    when 'top_left'
+      [mark, margin, margin]
+    when 'top_right'
+      [mark, right, margin]
+    when 'bottom_left'
+      [mark, margin, bottom]
+    when 'bottom_right'
+      [mark, right, bottom]
+    when 'tiled'
+      [tile(photo, mark), 0, 0]
+    else
+      raise ArgumentError, "Unknown watermark position: #{@position}"
+    end
+  end
+  
+  # The mark repeated across the whole photo
+  def tile(photo, mark)
+    cell = mark.embed(0, 0, mark.width * 2, mark.height * 2)
+    across = (photo.width.to_f / cell.width).ceil
+    down = (photo.height.to_f / cell.height).ceil
+    
+    cell.replicate(across, down).crop(0, 0, photo.width, photo.height)
+  end
+end
@@ -16,22 +16,46 @@ Rails.application.routes.draw do
   
   # Photographer dashboard routes (require authentication)
   resources :galleries, except: [:show] do
-    resources :images, only: [:create, :destroy] do
+    resources :images, only: [:index, :create, :destroy] do
       collection do
         patch :reorder
       end
     end
+    resources :client_selections, only: [:index, :show] do
+      patch :reopen, on: :member
+    end
+    resources :comments, only: [:index, :create, :update]
+    resource :analytics, only: [:show]
+    resources :sections, only: [:create, :update, :destroy] do
+      patch :reorder, on: :collection
+    end
     member do
       patch :reorder_images
       post :duplicate
     end
   end
   
+  # Service worker for galleries saved for offline viewing
+  get '/service-worker.js', to: 'service_workers#show', as: :service_worker, format: false, defaults: { format: :js }
+  
   # Public gallery routes (no authentication required)
   get '/g/:slug', to: 'public_galleries#show', as: :public_gallery
   post '/g/:slug/auth', to: 'public_galleries#authenticate', as: :authenticate_gallery
   get '/g/:slug/download/:image_id', to: 'public_galleries#download', as: :download_image
-  get '/g/:slug/download_all', to: 'public_galleries#download_all', as: :download_all_images
+  match '/g/:slug/download_all', to: 'public_galleries#download_all', as: :download_all_images, via: [:get, :post]
+  post '/g/:slug/share/:image_id', to: 'public_galleries#share', as: :share_image
+  post '/g/:slug/analytics', to: 'public_analytics#create', as: :public_gallery_analytics
+  
+  # Client favorites (named guest selections)
+  get '/g/:slug/selection', to: 'public_selections#show', as: :gallery_selection
+  post '/g/:slug/selection', to: 'public_selections#create'
+  post '/g/:slug/selection/submit', to: 'public_selections#submit', as: :submit_gallery_selection
+  post '/g/:slug/favorites/:image_id', to: 'public_selections#favorite', as: :favorite_image
+  delete '/g/:slug/favorites/:image_id', to: 'public_selections#unfavorite'
+  
+  # Client comments on images
+  get '/g/:slug/images/:image_id/comments', to: 'public_comments#index', as: :image_comments
+  post '/g/:slug/images/:image_id/comments', to: 'public_comments#create'
   
   # Health check for Vercel
   get '/health', to: proc { [200, {}, ['OK']] }
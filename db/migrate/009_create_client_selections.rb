@@ -0,0 +1,24 @@
+class CreateClientSelections < ActiveRecord::Migration[7.0]
+  def change
+    create_table :client_selections do |t|
+      t.references :gallery, null: false, foreign_key: true
+      t.string :guest_name, null: false
+      t.string :token, null: false
+      t.integer :favorites_count, default: 0, null: false
+      
+      t.timestamps
+    end
+    
+    add_index :client_selections, :token, unique: true
+    add_index :client_selections, [:gallery_id, :updated_at]
+    
+    create_table :favorites do |t|
+      t.references :client_selection, null: false, foreign_key: true
+      t.references :image, null: false, foreign_key: true
+      
+      t.timestamps
+    end
+    
+    add_index :favorites, [:client_selection_id, :image_id], unique: true
+  end
+end
@@ -0,0 +1,12 @@
+class AddSelectionLimitsToGalleries < ActiveRecord::Migration[7.0]
+  def change
+    add_column :galleries, :selection_limit, :integer
+    add_column :galleries, :extra_image_price, :decimal, precision: 8, scale: 2
+    add_column :galleries, :allow_extra_selections, :boolean, default: true, null: false
+    add_column :galleries, :selection_locked_at, :datetime
+    
+    add_column :client_selections, :submitted_at, :datetime
+    
+    add_index :galleries, :selection_locked_at
+  end
+end
@@ -0,0 +1,18 @@
+class CreateComments < ActiveRecord::Migration[7.0]
+  def change
+    create_table :comments do |t|
+      t.references :image, null: false, foreign_key: true
+      t.references :client_selection, foreign_key: true
+      t.references :parent, foreign_key: { to_table: :comments }
+      t.string :author_name, null: false
+      t.text :body, null: false
+      t.boolean :photographer, default: false, null: false
+      t.datetime :resolved_at
+      
+      t.timestamps
+    end
+    
+    add_index :comments, [:image_id, :created_at]
+    add_index :comments, [:image_id, :resolved_at], where: 'parent_id IS NULL', name: 'index_comments_on_open_threads'
+  end
+end
@@ -0,0 +1,5 @@
+class AddLayoutToGalleries < ActiveRecord::Migration[7.0]
+  def change
+    add_column :galleries, :layout, :string, default: 'grid', null: false
+  end
+end
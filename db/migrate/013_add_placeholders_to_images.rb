@@ -0,0 +1,8 @@
+class AddPlaceholdersToImages < ActiveRecord::Migration[7.0]
+  def change
+    # Tiny blurred preview (a data: URI) and the photo's average colour,
+    # painted by the public grid while the thumbnail loads
+    add_column :images, :blur_placeholder, :text
+    add_column :images, :dominant_color, :string, limit: 7
+  end
+end
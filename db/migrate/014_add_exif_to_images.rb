@@ -0,0 +1,9 @@
+class AddExifToImages < ActiveRecord::Migration[7.0]
+  def change
+    add_column :images, :exif, :json, default: {}
+    add_column :images, :captured_at, :datetime
+    add_index :images, [:gallery_id, :captured_at]
+
+    add_column :galleries, :show_exif, :boolean, default: true, null: false
+  end
+end
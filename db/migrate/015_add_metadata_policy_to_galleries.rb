@@ -0,0 +1,6 @@
+class AddMetadataPolicyToGalleries < ActiveRecord::Migration[7.0]
+  def change
+    add_column :galleries, :metadata_policy, :string, default: 'strip_gps', null: false
+    add_column :images, :metadata_policy_applied, :string
+  end
+end
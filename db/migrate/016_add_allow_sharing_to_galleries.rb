@@ -0,0 +1,5 @@
+class AddAllowSharingToGalleries < ActiveRecord::Migration[7.0]
+  def change
+    add_column :galleries, :allow_sharing, :boolean, default: true, null: false
+  end
+end
@@ -0,0 +1,9 @@
+class AddProofingToGalleries < ActiveRecord::Migration[7.0]
+  def change
+    add_column :galleries, :protected_proofing, :boolean, default: false, null: false
+    add_column :galleries, :delivered, :boolean, default: false, null: false
+    add_column :galleries, :watermark_position, :string, default: 'bottom_right', null: false
+    add_column :galleries, :watermark_opacity, :integer, default: 50, null: false
+    add_column :images, :watermark_applied, :string
+  end
+end
@@ -0,0 +1,14 @@
+class CreateSections < ActiveRecord::Migration[7.0]
+  def change
+    create_table :sections do |t|
+      t.references :gallery, null: false, foreign_key: true
+      t.string :name, null: false
+      t.integer :position, default: 0, null: false
+      
+      t.timestamps
+    end
+    
+    add_index :sections, [:gallery_id, :position]
+    add_reference :images, :section, foreign_key: { on_delete: :nullify }
+  end
+end
@@ -0,0 +1,6 @@
+class AddDurationToImages < ActiveRecord::Migration[7.0]
+  def change
+    # Length in seconds of a video clip; nil for photos
+    add_column :images, :duration, :float
+  end
+end
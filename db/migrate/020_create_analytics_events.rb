@@ -0,0 +1,18 @@
+class CreateAnalyticsEvents < ActiveRecord::Migration[7.0]
+  def change
+    create_table :analytics_events do |t|
+      t.references :gallery, null: false, foreign_key: true, index: false
+      # Kept when the photo is deleted, so gallery totals don't change
+      t.references :image, foreign_key: { on_delete: :nullify }, index: false
+      t.string :action_type, null: false
+      t.string :visitor_digest
+      t.integer :dwell_ms
+      t.json :metadata, default: {}
+      
+      t.datetime :created_at, null: false
+    end
+    
+    add_index :analytics_events, [:gallery_id, :action_type, :created_at]
+    add_index :analytics_events, [:image_id, :action_type]
+  end
+end
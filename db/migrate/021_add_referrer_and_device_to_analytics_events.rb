@@ -0,0 +1,8 @@
+class AddReferrerAndDeviceToAnalyticsEvents < ActiveRecord::Migration[7.0]
+  def change
+    # Where a gallery visit came from (the linking site's host, nil when
+    # typed or bookmarked) and what it was on; only set on views
+    add_column :analytics_events, :referrer_host, :string
+    add_column :analytics_events, :device, :string
+  end
+end
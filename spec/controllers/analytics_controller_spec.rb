@@ -0,0 +1,82 @@
+require 'rails_helper'
+
+RSpec.describe AnalyticsController, type: :controller do
+  render_views
+
+  let(:photographer) { create(:photographer) }
+  let(:gallery) { create(:gallery, :published, photographer: photographer) }
+  let!(:glanced) { create(:image, gallery: gallery, processing_status: :completed, filename: 'glanced.jpg') }
+  let!(:lingered) { create(:image, gallery: gallery, processing_status: :completed, filename: 'lingered.jpg') }
+
+  before do
+    create(:analytics_event, :image_view, gallery: gallery, image: glanced)
+    create(:analytics_event, :image_dwell, gallery: gallery, image: glanced, dwell_ms: 1_000)
+    create(:analytics_event, :image_dwell, gallery: gallery, image: lingered, dwell_ms: 90_000)
+    create_list(:analytics_event, 2, :download, gallery: gallery, image: glanced)
+  end
+
+  describe "when logged in as a different photographer" do
+    before { sign_in(create(:photographer)) }
+
+    it "redirects away" do
+      get :show, params: { gallery_id: gallery.id }
+      expect(response).to redirect_to(galleries_path)
+    end
+  end
+
+  describe "when logged in as the gallery owner" do
+    before { sign_in(photographer) }
+
+    it "ranks photos by time viewed" do
+      get :show, params: { gallery_id: gallery.id }
+
+      expect(response).to have_http_status(:success)
+      expect(response.body.index('lingered.jpg')).to be < response.body.index('glanced.jpg')
+    end
+
+    it "ranks photos by downloads" do
+      get :show, params: { gallery_id: gallery.id, rank_by: 'downloads' }
+
+      expect(response.body.index('glanced.jpg')).to be < response.body.index('lingered.jpg')
+    end
+
+    describe "activity" do
+      before do
+        create(:analytics_event, gallery: gallery, visitor_digest: 'a', referrer_host: 'instagram.com', device: 'mobile')
+        create(:analytics_event, gallery: gallery, visitor_digest: 'a', device: 'mobile')
+        create(:analytics_event, gallery: gallery, visitor_digest: 'b', device: 'desktop', created_at: 3.days.ago)
+        create(:analytics_event, gallery: gallery, action_type: 'bulk_download', metadata: { image_count: 2 })
+        create(:analytics_event, gallery: gallery, visitor_digest: 'c', created_at: 60.days.ago)
+      end
+
+      it "charts the last 30 days with referrers and devices" do
+        get :show, params: { gallery_id: gallery.id }
+
+        expect(response.body).to include('Unique visitors', 'instagram.com', 'Direct link or bookmark')
+        expect(response.body.scan('class="analytics-chart-svg"').size).to eq(4)
+      end
+
+      it "exports views, visitors and downloads per day as CSV" do
+        get :show, params: { gallery_id: gallery.id }, format: :csv
+
+        expect(response.media_type).to eq('text/csv')
+        expect(response.headers['Content-Disposition']).to include('attachment')
+
+        rows = CSV.parse(response.body)
+        expect(rows.first).to eq(['Date', 'Views', 'Unique visitors', 'Downloads', 'Bulk downloads'])
+        expect(rows.size).to eq(31)
+        expect(rows.last).to eq([Time.zone.today.iso8601, '2', '1', '2', '1'])
+        expect(rows.sum { |row| row[1].to_i }).to eq(3)
+      end
+
+      it "exports weeks on request" do
+        get :show, params: { gallery_id: gallery.id, interval: 'weekly' }, format: :csv
+
+        rows = CSV.parse(response.body)
+        expect(rows.first.first).to eq('Week starting')
+        expect(rows.size).to eq(13)
+        expect(rows.last.first).to eq(Time.zone.today.beginning_of_week(:monday).iso8601)
+      end
+    end
+  end
+end
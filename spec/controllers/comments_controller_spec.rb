@@ -0,0 +1,80 @@
+require 'rails_helper'
+
+RSpec.describe CommentsController, type: :controller do
+  let(:photographer) { create(:photographer) }
+  let(:gallery) { create(:gallery, :published, photographer: photographer) }
+  let(:selection) { create(:client_selection, gallery: gallery) }
+  let!(:thread) { create(:comment, client_selection: selection) }
+
+  def json_response
+    JSON.parse(response.body)
+  end
+
+  describe "when not logged in" do
+    it "redirects to login" do
+      get :index, params: { gallery_id: gallery.id }, format: :json
+      expect(response).not_to have_http_status(:success)
+    end
+  end
+
+  describe "when logged in as a different photographer" do
+    before { sign_in(create(:photographer)) }
+
+    it "does not expose the comments" do
+      get :index, params: { gallery_id: gallery.id }, format: :json
+      expect(response).to have_http_status(:not_found)
+    end
+  end
+
+  describe "when logged in as the gallery owner" do
+    before { sign_in(photographer) }
+
+    describe "GET #index" do
+      it "lists open threads with unresolved counts" do
+        get :index, params: { gallery_id: gallery.id }, format: :json
+
+        expect(json_response['comments'].map { |c| c['id'] }).to eq([thread.id])
+        expect(json_response['unresolved_counts']).to eq(thread.image_id.to_s => 1)
+        expect(json_response['latest_comment_id']).to eq(thread.id)
+      end
+
+      it "includes resolved threads when filtering by image" do
+        thread.resolve!
+        get :index, params: { gallery_id: gallery.id, image_id: thread.image_id }, format: :json
+
+        expect(json_response['comments'].size).to eq(1)
+      end
+    end
+
+    describe "POST #create" do
+      it "replies to a thread as the photographer" do
+        post :create, params: { gallery_id: gallery.id, parent_id: thread.id, body: 'Will do' }, format: :json
+
+        expect(response).to have_http_status(:created)
+        reply = thread.replies.last
+        expect(reply).to be_photographer
+        expect(reply.author_name).to eq(photographer.name)
+      end
+
+      it "rejects threads from other galleries" do
+        other_thread = create(:comment)
+        post :create, params: { gallery_id: gallery.id, parent_id: other_thread.id, body: 'Hi' }, format: :json
+
+        expect(response).to have_http_status(:not_found)
+      end
+    end
+
+    describe "PATCH #update" do
+      it "resolves a thread" do
+        patch :update, params: { gallery_id: gallery.id, id: thread.id, resolved: true }, format: :json
+        expect(thread.reload).to be_resolved
+      end
+
+      it "reopens a thread" do
+        thread.resolve!
+        patch :update, params: { gallery_id: gallery.id, id: thread.id, resolved: false }, format: :json
+        expect(thread.reload).not_to be_resolved
+      end
+    end
+  end
+end
@@ -90,6 +90,17 @@ RSpec.describe ImagesController, type: :controller do
         expect(image.format).to eq('jpeg')
       end
 
+      it "keeps the shooting details read before sanitizing strips them" do
+        allow_any_instance_of(ExifExtractor).to receive(:extract)
+          .and_return(exif: { camera: 'Canon EOS R5' }, captured_at: Time.zone.parse('2024-06-01 10:00'))
+
+        post :create, params: valid_params
+        image = assigns(:image)
+
+        expect(image.exif).to eq('camera' => 'Canon EOS R5')
+        expect(image.captured_at).to eq(Time.zone.parse('2024-06-01 10:00'))
+      end
+
       it "sets appropriate position" do
         create(:image, gallery: gallery, position: 1)
         create(:image, gallery: gallery, position: 2)
@@ -504,6 +515,33 @@ RSpec.describe ImagesController, type: :controller do
         
         expect(response).to have_http_status(:forbidden)
       end
+
+      it "moves images between sections" do
+        ceremony = create(:section, gallery: gallery, name: 'Ceremony')
+        reception = create(:section, gallery: gallery, name: 'Reception')
+        
+        patch :reorder, params: {
+          gallery_id: gallery.id,
+          image_ids: images.map(&:id),
+          section_ids: ['', ceremony.id, reception.id, reception.id]
+        }
+        
+        expect(images.map { |image| image.reload.section }).to eq([nil, ceremony, reception, reception])
+        expect(gallery.images.ordered.map(&:id)).to eq(images.map(&:id))
+      end
+
+      it "rejects sections from other galleries" do
+        other_section = create(:section, gallery: other_gallery)
+        
+        patch :reorder, params: {
+          gallery_id: gallery.id,
+          image_ids: images.map(&:id),
+          section_ids: [other_section.id, '', '', '']
+        }
+        
+        expect(response).to have_http_status(:not_found)
+        expect(images.first.reload.section).to be_nil
+      end
     end
   end
 
@@ -0,0 +1,51 @@
+require 'rails_helper'
+
+RSpec.describe PublicAnalyticsController, type: :controller do
+  let(:gallery) { create(:gallery, :published) }
+  let(:password_protected_gallery) { create(:gallery, :published, :password_protected) }
+  let!(:image) { create(:image, gallery: gallery, processing_status: :completed) }
+
+  describe "POST #create" do
+    before { freeze_time }
+
+    it "queues the lightbox events for the gallery's photos" do
+      events = [{ type: 'view', image_id: image.id }, { type: 'dwell', image_id: image.id, ms: 4200 }]
+
+      expect {
+        post :create, params: { slug: gallery.slug, events: events }, as: :json
+      }.to have_enqueued_job(GalleryAnalyticsJob).with(
+        gallery.id, 'image_events', anything,
+        events: [{ type: 'view', image_id: image.id }, { type: 'dwell', image_id: image.id, ms: 4200 }],
+        recorded_at: Time.current
+      )
+
+      expect(response).to have_http_status(:no_content)
+    end
+
+    it "drops events for photos in other galleries and unknown types" do
+      other_image = create(:image, processing_status: :completed)
+      events = [{ type: 'view', image_id: other_image.id }, { type: 'download', image_id: image.id }]
+
+      expect {
+        post :create, params: { slug: gallery.slug, events: events }, as: :json
+      }.not_to have_enqueued_job(GalleryAnalyticsJob)
+    end
+
+    it "caps dwell times" do
+      events = [{ type: 'dwell', image_id: image.id, ms: 3_600_000 }]
+
+      expect {
+        post :create, params: { slug: gallery.slug, events: events }, as: :json
+      }.to have_enqueued_job(GalleryAnalyticsJob).with(
+        gallery.id, 'image_events', anything,
+        events: [{ type: 'dwell', image_id: image.id, ms: AnalyticsEvent::MAX_DWELL_MS }],
+        recorded_at: Time.current
+      )
+    end
+
+    it "requires gallery authentication for password protected galleries" do
+      post :create, params: { slug: password_protected_gallery.slug, events: [] }, as: :json
+      expect(response).to have_http_status(:unauthorized)
+    end
+  end
+end
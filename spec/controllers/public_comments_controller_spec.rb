@@ -0,0 +1,66 @@
+require 'rails_helper'
+
+RSpec.describe PublicCommentsController, type: :controller do
+  let(:gallery) { create(:gallery, :published) }
+  let!(:image) { create(:image, gallery: gallery, processing_status: :completed) }
+  let(:other_guest) { create(:client_selection, gallery: gallery, guest_name: 'Ben') }
+  let!(:other_thread) { create(:comment, client_selection: other_guest, image: image, body: 'Crop me out') }
+
+  def json_response
+    JSON.parse(response.body)
+  end
+
+  def start_selection(guest_name = 'Anna')
+    selection = gallery.client_selections.create!(guest_name: guest_name)
+    session["gallery_#{gallery.id}_selection_token"] = selection.token
+    selection
+  end
+
+  describe "GET #index" do
+    it "shows a visitor without a name no threads" do
+      get :index, params: { slug: gallery.slug, image_id: image.id }, format: :json
+
+      expect(json_response['comments']).to be_empty
+    end
+
+    it "shows the visitor only their own threads" do
+      selection = start_selection
+      own_thread = create(:comment, client_selection: selection, image: image)
+
+      get :index, params: { slug: gallery.slug, image_id: image.id }, format: :json
+
+      expect(json_response['comments'].map { |thread| thread['id'] }).to eq([own_thread.id])
+    end
+  end
+
+  describe "POST #create" do
+    let!(:selection) { start_selection }
+
+    it "starts a thread under the visitor's name" do
+      expect {
+        post :create, params: { slug: gallery.slug, image_id: image.id, body: 'Brighter please' }, format: :json
+      }.to change(Comment, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+      expect(json_response['comment']['author_name']).to eq('Anna')
+    end
+
+    it "replies to the visitor's own thread" do
+      thread = create(:comment, client_selection: selection, image: image)
+
+      post :create, params: { slug: gallery.slug, image_id: image.id, parent_id: thread.id, body: 'Thanks' }, format: :json
+
+      expect(response).to have_http_status(:created)
+      expect(thread.replies.count).to eq(1)
+    end
+
+    it "does not reply under another guest's thread" do
+      expect {
+        post :create, params: { slug: gallery.slug, image_id: image.id, parent_id: other_thread.id, body: 'Me too' },
+                      format: :json
+      }.not_to change(Comment, :count)
+
+      expect(response).to have_http_status(:not_found)
+    end
+  end
+end
@@ -44,12 +44,206 @@ RSpec.describe PublicGalleriesController, type: :controller do
         expect(images).to eq([image2, image1, image3])
       end
 
+      it "includes image dimensions for the layout engine" do
+        create(:image, gallery: published_gallery, processing_status: :completed, width: 4000, height: 6000)
+        
+        get :show, params: { slug: published_gallery.slug }, format: :json
+        image_data = JSON.parse(response.body)['images'].first
+        
+        expect(image_data).to include('width' => 4000, 'height' => 6000)
+      end
+
+      it "includes the blurred placeholder and dominant color" do
+        create(:image, gallery: published_gallery, processing_status: :completed,
+               blur_placeholder: 'data:image/webp;base64,UklGRg==', dominant_color: '#8a7f70')
+        
+        get :show, params: { slug: published_gallery.slug }, format: :json
+        image_data = JSON.parse(response.body)['images'].first
+        
+        expect(image_data).to include('placeholder' => 'data:image/webp;base64,UklGRg==', 'dominant_color' => '#8a7f70')
+      end
+
+      it "includes the alt text and caption the lightbox announces" do
+        create(:image, gallery: published_gallery, processing_status: :completed,
+               alt_text: 'The first dance', caption: 'Taken just after sunset')
+
+        get :show, params: { slug: published_gallery.slug }, format: :json
+        image_data = JSON.parse(response.body)['images'].first
+
+        expect(image_data).to include('alt_text' => 'The first dance', 'caption' => 'Taken just after sunset')
+      end
+
+      it "includes a zoom URL signed for the image" do
+        image = create(:image, gallery: published_gallery, processing_status: :completed)
+
+        get :show, params: { slug: published_gallery.slug }, format: :json
+        zoom_url = JSON.parse(response.body)['images'].first['zoom_url']
+        token = Rack::Utils.parse_query(URI(zoom_url).query)['zoom']
+
+        expect(Image.find_signed(token, purpose: :zoom)).to eq(image)
+      end
+
+      it "includes camera details" do
+        create(:image, gallery: published_gallery, processing_status: :completed,
+               exif: { 'camera' => 'Canon EOS R5', 'aperture' => 2.8, 'iso' => 400 })
+        
+        get :show, params: { slug: published_gallery.slug }, format: :json
+        image_data = JSON.parse(response.body)['images'].first
+        
+        expect(image_data['exif']).to include('camera' => 'Canon EOS R5', 'aperture' => 'ƒ/2.8', 'iso' => 'ISO 400')
+      end
+
+      it "leaves camera details out when the gallery hides them" do
+        published_gallery.update!(show_exif: false)
+        create(:image, gallery: published_gallery, processing_status: :completed,
+               exif: { 'camera' => 'Canon EOS R5' })
+        
+        get :show, params: { slug: published_gallery.slug }, format: :json
+        image_data = JSON.parse(response.body)['images'].first
+        
+        expect(image_data).not_to have_key('exif')
+      end
+
+      it "includes the capture day for the search even when camera details are hidden" do
+        published_gallery.update!(show_exif: false)
+        create(:image, gallery: published_gallery, processing_status: :completed,
+               captured_at: Time.zone.local(2024, 6, 1, 21, 30))
+        
+        get :show, params: { slug: published_gallery.slug }, format: :json
+        image_data = JSON.parse(response.body)['images'].first
+        
+        expect(image_data).to include('captured_on' => '2024-06-01')
+      end
+
+      it "bounds the search's date range by the photos' capture days" do
+        create(:image, gallery: published_gallery, processing_status: :completed, captured_at: Time.zone.local(2024, 6, 1, 14))
+        create(:image, gallery: published_gallery, processing_status: :completed, captured_at: Time.zone.local(2024, 6, 2, 1))
+        
+        get :show, params: { slug: published_gallery.slug }
+        
+        expect(assigns(:capture_days)).to eq(Date.new(2024, 6, 1)..Date.new(2024, 6, 2))
+        expect(assigns(:total_images)).to eq(2)
+      end
+
+      it "lists only the sections with photos to show" do
+        ceremony = create(:section, gallery: published_gallery, name: 'Ceremony')
+        create(:section, gallery: published_gallery, name: 'Reception')
+        image = create(:image, gallery: published_gallery, processing_status: :completed, section: ceremony)
+        
+        get :show, params: { slug: published_gallery.slug }
+        
+        expect(assigns(:sections)).to eq([ceremony])
+        expect(assigns(:images_data).first).to include(id: image.id, section_id: ceremony.id)
+      end
+
+      it "marks video clips with their length and where they play from" do
+        clip = create(:image, gallery: published_gallery, processing_status: :completed,
+                              filename: 'toast.mp4', content_type: 'video/mp4', duration: 42)
+        clip.web_video.attach(io: StringIO.new('clip'), filename: 'toast.mp4', content_type: 'video/mp4')
+        attach_file_to_record(clip, :poster)
+        
+        get :show, params: { slug: published_gallery.slug }, format: :json
+        image_data = JSON.parse(response.body)['images'].first
+        
+        expect(image_data).to include('video' => true, 'duration_label' => '0:42')
+        expect(image_data['video_url']).to include('toast.mp4')
+      end
+
+      it "skips photos whose watermarked copy isn't made yet while proofing" do
+        allow_any_instance_of(Gallery).to receive(:watermark_fingerprint).and_return('checksum:center:50')
+        create(:image, gallery: published_gallery, processing_status: :completed)
+
+        get :show, params: { slug: published_gallery.slug }, format: :json
+
+        expect(response).to have_http_status(:success)
+        expect(JSON.parse(response.body)['images']).to be_empty
+      end
+
+      it "fills pages and counts with photos that have something to show" do
+        allow_any_instance_of(Gallery).to receive(:watermark_fingerprint).and_return('checksum:center:50')
+        create(:image, gallery: published_gallery, processing_status: :completed, position: 1)
+        watermarked = (2..3).map do |position|
+          create(:image, gallery: published_gallery, processing_status: :completed, position: position).tap do |image|
+            attach_file_to_record(image, :watermarked_file)
+          end
+        end
+
+        get :show, params: { slug: published_gallery.slug, limit: 2 }, format: :json
+        data = JSON.parse(response.body)
+
+        expect(data['images'].map { |image| image['id'] }).to eq(watermarked.map(&:id))
+        expect(data['next_cursor']).to be_nil
+        expect(data['total_count']).to eq(2)
+      end
+
+      it "leaves out clips until their poster frame is made" do
+        create(:image, gallery: published_gallery, processing_status: :completed,
+                       filename: 'toast.mp4', content_type: 'video/mp4')
+        photo = create(:image, gallery: published_gallery, processing_status: :completed)
+
+        get :show, params: { slug: published_gallery.slug }, format: :json
+        data = JSON.parse(response.body)
+
+        expect(data['images'].map { |image| image['id'] }).to eq([photo.id])
+        expect(data['total_count']).to eq(1)
+      end
+
       it "increments view count" do
         expect {
           get :show, params: { slug: published_gallery.slug }
         }.to change { published_gallery.reload.views_count }.by(1)
       end
 
+      context "paging the JSON grid" do
+        let!(:images) do
+          (1..5).map { |position| create(:image, gallery: published_gallery, processing_status: :completed, position: position) }
+        end
+
+        it "returns a page with a cursor for the next one" do
+          get :show, params: { slug: published_gallery.slug, limit: 2 }, format: :json
+          data = JSON.parse(response.body)
+
+          expect(data['images'].map { |image| image['id'] }).to eq(images.first(2).map(&:id))
+          expect(data['next_cursor']).to be_present
+          expect(data['total_count']).to eq(5)
+        end
+
+        it "continues after the cursor" do
+          get :show, params: { slug: published_gallery.slug, limit: 2 }, format: :json
+          cursor = JSON.parse(response.body)['next_cursor']
+
+          get :show, params: { slug: published_gallery.slug, limit: 3, cursor: cursor }, format: :json
+          data = JSON.parse(response.body)
+
+          expect(data['images'].map { |image| image['id'] }).to eq(images.last(3).map(&:id))
+          expect(data['next_cursor']).to be_nil
+        end
+
+        it "stretches the first page to include a deep-linked photo" do
+          get :show, params: { slug: published_gallery.slug, limit: 2, photo: images[3].id }, format: :json
+
+          expect(JSON.parse(response.body)['images'].size).to eq(4)
+        end
+
+        it "rejects a malformed cursor" do
+          get :show, params: { slug: published_gallery.slug, cursor: 'nope' }, format: :json
+
+          expect(response).to have_http_status(:bad_request)
+        end
+
+        it "sends a malformed cursor on the page back to the first page" do
+          get :show, params: { slug: published_gallery.slug, cursor: 'nope' }
+
+          expect(response).to redirect_to(public_gallery_path(published_gallery.slug))
+        end
+
+        it "does not count further pages as views" do
+          expect {
+            get :show, params: { slug: published_gallery.slug, cursor: "1-#{images.first.id}" }, format: :json
+          }.not_to have_enqueued_job(GalleryAnalyticsJob)
+        end
+      end
+
       it "logs gallery view" do
         expect(SecurityAuditLogger).to receive(:log).with(
           event_type: 'gallery_viewed',
@@ -61,9 +255,20 @@ RSpec.describe PublicGalleriesController, type: :controller do
         get :show, params: { slug: published_gallery.slug }
       end
 
+      it "counts the view with where it came from and the device" do
+        request.headers['Referer'] = 'https://www.instagram.com/p/abc'
+        request.headers['User-Agent'] = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148'
+
+        expect {
+          get :show, params: { slug: published_gallery.slug }
+        }.to have_enqueued_job(GalleryAnalyticsJob).with(
+          published_gallery.id, 'view', '0.0.0.0', referrer_host: 'instagram.com', device: 'mobile'
+        )
+      end
+
       it "sets cache headers for performance" do
         get :show, params: { slug: published_gallery.slug }
-        
+
         expect(response.headers['Cache-Control']).to be_present
         expect(response.headers['ETag']).to be_present
       end
@@ -286,6 +491,26 @@ RSpec.describe PublicGalleriesController, type: :controller do
         expect(response).to redirect_to(public_gallery_path(password_protected_gallery.slug))
       end
 
+      it "returns to the deep-linked photo" do
+        post :authenticate, params: { 
+          slug: password_protected_gallery.slug, 
+          password: correct_password,
+          photo: '42'
+        }
+        
+        expect(response).to redirect_to(public_gallery_path(password_protected_gallery.slug, photo: 42))
+      end
+
+      it "ignores an invalid photo parameter" do
+        post :authenticate, params: { 
+          slug: password_protected_gallery.slug, 
+          password: correct_password,
+          photo: 'javascript:alert(1)'
+        }
+        
+        expect(response).to redirect_to(public_gallery_path(password_protected_gallery.slug))
+      end
+
       it "sets success flash message" do
         post :authenticate, params: { 
           slug: password_protected_gallery.slug, 
@@ -442,6 +667,246 @@ RSpec.describe PublicGalleriesController, type: :controller do
     end
   end
 
+  describe "GET #download" do
+    let(:image) do
+      create(:image, gallery: published_gallery, processing_status: :completed,
+             metadata_policy_applied: published_gallery.metadata_policy)
+    end
+
+    before do
+      allow_any_instance_of(Image).to receive(:download_url).and_return('/rails/active_storage/original.jpg')
+    end
+
+    it "logs the download" do
+      expect {
+        get :download, params: { slug: published_gallery.slug, image_id: image.id }
+      }.to have_enqueued_job(GalleryAnalyticsJob).with(
+        published_gallery.id, 'download', '0.0.0.0', image_id: image.id
+      )
+    end
+
+    it "does not count originals loaded for lightbox zoom" do
+      token = image.signed_id(purpose: :zoom)
+
+      expect {
+        get :download, params: { slug: published_gallery.slug, image_id: image.id, zoom: token }
+      }.not_to have_enqueued_job(GalleryAnalyticsJob)
+    end
+
+    it "does not count files fetched for a client-side ZIP again" do
+      token = image.signed_id(purpose: :bulk_download)
+
+      expect {
+        get :download, params: { slug: published_gallery.slug, image_id: image.id, bulk: token }
+      }.not_to have_enqueued_job(GalleryAnalyticsJob)
+    end
+
+    it "counts a download flagged as a zoom without a token" do
+      expect {
+        get :download, params: { slug: published_gallery.slug, image_id: image.id, zoom: 1 }
+      }.to have_enqueued_job(GalleryAnalyticsJob)
+    end
+
+    it "counts a download whose bulk token was issued for another image" do
+      other_token = create(:image, gallery: published_gallery).signed_id(purpose: :bulk_download)
+
+      expect {
+        get :download, params: { slug: published_gallery.slug, image_id: image.id, bulk: other_token }
+      }.to have_enqueued_job(GalleryAnalyticsJob)
+    end
+
+    it "counts a download once its bulk token has expired" do
+      token = image.signed_id(expires_in: 1.hour, purpose: :bulk_download)
+
+      travel 2.hours do
+        expect {
+          get :download, params: { slug: published_gallery.slug, image_id: image.id, bulk: token }
+        }.to have_enqueued_job(GalleryAnalyticsJob)
+      end
+    end
+
+    it "serves the copy already prepared under the gallery's policy" do
+      get :download, params: { slug: published_gallery.slug, image_id: image.id }
+      expect(response).to redirect_to('/rails/active_storage/original.jpg')
+    end
+
+    it "asks to retry while the processing job has not caught up with the policy" do
+      image.update_column(:metadata_policy_applied, nil)
+      expect_any_instance_of(Image).not_to receive(:download_url)
+
+      get :download, params: { slug: published_gallery.slug, image_id: image.id }, format: :json
+
+      expect(response).to have_http_status(:conflict)
+      expect(response.headers['Retry-After']).to eq('60')
+    end
+
+    it "sends a visitor back to the gallery while the watermarked copy is made" do
+      allow_any_instance_of(Gallery).to receive(:watermark_fingerprint).and_return('checksum:center:50')
+      expect_any_instance_of(Image).not_to receive(:download_url)
+
+      get :download, params: { slug: published_gallery.slug, image_id: image.id }
+
+      expect(response).to redirect_to(public_gallery_path(published_gallery.slug))
+      expect(flash[:alert]).to include('still being prepared')
+    end
+
+    it "requires gallery authentication for password protected galleries" do
+      protected_image = create(:image, gallery: password_protected_gallery, processing_status: :completed)
+      expect_any_instance_of(Image).not_to receive(:download_url)
+
+      get :download, params: { slug: password_protected_gallery.slug, image_id: protected_image.id }
+    end
+  end
+
+  describe "GET #download_all" do
+    let!(:images) do
+      create_list(:image, 3, gallery: published_gallery, processing_status: :completed,
+                  metadata_policy_applied: published_gallery.metadata_policy)
+    end
+
+    context "with a published gallery" do
+      it "streams a ZIP archive of the originals" do
+        get :download_all, params: { slug: published_gallery.slug }
+
+        expect(response).to have_http_status(:success)
+        expect(response.headers['Content-Type']).to eq('application/zip')
+        expect(response.headers['Content-Disposition']).to include("#{published_gallery.slug}.zip")
+      end
+
+      it "lists download URLs in JSON" do
+        get :download_all, params: { slug: published_gallery.slug }, format: :json
+
+        downloads = JSON.parse(response.body)['downloads']
+        expect(downloads.map { |d| d['filename'] }).to match_array(images.map(&:filename))
+        bulk_tokens = downloads.map { |d| Rack::Utils.parse_query(URI(d['url']).query)['bulk'] }
+        expect(bulk_tokens.map { |token| Image.find_signed(token, purpose: :bulk_download) }).to match_array(images)
+      end
+
+      it "limits the archive to the requested images" do
+        get :download_all, params: { slug: published_gallery.slug, image_ids: [images.first.id] }, format: :json
+
+        downloads = JSON.parse(response.body)['downloads']
+        expect(downloads.map { |d| d['filename'] }).to eq([images.first.filename])
+      end
+
+      it "accepts a comma-separated list of image IDs" do
+        ids = images.first(2).map(&:id).join(',')
+        get :download_all, params: { slug: published_gallery.slug, image_ids: ids }, format: :json
+
+        expect(JSON.parse(response.body)['downloads'].size).to eq(2)
+      end
+
+      it "ignores images from other galleries" do
+        other_image = create(:image, processing_status: :completed)
+        get :download_all, params: { slug: published_gallery.slug, image_ids: [other_image.id] }, format: :json
+
+        expect(response).to have_http_status(:not_found)
+      end
+
+      it "logs the bulk download with the archived image count" do
+        expect {
+          get :download_all, params: { slug: published_gallery.slug, image_ids: images.first(2).map(&:id) }
+        }.to have_enqueued_job(GalleryAnalyticsJob).with(
+          published_gallery.id, 'bulk_download', '0.0.0.0', image_count: 2
+        )
+      end
+
+      it "asks to retry while any photo is still being prepared" do
+        images.last.update_column(:metadata_policy_applied, nil)
+
+        expect {
+          get :download_all, params: { slug: published_gallery.slug }, format: :json
+        }.not_to have_enqueued_job(GalleryAnalyticsJob)
+        expect(response).to have_http_status(:conflict)
+      end
+    end
+
+    context "when downloads are disabled" do
+      before { published_gallery.update_column(:allow_downloads, false) }
+
+      it "redirects back to the gallery" do
+        get :download_all, params: { slug: published_gallery.slug }
+        expect(response).to redirect_to(public_gallery_path(published_gallery.slug))
+      end
+
+      it "returns forbidden for JSON requests" do
+        get :download_all, params: { slug: published_gallery.slug }, format: :json
+        expect(response).to have_http_status(:forbidden)
+      end
+
+      it "does not log a bulk download" do
+        expect {
+          get :download_all, params: { slug: published_gallery.slug }
+        }.not_to have_enqueued_job(GalleryAnalyticsJob)
+      end
+    end
+
+    context "with password protected gallery" do
+      before do
+        create(:image, gallery: password_protected_gallery, processing_status: :completed,
+               metadata_policy_applied: password_protected_gallery.metadata_policy)
+      end
+
+      it "requires gallery authentication" do
+        get :download_all, params: { slug: password_protected_gallery.slug }
+        expect(response).to have_http_status(:unauthorized)
+      end
+
+      it "streams the archive once authenticated" do
+        authenticate_to_gallery(password_protected_gallery)
+        get :download_all, params: { slug: password_protected_gallery.slug }
+
+        expect(response.headers['Content-Type']).to eq('application/zip')
+      end
+    end
+
+    context "with expired gallery" do
+      it "does not serve the archive" do
+        get :download_all, params: { slug: expired_gallery.slug }
+        expect(response.headers['Content-Type']).not_to eq('application/zip')
+      end
+    end
+  end
+
+  describe "POST #share" do
+    let(:image) { create(:image, gallery: published_gallery, processing_status: :completed) }
+
+    it "logs the share with how the photo was shared" do
+      expect {
+        post :share, params: { slug: published_gallery.slug, image_id: image.id, share_method: 'copy' }, format: :json
+      }.to have_enqueued_job(GalleryAnalyticsJob).with(
+        published_gallery.id, 'share', '0.0.0.0', image_id: image.id, share_method: 'copy'
+      )
+      expect(response).to have_http_status(:no_content)
+    end
+
+    it "records unknown share methods as a shared link" do
+      expect {
+        post :share, params: { slug: published_gallery.slug, image_id: image.id, share_method: 'carrier-pigeon' }, format: :json
+      }.to have_enqueued_job(GalleryAnalyticsJob).with(
+        published_gallery.id, 'share', '0.0.0.0', image_id: image.id, share_method: 'link'
+      )
+    end
+
+    it "ignores images from other galleries" do
+      other_image = create(:image, processing_status: :completed)
+      post :share, params: { slug: published_gallery.slug, image_id: other_image.id }, format: :json
+
+      expect(response).to have_http_status(:not_found)
+    end
+
+    context "when sharing is disabled" do
+      before { published_gallery.update_column(:allow_sharing, false) }
+
+      it "returns forbidden without logging a share" do
+        expect {
+          post :share, params: { slug: published_gallery.slug, image_id: image.id }, format: :json
+        }.not_to have_enqueued_job(GalleryAnalyticsJob)
+        expect(response).to have_http_status(:forbidden)
+      end
+    end
+  end
+
   describe "security features" do
     describe "rate limiting" do
       before do
@@ -0,0 +1,174 @@
+require 'rails_helper'
+
+RSpec.describe PublicSelectionsController, type: :controller do
+  let(:gallery) { create(:gallery, :published) }
+  let(:password_protected_gallery) { create(:gallery, :published, :password_protected) }
+  let!(:image) { create(:image, gallery: gallery, processing_status: :completed) }
+
+  def json_response
+    JSON.parse(response.body)
+  end
+
+  describe "GET #show" do
+    it "returns no selection for a new visitor" do
+      get :show, params: { slug: gallery.slug }, format: :json
+
+      expect(response).to have_http_status(:success)
+      expect(json_response['selection']).to be_nil
+    end
+  end
+
+  describe "POST #create" do
+    it "starts a named selection" do
+      expect {
+        post :create, params: { slug: gallery.slug, guest_name: 'Anna' }, format: :json
+      }.to change(gallery.client_selections, :count).by(1)
+
+      expect(json_response['selection']['guest_name']).to eq('Anna')
+    end
+
+    it "renames the existing selection for the same visitor" do
+      post :create, params: { slug: gallery.slug, guest_name: 'Anna' }, format: :json
+
+      expect {
+        post :create, params: { slug: gallery.slug, guest_name: 'Anna Smith' }, format: :json
+      }.not_to change(ClientSelection, :count)
+
+      expect(gallery.client_selections.last.guest_name).to eq('Anna Smith')
+    end
+
+    it "requires a guest name" do
+      post :create, params: { slug: gallery.slug, guest_name: '' }, format: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(json_response['status']).to eq('error')
+    end
+
+    it "requires gallery authentication for password protected galleries" do
+      post :create, params: { slug: password_protected_gallery.slug, guest_name: 'Anna' }, format: :json
+      expect(response).to have_http_status(:unauthorized)
+    end
+  end
+
+  describe "favorites" do
+    context "without a guest name" do
+      it "asks for a name first" do
+        post :favorite, params: { slug: gallery.slug, image_id: image.id }, format: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(Favorite.count).to eq(0)
+      end
+    end
+
+    context "with a guest name" do
+      before { post :create, params: { slug: gallery.slug, guest_name: 'Anna' }, format: :json }
+
+      it "adds a favorite" do
+        post :favorite, params: { slug: gallery.slug, image_id: image.id }, format: :json
+
+        expect(json_response['selection']['image_ids']).to eq([image.id])
+      end
+
+      it "is idempotent" do
+        2.times { post :favorite, params: { slug: gallery.slug, image_id: image.id }, format: :json }
+
+        expect(response).to have_http_status(:success)
+        expect(Favorite.count).to eq(1)
+      end
+
+      it "treats a favorite saved by a concurrent request as added" do
+        allow_any_instance_of(Favorite).to receive(:save).and_raise(ActiveRecord::RecordNotUnique)
+
+        post :favorite, params: { slug: gallery.slug, image_id: image.id }, format: :json
+
+        expect(response).to have_http_status(:success)
+        expect(json_response['status']).to eq('success')
+      end
+
+      it "removes a favorite" do
+        post :favorite, params: { slug: gallery.slug, image_id: image.id }, format: :json
+        delete :unfavorite, params: { slug: gallery.slug, image_id: image.id }, format: :json
+
+        expect(json_response['selection']['image_ids']).to be_empty
+      end
+
+      it "rejects images from other galleries" do
+        other_image = create(:image, processing_status: :completed)
+        post :favorite, params: { slug: gallery.slug, image_id: other_image.id }, format: :json
+
+        expect(response).to have_http_status(:not_found)
+      end
+    end
+  end
+
+  describe "POST #submit" do
+    before do
+      post :create, params: { slug: gallery.slug, guest_name: 'Anna' }, format: :json
+    end
+
+    it "requires at least one favorite" do
+      post :submit, params: { slug: gallery.slug }, format: :json
+      expect(response).to have_http_status(:unprocessable_entity)
+    end
+
+    context "with favorites" do
+      before { post :favorite, params: { slug: gallery.slug, image_id: image.id }, format: :json }
+
+      it "locks the selection" do
+        post :submit, params: { slug: gallery.slug }, format: :json
+
+        expect(json_response['selection']['submitted_at']).to be_present
+      end
+
+      it "leaves other visitors choosing" do
+        post :submit, params: { slug: gallery.slug }, format: :json
+        session.delete("gallery_#{gallery.id}_selection_token")
+
+        post :create, params: { slug: gallery.slug, guest_name: 'Ben' }, format: :json
+        post :favorite, params: { slug: gallery.slug, image_id: image.id }, format: :json
+
+        expect(response).to have_http_status(:success)
+        expect(gallery.reload).not_to be_selection_locked
+      end
+
+      it "notifies the photographer" do
+        expect {
+          post :submit, params: { slug: gallery.slug }, format: :json
+        }.to have_enqueued_mail(PhotographerMailer, :selection_submitted)
+      end
+
+      it "rejects every visitor's changes once the photographer closes selections" do
+        gallery.update!(selection_locked: true)
+        delete :unfavorite, params: { slug: gallery.slug, image_id: image.id }, format: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(json_response['errors']).to include('The photographer has closed selections for this gallery')
+      end
+
+      it "rejects changes afterwards" do
+        post :submit, params: { slug: gallery.slug }, format: :json
+        delete :unfavorite, params: { slug: gallery.slug, image_id: image.id }, format: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(Favorite.count).to eq(1)
+      end
+    end
+  end
+
+  describe "selection limits" do
+    let!(:other_image) { create(:image, gallery: gallery, processing_status: :completed) }
+
+    before do
+      gallery.update!(selection_limit: 1, allow_extra_selections: false)
+      post :create, params: { slug: gallery.slug, guest_name: 'Anna' }, format: :json
+      post :favorite, params: { slug: gallery.slug, image_id: image.id }, format: :json
+    end
+
+    it "blocks picks beyond the limit" do
+      post :favorite, params: { slug: gallery.slug, image_id: other_image.id }, format: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(json_response['errors']).to include('You can choose up to 1 image')
+    end
+  end
+end
@@ -0,0 +1,82 @@
+require 'rails_helper'
+
+RSpec.describe SectionsController, type: :controller do
+  let(:photographer) { create(:photographer) }
+  let(:gallery) { create(:gallery, photographer: photographer) }
+  let!(:ceremony) { create(:section, gallery: gallery, name: 'Ceremony') }
+  let!(:reception) { create(:section, gallery: gallery, name: 'Reception') }
+
+  def json_response
+    JSON.parse(response.body)
+  end
+
+  describe "when logged in as a different photographer" do
+    before { sign_in(create(:photographer)) }
+
+    it "does not touch the sections" do
+      patch :update, params: { gallery_id: gallery.id, id: ceremony.id, section: { name: 'Vows' } }, format: :json
+
+      expect(response).to have_http_status(:not_found)
+      expect(ceremony.reload.name).to eq('Ceremony')
+    end
+  end
+
+  describe "when logged in as the gallery owner" do
+    before { sign_in(photographer) }
+
+    describe "POST #create" do
+      it "adds a section at the end" do
+        post :create, params: { gallery_id: gallery.id, section: { name: 'Portraits' } }, format: :json
+
+        expect(response).to have_http_status(:created)
+        expect(gallery.sections.ordered.last.name).to eq('Portraits')
+        expect(json_response['section']['name']).to eq('Portraits')
+      end
+
+      it "rejects a blank name" do
+        post :create, params: { gallery_id: gallery.id, section: { name: '' } }, format: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(json_response['status']).to eq('error')
+      end
+    end
+
+    describe "PATCH #update" do
+      it "renames the section" do
+        patch :update, params: { gallery_id: gallery.id, id: ceremony.id, section: { name: 'Vows' } }, format: :json
+
+        expect(ceremony.reload.name).to eq('Vows')
+      end
+    end
+
+    describe "DELETE #destroy" do
+      it "moves the photos to the section before" do
+        image = create(:image, gallery: gallery, section: reception)
+        delete :destroy, params: { gallery_id: gallery.id, id: reception.id }, format: :json
+
+        expect(Section.exists?(reception.id)).to be false
+        expect(image.reload.section).to eq(ceremony)
+      end
+    end
+
+    describe "PATCH #reorder" do
+      it "reorders the sections and renumbers their photos" do
+        toast = create(:image, gallery: gallery, section: reception, position: 2)
+        vows = create(:image, gallery: gallery, section: ceremony, position: 1)
+
+        patch :reorder, params: { gallery_id: gallery.id, section_ids: [reception.id, ceremony.id] }, format: :json
+
+        expect(gallery.sections.ordered).to eq([reception, ceremony])
+        expect(gallery.images.ordered).to eq([toast, vows])
+      end
+
+      it "rejects a list that doesn't match the gallery's sections" do
+        other_section = create(:section)
+        patch :reorder, params: { gallery_id: gallery.id, section_ids: [ceremony.id, other_section.id] }, format: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(gallery.sections.ordered).to eq([ceremony, reception])
+      end
+    end
+  end
+end
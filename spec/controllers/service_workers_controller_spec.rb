@@ -0,0 +1,18 @@
+require 'rails_helper'
+
+RSpec.describe ServiceWorkersController, type: :controller do
+  describe "GET #show" do
+    it "serves the worker script" do
+      get :show, format: :js
+
+      expect(response).to have_http_status(:success)
+      expect(response.media_type).to eq('text/javascript')
+    end
+
+    it "is never answered from an HTTP cache" do
+      get :show, format: :js
+
+      expect(response.headers['Cache-Control']).to eq('no-cache')
+    end
+  end
+end
@@ -0,0 +1,23 @@
+FactoryBot.define do
+  factory :analytics_event do
+    association :gallery
+    action_type { 'view' }
+    visitor_digest { SecureRandom.hex(16) }
+
+    trait :image_view do
+      action_type { 'image_view' }
+      image { association :image, gallery: gallery, processing_status: :completed }
+    end
+
+    trait :image_dwell do
+      action_type { 'image_dwell' }
+      image { association :image, gallery: gallery, processing_status: :completed }
+      dwell_ms { 4_000 }
+    end
+
+    trait :download do
+      action_type { 'download' }
+      image { association :image, gallery: gallery, processing_status: :completed }
+    end
+  end
+end
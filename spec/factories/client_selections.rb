@@ -0,0 +1,18 @@
+FactoryBot.define do
+  factory :client_selection do
+    association :gallery, :published
+    sequence(:guest_name) { |n| "Guest #{n}" }
+
+    trait :with_favorites do
+      after(:create) do |selection|
+        images = create_list(:image, 3, gallery: selection.gallery, processing_status: :completed)
+        images.each { |image| selection.favorites.create!(image: image) }
+      end
+    end
+  end
+
+  factory :favorite do
+    association :client_selection
+    image { association :image, gallery: client_selection.gallery, processing_status: :completed }
+  end
+end
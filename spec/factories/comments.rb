@@ -0,0 +1,12 @@
+FactoryBot.define do
+  factory :comment do
+    association :client_selection
+    image { association :image, gallery: client_selection.gallery, processing_status: :completed }
+    author_name { client_selection.guest_name }
+    body { "Please remove the exit sign" }
+
+    trait :resolved do
+      resolved_at { 1.hour.ago }
+    end
+  end
+end
@@ -0,0 +1,6 @@
+FactoryBot.define do
+  factory :section do
+    association :gallery
+    sequence(:name) { |n| "Section #{n}" }
+  end
+end
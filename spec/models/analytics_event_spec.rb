@@ -0,0 +1,53 @@
+require 'rails_helper'
+
+RSpec.describe AnalyticsEvent, type: :model do
+  describe 'associations' do
+    it { should belong_to(:gallery) }
+    it { should belong_to(:image).optional }
+  end
+
+  describe 'validations' do
+    it { should validate_inclusion_of(:action_type).in_array(AnalyticsEvent::ACTION_TYPES) }
+
+    it 'caps the dwell time' do
+      expect(build(:analytics_event, :image_dwell, dwell_ms: AnalyticsEvent::MAX_DWELL_MS + 1)).not_to be_valid
+    end
+  end
+
+  describe '.visitor_digest' do
+    it 'tells visitors apart without storing their address' do
+      digest = AnalyticsEvent.visitor_digest('203.0.113.7')
+
+      expect(digest).to eq(AnalyticsEvent.visitor_digest('203.0.113.7'))
+      expect(digest).not_to eq(AnalyticsEvent.visitor_digest('203.0.113.8'))
+      expect(digest).not_to include('203.0.113.7')
+    end
+
+    it 'is nil without an address' do
+      expect(AnalyticsEvent.visitor_digest(nil)).to be_nil
+    end
+  end
+
+  describe '.referrer_host' do
+    it 'keeps the linking site without www' do
+      expect(AnalyticsEvent.referrer_host('https://www.instagram.com/p/abc', 'photos.example.com')).to eq('instagram.com')
+    end
+
+    it 'treats links within the app and junk as direct visits' do
+      expect(AnalyticsEvent.referrer_host('https://photos.example.com/g/smith', 'photos.example.com')).to be_nil
+      expect(AnalyticsEvent.referrer_host('not a url', 'photos.example.com')).to be_nil
+      expect(AnalyticsEvent.referrer_host(nil, 'photos.example.com')).to be_nil
+    end
+  end
+
+  describe '.device_type' do
+    it 'tells phones, tablets and desktops apart' do
+      expect(AnalyticsEvent.device_type('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148')).to eq('mobile')
+      expect(AnalyticsEvent.device_type('Mozilla/5.0 (Linux; Android 14; Pixel 8) Chrome/120.0 Mobile Safari/537.36')).to eq('mobile')
+      expect(AnalyticsEvent.device_type('Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X)')).to eq('tablet')
+      expect(AnalyticsEvent.device_type('Mozilla/5.0 (Linux; Android 14; SM-X710) Chrome/120.0 Safari/537.36')).to eq('tablet')
+      expect(AnalyticsEvent.device_type('Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Safari/605.1.15')).to eq('desktop')
+      expect(AnalyticsEvent.device_type('')).to be_nil
+    end
+  end
+end
@@ -0,0 +1,113 @@
+require 'rails_helper'
+
+RSpec.describe ClientSelection, type: :model do
+  let(:gallery) { create(:gallery, :published) }
+  let(:selection) { create(:client_selection, gallery: gallery) }
+
+  describe 'associations' do
+    it { should belong_to(:gallery) }
+    it { should have_many(:favorites).dependent(:destroy) }
+    it { should have_many(:images).through(:favorites) }
+  end
+
+  describe 'validations' do
+    it { should validate_presence_of(:guest_name) }
+    it { should validate_length_of(:guest_name).is_at_most(100) }
+  end
+
+  describe 'token' do
+    it 'generates a unique token on create' do
+      other = create(:client_selection, gallery: gallery)
+
+      expect(selection.token).to be_present
+      expect(selection.token).not_to eq(other.token)
+    end
+  end
+
+  describe 'favorites' do
+    let(:image) { create(:image, gallery: gallery, processing_status: :completed) }
+
+    it 'counts favorites' do
+      selection.favorites.create!(image: image)
+      expect(selection.reload.favorites_count).to eq(1)
+    end
+
+    it 'does not allow the same image twice' do
+      selection.favorites.create!(image: image)
+      duplicate = selection.favorites.build(image: image)
+
+      expect(duplicate).not_to be_valid
+    end
+
+    it 'rejects images from other galleries' do
+      other_image = create(:image, processing_status: :completed)
+      favorite = selection.favorites.build(image: other_image)
+
+      expect(favorite).not_to be_valid
+    end
+  end
+
+  describe '#lightroom_filenames' do
+    it 'lists base filenames in gallery order' do
+      second = create(:image, gallery: gallery, filename: 'IMG_0002.jpg', position: 2)
+      first = create(:image, gallery: gallery, filename: 'IMG_0001.CR3.jpg', position: 1)
+      [second, first].each { |image| selection.favorites.create!(image: image) }
+
+      expect(selection.lightroom_filenames).to eq('IMG_0001.CR3, IMG_0002')
+    end
+  end
+
+  describe 'scopes' do
+    it 'returns only selections with favorites' do
+      picked = create(:client_selection, :with_favorites, gallery: gallery)
+      selection
+
+      expect(ClientSelection.with_favorites).to contain_exactly(picked)
+    end
+  end
+
+  describe 'selection limits' do
+    let(:images) { create_list(:image, 3, gallery: gallery, processing_status: :completed) }
+
+    before { gallery.update!(selection_limit: 2, extra_image_price: 15) }
+
+    it 'prices picks beyond the limit' do
+      images.each { |image| selection.favorites.create!(image: image) }
+
+      expect(selection.reload.extra_images_count).to eq(1)
+      expect(selection.extra_images_total).to eq(15)
+    end
+
+    it 'blocks picks beyond the limit when extras are not allowed' do
+      gallery.update!(allow_extra_selections: false)
+      images.first(2).each { |image| selection.favorites.create!(image: image) }
+
+      expect(selection.favorites.build(image: images.last)).not_to be_valid
+    end
+  end
+
+  describe '#submit!' do
+    it 'locks the selection but not the gallery' do
+      selection.submit!
+
+      expect(selection).to be_submitted
+      expect(gallery.reload).not_to be_selection_locked
+    end
+
+    it 'rejects new favorites once submitted' do
+      selection.submit!
+      image = create(:image, gallery: gallery, processing_status: :completed)
+
+      expect(selection.favorites.build(image: image)).not_to be_valid
+    end
+  end
+
+  describe '#reopen!' do
+    it 'unlocks the selection' do
+      selection.submit!
+      selection.reopen!
+
+      expect(selection.reload).not_to be_submitted
+    end
+  end
+end
@@ -0,0 +1,65 @@
+require 'rails_helper'
+
+RSpec.describe Comment, type: :model do
+  let(:thread) { create(:comment) }
+
+  describe 'associations' do
+    it { should belong_to(:image) }
+    it { should belong_to(:client_selection).optional }
+    it { should belong_to(:parent).class_name('Comment').optional }
+    it { should have_many(:replies).dependent(:destroy) }
+  end
+
+  describe 'validations' do
+    it { should validate_presence_of(:author_name) }
+    it { should validate_presence_of(:body) }
+    it { should validate_length_of(:body).is_at_most(2000) }
+
+    it 'only allows replies to top-level comments' do
+      reply = create(:comment, parent: thread, image: thread.image, client_selection: thread.client_selection)
+      nested = build(:comment, parent: reply, image: thread.image, client_selection: thread.client_selection)
+
+      expect(nested).not_to be_valid
+    end
+
+    it 'keeps replies on the same image' do
+      other_image = create(:image, gallery: thread.image.gallery, processing_status: :completed)
+      reply = build(:comment, parent: thread, image: other_image, client_selection: thread.client_selection)
+
+      expect(reply).not_to be_valid
+    end
+  end
+
+  describe 'scopes' do
+    it 'counts only open threads as unresolved' do
+      create(:comment, :resolved, image: thread.image, client_selection: thread.client_selection)
+      create(:comment, parent: thread, image: thread.image, client_selection: thread.client_selection)
+
+      expect(Comment.unresolved).to contain_exactly(thread)
+    end
+  end
+
+  describe 'resolving' do
+    it 'resolves and reopens a thread' do
+      thread.resolve!
+      expect(thread).to be_resolved
+
+      thread.reopen!
+      expect(thread).not_to be_resolved
+    end
+
+    it 'reopens a resolved thread when the client follows up' do
+      thread.resolve!
+      create(:comment, parent: thread, image: thread.image, client_selection: thread.client_selection)
+
+      expect(thread.reload).not_to be_resolved
+    end
+
+    it 'leaves the thread resolved after a photographer reply' do
+      thread.resolve!
+      thread.replies.create!(image: thread.image, author_name: 'Photographer', body: 'Done', photographer: true)
+
+      expect(thread.reload).to be_resolved
+    end
+  end
+end
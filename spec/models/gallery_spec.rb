@@ -6,6 +6,7 @@ RSpec.describe Gallery, type: :model do
   describe 'associations' do
     it { should belong_to(:photographer) }
     it { should have_many(:images).dependent(:destroy) }
+    it { should have_many(:sections).dependent(:destroy) }
   end
 
   describe 'validations' do
@@ -260,6 +261,234 @@ RSpec.describe Gallery, type: :model do
       end
     end
 
+    describe 'layout' do
+      it 'defaults to the grid' do
+        expect(Gallery.new.layout).to eq('grid')
+      end
+
+      it 'accepts the supported layouts only' do
+        Gallery::LAYOUTS.each do |layout|
+          gallery.layout = layout
+          expect(gallery).to be_valid
+        end
+
+        gallery.layout = 'carousel'
+        expect(gallery).not_to be_valid
+      end
+    end
+
+    describe 'metadata policy' do
+      it 'strips GPS location by default' do
+        expect(Gallery.new.metadata_policy).to eq('strip_gps')
+      end
+
+      it 'accepts the supported policies only' do
+        Gallery::METADATA_POLICIES.each do |policy|
+          gallery.metadata_policy = policy
+          expect(gallery).to be_valid
+        end
+
+        gallery.metadata_policy = 'strip_faces'
+        expect(gallery).not_to be_valid
+      end
+
+      it 'reprocesses the images when the policy changes' do
+        image = create(:image, gallery: gallery, metadata_policy_applied: 'strip_gps',
+                       variants_generated: { 'thumbnail' => { 'status' => 'completed' } })
+        allow(ImageProcessingJob).to receive(:perform_later)
+
+        gallery.update!(metadata_policy: 'copyright_only')
+
+        expect(ImageProcessingJob).to have_received(:perform_later).with(image.id)
+        expect(image.reload.metadata_policy_applied).to be_nil
+        expect(image.variants_generated).to eq({})
+      end
+    end
+
+    describe 'protected proofing' do
+      let(:gallery) { create(:gallery, :published) }
+
+      def upload_watermark(content_type: 'image/png', filename: 'mark.png')
+        gallery.watermark.attach(create_file_blob(filename: filename, content_type: content_type))
+      end
+
+      it 'needs a watermark to be switched on' do
+        gallery.protected_proofing = true
+        expect(gallery).not_to be_valid
+        expect(gallery.errors[:watermark]).to include('must be uploaded for protected proofing')
+
+        upload_watermark
+        expect(gallery).to be_valid
+      end
+
+      it 'accepts PNG watermarks only' do
+        upload_watermark(content_type: 'image/jpeg', filename: 'mark.jpg')
+        expect(gallery).not_to be_valid
+        expect(gallery.errors[:watermark]).to include('must be a PNG image')
+      end
+
+      it 'accepts the supported positions and opacities only' do
+        gallery.watermark_position = 'middle'
+        gallery.watermark_opacity = 0
+        expect(gallery).not_to be_valid
+        expect(gallery.errors[:watermark_position]).to be_present
+        expect(gallery.errors[:watermark_opacity]).to be_present
+      end
+
+      it 'stops proofing once the gallery is delivered' do
+        upload_watermark
+        gallery.update!(protected_proofing: true)
+        expect(gallery).to be_proofing
+        expect(gallery.watermark_fingerprint).to be_present
+
+        gallery.update!(delivered: true)
+        expect(gallery).not_to be_proofing
+        expect(gallery.watermark_fingerprint).to be_nil
+      end
+
+      it 'hides and rewatermarks photos that have never carried the watermark' do
+        image = create(:image, gallery: gallery, processing_status: :completed)
+        allow(ImageProcessingJob).to receive(:perform_later)
+        upload_watermark
+
+        gallery.update!(protected_proofing: true)
+
+        expect(ImageProcessingJob).to have_received(:perform_later).with(image.id)
+        expect(image.reload).to be_pending
+      end
+
+      it 'hides photos without the watermark when proofing starts with a new metadata policy' do
+        image = create(:image, gallery: gallery, processing_status: :completed)
+        allow(ImageProcessingJob).to receive(:perform_later)
+        upload_watermark
+
+        gallery.update!(protected_proofing: true, metadata_policy: 'copyright_only')
+
+        expect(ImageProcessingJob).to have_received(:perform_later).with(image.id)
+        expect(image.reload).to be_pending
+      end
+
+      it 'keeps watermarked photos visible while a new placement is applied' do
+        upload_watermark
+        gallery.update!(protected_proofing: true)
+        image = create(:image, gallery: gallery, processing_status: :completed,
+                       watermark_applied: gallery.watermark_fingerprint,
+                       variants_generated: { 'thumbnail' => { 'status' => 'completed' } })
+        allow(ImageProcessingJob).to receive(:perform_later)
+
+        gallery.update!(watermark_position: 'tiled')
+
+        expect(ImageProcessingJob).to have_received(:perform_later).with(image.id)
+        expect(image.reload).to be_completed
+        expect(image.variants_generated).to eq({})
+      end
+
+      it 'rewatermarks photos when a new watermark is uploaded' do
+        upload_watermark
+        gallery.update!(protected_proofing: true)
+        image = create(:image, gallery: gallery, processing_status: :completed,
+                       watermark_applied: gallery.watermark_fingerprint)
+        allow(ImageProcessingJob).to receive(:perform_later)
+
+        new_mark = create_file_blob(filename: 'new-mark.png', content_type: 'image/png',
+                                    content: create_test_image_data('image/png') + 'v2')
+        gallery.update!(watermark: new_mark)
+
+        expect(ImageProcessingJob).to have_received(:perform_later).with(image.id)
+      end
+
+      it 'leaves photos alone when nothing about the watermark changes' do
+        upload_watermark
+        gallery.update!(protected_proofing: true)
+        image = create(:image, gallery: gallery, processing_status: :completed,
+                       watermark_applied: 'an-older-watermark',
+                       variants_generated: { 'thumbnail' => { 'status' => 'completed' } })
+        allow(ImageProcessingJob).to receive(:perform_later)
+
+        gallery.update!(title: 'Renamed')
+
+        expect(ImageProcessingJob).not_to have_received(:perform_later)
+        expect(image.reload.variants_generated).to eq('thumbnail' => { 'status' => 'completed' })
+      end
+
+      it 'reprocesses watermarked photos without the watermark once delivered' do
+        upload_watermark
+        gallery.update!(protected_proofing: true)
+        image = create(:image, gallery: gallery, processing_status: :completed,
+                       watermark_applied: gallery.watermark_fingerprint)
+        allow(ImageProcessingJob).to receive(:perform_later)
+
+        gallery.update!(delivered: true)
+
+        expect(ImageProcessingJob).to have_received(:perform_later).with(image.id)
+        expect(image.reload).to be_completed
+      end
+    end
+
+    describe '#resequence_images!' do
+      let(:gallery) { create(:gallery) }
+      let!(:ceremony) { create(:section, gallery: gallery, name: 'Ceremony') }
+      let!(:reception) { create(:section, gallery: gallery, name: 'Reception') }
+
+      it 'numbers images section by section, unsectioned first' do
+        toast = create(:image, gallery: gallery, section: reception, position: 1)
+        vows = create(:image, gallery: gallery, section: ceremony, position: 2)
+        arrival = create(:image, gallery: gallery, position: 3)
+        rings = create(:image, gallery: gallery, section: ceremony, position: 4)
+
+        gallery.resequence_images!
+
+        expect(gallery.images.ordered).to eq([arrival, vows, rings, toast])
+        expect(gallery.images.ordered.map(&:position)).to eq([1, 2, 3, 4])
+      end
+    end
+
+    describe '#selection_locked=' do
+      it 'closes and reopens selections for every visitor' do
+        gallery.update!(selection_locked: '1')
+        locked_at = gallery.selection_locked_at
+        expect(gallery).to be_selection_locked
+
+        gallery.update!(selection_locked: '1')
+        expect(gallery.selection_locked_at).to eq(locked_at)
+
+        gallery.update!(selection_locked: '0')
+        expect(gallery).not_to be_selection_locked
+      end
+    end
+
+    describe 'selection limits' do
+      it 'requires a positive whole number limit' do
+        gallery.selection_limit = 0
+        expect(gallery).not_to be_valid
+
+        gallery.selection_limit = 30
+        expect(gallery).to be_valid
+      end
+
+      it 'rejects a negative extra image price' do
+        gallery.extra_image_price = -1
+        expect(gallery).not_to be_valid
+      end
+
+      it 'counts picks beyond the limit as extras' do
+        gallery.selection_limit = 30
+
+        expect(gallery.extra_selections_for(28)).to eq(0)
+        expect(gallery.extra_selections_for(33)).to eq(3)
+      end
+
+      it 'is only full when extra picks are not allowed' do
+        gallery.selection_limit = 2
+
+        gallery.allow_extra_selections = true
+        expect(gallery.selection_full?(2)).to be false
+
+        gallery.allow_extra_selections = false
+        expect(gallery.selection_full?(2)).to be true
+      end
+    end
+
     describe '#password_strength_score' do
       it 'returns 0 for no password' do
         gallery.password = nil
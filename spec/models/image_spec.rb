@@ -5,6 +5,7 @@ RSpec.describe Image, type: :model do
 
   describe 'associations' do
     it { should belong_to(:gallery) }
+    it { should belong_to(:section).optional }
     it { should have_one_attached(:file) }
   end
 
@@ -13,6 +14,13 @@ RSpec.describe Image, type: :model do
     it { should validate_presence_of(:file) }
     it { should validate_presence_of(:format) }
 
+    it 'keeps the section within the image\'s gallery' do
+      image.section = create(:section)
+
+      expect(image).not_to be_valid
+      expect(image.errors[:section]).to be_present
+    end
+
     describe 'format validation' do
       it 'accepts valid image formats' do
         valid_formats = %w[jpeg jpg png webp avif gif heic heif]
@@ -22,6 +30,13 @@ RSpec.describe Image, type: :model do
         end
       end
 
+      it 'accepts video formats' do
+        %w[mp4 mov quicktime webm].each do |format|
+          image.format = format
+          expect(image).to be_valid
+        end
+      end
+
       it 'rejects invalid formats' do
         invalid_formats = %w[pdf doc txt exe]
         invalid_formats.each do |format|
@@ -42,6 +57,14 @@ RSpec.describe Image, type: :model do
         end
       end
 
+      it 'accepts video content types' do
+        %w[video/mp4 video/quicktime video/webm].each do |content_type|
+          video = build(:image, content_type: content_type)
+          attach_file_to_record(video, :file, content_type: content_type)
+          expect(video).to be_valid, "#{content_type} should be valid"
+        end
+      end
+
       it 'rejects invalid file types' do
         invalid_types = %w[application/pdf text/plain application/msword]
         
@@ -70,6 +93,18 @@ RSpec.describe Image, type: :model do
         expect(image_with_file).to_not be_valid
         expect(image_with_file.errors[:file]).to include('must be less than 50MB')
       end
+
+      it 'allows videos up to their own limit' do
+        video = build(:image, content_type: 'video/mp4')
+        blob = attach_file_to_record(video, :file, content_type: 'video/mp4')
+        allow(blob).to receive(:byte_size).and_return(300.megabytes)
+        
+        expect(video).to be_valid
+        
+        allow(blob).to receive(:byte_size).and_return(550.megabytes)
+        expect(video).to_not be_valid
+        expect(video.errors[:file]).to include('must be less than 500MB')
+      end
     end
   end
 
@@ -113,6 +148,22 @@ RSpec.describe Image, type: :model do
         expect(Image.processing_failed).not_to include(completed_image)
       end
     end
+
+    describe '.with_engagement' do
+      it 'totals lightbox opens, time viewed and downloads per photo' do
+        create_list(:analytics_event, 2, :image_view, gallery: image1.gallery, image: image1)
+        create(:analytics_event, :image_dwell, gallery: image1.gallery, image: image1, dwell_ms: 3_000)
+        create(:analytics_event, :image_dwell, gallery: image1.gallery, image: image1, dwell_ms: 1_500)
+        create(:analytics_event, :download, gallery: image1.gallery, image: image1)
+
+        engaged = Image.with_engagement.find(image1.id)
+        expect(engaged.lightbox_views).to eq(2)
+        expect(engaged.dwell_ms).to eq(4_500)
+        expect(engaged.downloads_count).to eq(1)
+
+        expect(Image.with_engagement.find(image2.id).lightbox_views).to eq(0)
+      end
+    end
   end
 
   describe 'callbacks' do
@@ -225,6 +276,21 @@ RSpec.describe Image, type: :model do
       end
     end
 
+    describe '#variant_transformations' do
+      it 'keeps the metadata left by the gallery policy once it is applied' do
+        image.update_column(:metadata_policy_applied, image.gallery.metadata_policy)
+
+        expect(image.variant_transformations(:thumbnail)).to include(strip: false, interlace: true)
+      end
+
+      it 'strips all metadata while the policy has not been applied' do
+        image.update_column(:metadata_policy_applied, nil)
+
+        expect(image.variant_transformations(:thumbnail_avif)).to include(strip: true)
+        expect(image.variant_transformations(:thumbnail_avif)).not_to have_key(:interlace)
+      end
+    end
+
     describe '#preview_size' do
       it 'returns preview variant' do
         variant = image.preview_size
@@ -233,6 +299,40 @@ RSpec.describe Image, type: :model do
         expect(variant.variation.transformations[:quality]).to eq(85)
       end
     end
+
+    describe 'VARIANT_CONFIGS' do
+      it 'keeps the 1x WebP renditions under their original names' do
+        expect(Image::VARIANT_CONFIGS[:thumbnail]).to include(resize_to_limit: [300, 300], format: :webp, quality: 85)
+        expect(Image::VARIANT_CONFIGS[:web]).to include(resize_to_limit: [1200, 1200], format: :webp, quality: 90)
+      end
+
+      it 'adds 2x/3x densities and AVIF copies' do
+        expect(Image::VARIANT_CONFIGS[:thumbnail_3x]).to include(resize_to_limit: [900, 900], format: :webp)
+        expect(Image::VARIANT_CONFIGS[:web_2x_avif]).to include(resize_to_limit: [2400, 2400], format: :avif)
+      end
+    end
+
+    describe '#responsive_srcset' do
+      it 'lists each rendition with the width it comes out at' do
+        image.assign_attributes(width: 6000, height: 4000)
+        widths = image.responsive_srcset(:avif).split(', ').map { |candidate| candidate.split(' ').last }
+
+        expect(widths).to eq(%w[300w 600w 800w 900w 1200w 2400w 3600w])
+      end
+
+      it 'lists renditions that would upscale the original only once' do
+        image.assign_attributes(width: 1000, height: 800)
+        widths = image.responsive_srcset(:webp).split(', ').map { |candidate| candidate.split(' ').last }
+
+        expect(widths).to eq(%w[300w 600w 750w 900w 1000w])
+      end
+
+      it 'uses pre-generated variant URLs when available' do
+        image.update!(variants_generated: { 'thumbnail_avif' => { 'status' => 'completed', 'url' => '/variants/thumb.avif' } })
+
+        expect(image.responsive_srcset(:avif)).to start_with('/variants/thumb.avif ')
+      end
+    end
   end
 
   describe 'URL methods' do
@@ -249,6 +349,56 @@ RSpec.describe Image, type: :model do
       end
     end
 
+    describe '#display_source' do
+      it 'is the delivery file while the gallery is not proofing' do
+        expect(image.display_source).to eq(image.variant_source)
+      end
+
+      it 'is the watermarked copy while the gallery is proofing' do
+        allow(image.gallery).to receive(:watermark_fingerprint).and_return('checksum:center:50')
+        attach_file_to_record(image, :watermarked_file)
+
+        expect(image.display_source).to eq(image.watermarked_file)
+        expect(image).to be_displayable
+      end
+
+      it 'is nothing while proofing until the watermarked copy is made' do
+        allow(image.gallery).to receive(:watermark_fingerprint).and_return('checksum:center:50')
+
+        expect(image.display_source).to be_nil
+        expect(image).not_to be_displayable
+        expect(image).not_to be_watermark_current
+        expect(image.thumbnail_url).to be_nil
+        expect(image.responsive_srcset(:jpeg)).to eq('')
+      end
+    end
+
+    describe '#delivery_ready?' do
+      it 'is ready once the copies match the gallery policy and watermark' do
+        image.update_column(:metadata_policy_applied, image.gallery.metadata_policy)
+
+        expect(image).to be_delivery_ready
+      end
+
+      it 'is not ready while the policy has not been applied' do
+        image.update_column(:metadata_policy_applied, nil)
+
+        expect(image).not_to be_delivery_ready
+      end
+    end
+
+    describe '#download_source' do
+      it 'is the delivery file while the gallery is not proofing' do
+        expect(image.download_source).to eq(image.delivery_source)
+      end
+
+      it 'is the watermarked copy while the gallery is proofing' do
+        allow(image.gallery).to receive(:watermark_fingerprint).and_return('checksum:center:50')
+
+        expect(image.download_source).to eq(image.watermarked_file)
+      end
+    end
+
     describe 'variant URL methods' do
       let(:image) { create(:image, :completed) }
 
@@ -294,6 +444,31 @@ RSpec.describe Image, type: :model do
     end
   end
 
+  describe '#exif_details' do
+    it 'formats the stored EXIF for display' do
+      image = build(:image,
+                    exif: { 'camera' => 'Nikon Z 6', 'lens' => 'NIKKOR Z 50mm f/1.8 S', 'focal_length' => 50.0,
+                            'aperture' => 1.8, 'exposure_time' => 0.004, 'iso' => 100 },
+                    captured_at: Time.zone.parse('2024-06-01 14:30:00'))
+      
+      expect(image.exif_details).to eq(
+        camera: 'Nikon Z 6',
+        lens: 'NIKKOR Z 50mm f/1.8 S',
+        focal_length: '50 mm',
+        aperture: 'ƒ/1.8',
+        shutter_speed: '1/250 s',
+        iso: 'ISO 100',
+        captured_at: Time.zone.parse('2024-06-01 14:30:00').iso8601
+      )
+    end
+    
+    it 'omits fields the camera did not record' do
+      image = build(:image, exif: { 'exposure_time' => 2.5 }, captured_at: nil)
+      
+      expect(image.exif_details).to eq(shutter_speed: '2.5 s')
+    end
+  end
+
   describe 'processing information' do
     describe '#processing_duration' do
       context 'when processing timestamps are present' do
@@ -314,6 +489,50 @@ RSpec.describe Image, type: :model do
     end
   end
 
+  describe 'video clips' do
+    let(:video) { create(:image, :completed, filename: 'first_dance.mp4', content_type: 'video/mp4', duration: 75.4) }
+
+    before do
+      video.poster.attach(io: StringIO.new('poster'), filename: 'first_dance.jpg', content_type: 'image/jpeg')
+      video.web_video.attach(io: StringIO.new('clip'), filename: 'first_dance.mp4', content_type: 'video/mp4')
+    end
+
+    it 'is a video' do
+      expect(video).to be_video
+      expect(build(:image)).not_to be_video
+    end
+
+    it 'cuts its variants from the poster but downloads the clip' do
+      expect(video.variant_source).to eq(video.poster)
+      expect(video.download_source).to eq(video.file)
+    end
+
+    it 'plays from the web copy' do
+      expect(video.playback_url).to include('first_dance.mp4')
+    end
+
+    it 'does not play while the gallery is proofing' do
+      allow(video.gallery).to receive(:watermark_fingerprint).and_return('checksum:center:50')
+
+      expect(video.playback_url).to be_nil
+    end
+
+    describe '#duration_label' do
+      it 'formats minutes and seconds' do
+        expect(video.duration_label).to eq('1:15')
+      end
+
+      it 'includes hours for long clips' do
+        video.duration = 3725
+        expect(video.duration_label).to eq('1:02:05')
+      end
+
+      it 'is nil for photos' do
+        expect(build(:image).duration_label).to be_nil
+      end
+    end
+  end
+
   describe 'file information helpers' do
     describe '#file_extension' do
       it 'returns lowercase file extension' do
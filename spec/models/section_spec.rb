@@ -0,0 +1,47 @@
+require 'rails_helper'
+
+RSpec.describe Section, type: :model do
+  let(:gallery) { create(:gallery) }
+
+  describe 'associations' do
+    it { should belong_to(:gallery) }
+    it { should have_many(:images) }
+  end
+
+  describe 'validations' do
+    subject { create(:section, gallery: gallery) }
+
+    it { should validate_presence_of(:name) }
+    it { should validate_length_of(:name).is_at_most(100) }
+    it { should validate_uniqueness_of(:name).scoped_to(:gallery_id).case_insensitive }
+  end
+
+  describe 'positions' do
+    it 'adds new sections after the existing ones' do
+      first = create(:section, gallery: gallery)
+      second = create(:section, gallery: gallery)
+
+      expect(gallery.sections.ordered).to eq([first, second])
+      expect(second.position).to be > first.position
+    end
+  end
+
+  describe '#destroy' do
+    let!(:ceremony) { create(:section, gallery: gallery, name: 'Ceremony') }
+    let!(:reception) { create(:section, gallery: gallery, name: 'Reception') }
+
+    it 'hands its images to the section before it' do
+      image = create(:image, gallery: gallery, section: reception)
+      reception.destroy
+
+      expect(image.reload.section).to eq(ceremony)
+    end
+
+    it 'leaves the first section\'s images without a section' do
+      image = create(:image, gallery: gallery, section: ceremony)
+      ceremony.destroy
+
+      expect(image.reload.section).to be_nil
+    end
+  end
+end
@@ -209,7 +209,7 @@ RSpec.describe "Gallery Authentication Security", type: :request do
   end
   
   describe "Download Security" do
-    let(:image) { create(:image, gallery: gallery) }
+    let(:image) { create(:image, gallery: gallery, metadata_policy_applied: gallery.metadata_policy) }
     
     it "requires gallery authentication for downloads" do
       get "/g/#{gallery.slug}/download/#{image.id}"